@@ -0,0 +1,381 @@
+/**
+ * @fileoverview A small authenticated HTTP client shared by every backend call in the app.
+ * It attaches the current session token (from `ensureFreshToken`), waits for pending token refreshes,
+ * retries transient failures (network errors, 5xx and throttling) with exponential backoff,
+ * and turns failures into typed `ApiError`s that the UI can present distinctly.
+ * It relies on `auth.js` for `ensureFreshToken`, `currentSessionToken`, `forceTokenRefresh` and `redirectToLogin`,
+ * and on `log-redaction.js` to keep signatures out of the console.
+ */
+
+(function () {
+  /**
+   * The kinds of failure an `ApiError` can describe.
+   * - `auth`: the token was rejected (401); the user is sent back to sign in.
+   * - `permission`: the user is signed in but not allowed to do this (403).
+   * - `throttled`: the API asked us to slow down (429) and retries ran out.
+   * - `server`: the backend failed (5xx) and retries ran out.
+   * - `network`: the request never got a response (offline, DNS, CORS) and retries ran out.
+   * - `client`: any other rejected request (400, 404, ...), which is not retried.
+   */
+  const ERROR_TYPES = {
+    AUTH: "auth",
+    PERMISSION: "permission",
+    THROTTLED: "throttled",
+    SERVER: "server",
+    NETWORK: "network",
+    CLIENT: "client",
+  };
+
+  /**
+   * Default retry behaviour: up to 3 retries, doubling from 500ms, capped at 8s.
+   */
+  const DEFAULT_RETRIES = 3;
+  const RETRY_BASE_MS = 500;
+  const RETRY_MAX_MS = 8000;
+
+  /**
+   * An error raised by the API client.
+   * `type` is one of `ERROR_TYPES`; `status` is the HTTP status (0 when there was no response).
+   */
+  class ApiError extends Error {
+    constructor(type, message, status = 0, details = null) {
+      super(message);
+      this.name = "ApiError";
+      this.type = type;
+      this.status = status;
+      this.details = details;
+    }
+  }
+
+  ApiError.types = ERROR_TYPES;
+
+  /**
+   * User-facing messages for each error type.
+   */
+  const MESSAGES = {
+    auth: "Your session has expired. Please sign in again.",
+    permission: "You don't have permission to do that.",
+    throttled: "The service is busy right now. Please try again in a moment.",
+    server: "The server ran into a problem. Please try again later.",
+    network: "Couldn't reach the server. Check your connection and try again.",
+    client: "The request could not be completed.",
+  };
+
+  /**
+   * Maps an HTTP status to an error type.
+   * @param {number} status - The HTTP status code
+   * @returns {string} One of `ERROR_TYPES`
+   */
+  function typeForStatus(status) {
+    if (status === 401) return ERROR_TYPES.AUTH;
+    if (status === 403) return ERROR_TYPES.PERMISSION;
+    if (status === 429) return ERROR_TYPES.THROTTLED;
+    if (status >= 500) return ERROR_TYPES.SERVER;
+    return ERROR_TYPES.CLIENT;
+  }
+
+  /**
+   * Whether a failure of this type is worth retrying.
+   * @param {string} type - One of `ERROR_TYPES`
+   * @returns {boolean}
+   */
+  function isRetryable(type) {
+    return (
+      type === ERROR_TYPES.SERVER ||
+      type === ERROR_TYPES.NETWORK ||
+      type === ERROR_TYPES.THROTTLED
+    );
+  }
+
+  /**
+   * Computes how long to wait before the given retry, with full jitter.
+   * A `Retry-After` header (in seconds) from a 429/503 takes precedence.
+   * @param {number} attempt - The retry number, starting at 1
+   * @param {string|null} retryAfter - The Retry-After header value, if any
+   * @returns {number} Delay in milliseconds
+   */
+  function backoffDelay(attempt, retryAfter) {
+    const seconds = parseInt(retryAfter, 10);
+    if (!isNaN(seconds)) {
+      return Math.min(seconds * 1000, RETRY_MAX_MS * 4);
+    }
+    const ceiling = Math.min(RETRY_BASE_MS * 2 ** (attempt - 1), RETRY_MAX_MS);
+    return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+  }
+
+  function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Throws an `AbortError` if the given signal has been aborted.
+   * @param {AbortSignal} [signal] - The signal to check
+   */
+  function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+      throw new DOMException("The request was cancelled.", "AbortError");
+    }
+  }
+
+  /**
+   * Pulls a readable message out of an error response body, if there is one.
+   * API Gateway uses `{ "message": ... }`; other services use `error`/`error_description`.
+   * @param {string} text - The raw response body
+   * @returns {string|null}
+   */
+  function messageFromBody(text) {
+    if (!text) return null;
+    try {
+      const body = JSON.parse(text);
+      return body.message || body.Message || body.error_description || body.error || null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Builds the ApiError for a failed response.
+   * @param {number} status - The HTTP status
+   * @param {string} bodyText - The response body
+   * @returns {ApiError}
+   */
+  function errorForResponse(status, bodyText) {
+    const type = typeForStatus(status);
+    const serverMessage = messageFromBody(bodyText);
+    const message =
+      type === ERROR_TYPES.CLIENT && serverMessage
+        ? serverMessage
+        : MESSAGES[type];
+    return new ApiError(type, message, status, serverMessage);
+  }
+
+  /**
+   * Adds the Authorization header for the current session, if there is one.
+   * @param {Object} headers - The request headers
+   * @param {string} token - The current token
+   * @returns {Object} A new headers object
+   */
+  function withAuth(headers, token) {
+    return token
+      ? { ...headers, Authorization: `Bearer ${token}` }
+      : { ...headers };
+  }
+
+  /**
+   * Runs one request attempt function with the shared retry and re-authentication policy.
+   * `attemptFn(token)` must resolve with a result, or reject with an ApiError.
+   * On a 401 the token is force-refreshed and the request replayed once; if that
+   * doesn't help, the user is sent back through `redirectToLogin`.
+   * An aborted `signal` stops the request (and any pending retry) with an `AbortError`.
+   * With `authenticate: false` (e.g. a presigned S3 URL, which carries its own
+   * signature) no token is attached and a 401 is not treated as an expired session.
+   * @param {Function} attemptFn - Performs a single attempt with the given token
+   * @param {Object} options - `{ retries, signal, authenticate }`
+   * @returns {Promise<*>} The attempt's result
+   */
+  async function runWithPolicy(attemptFn, options = {}) {
+    const retries = options.retries === undefined ? DEFAULT_RETRIES : options.retries;
+    const authenticate = options.authenticate !== false;
+    const signal = options.signal;
+    let reauthenticated = false;
+    let attempt = 0;
+
+    for (;;) {
+      throwIfAborted(signal);
+      const token = authenticate ? await window.ensureFreshToken() : "";
+      throwIfAborted(signal);
+      try {
+        return await attemptFn(token);
+      } catch (err) {
+        if (!(err instanceof ApiError)) {
+          throw err;
+        }
+
+        if (err.type === ERROR_TYPES.AUTH && authenticate) {
+          if (!reauthenticated) {
+            reauthenticated = true;
+            try {
+              await window.forceTokenRefresh();
+              continue;
+            } catch (refreshErr) {
+              // No refresh token, or it was rejected: fall through to sign in again
+            }
+          }
+          console.warn("API rejected the session token, redirecting to sign in");
+          window.redirectToLogin();
+          throw err;
+        }
+
+        if (isRetryable(err.type) && attempt < retries) {
+          attempt++;
+          const ms = backoffDelay(attempt, err.retryAfter);
+          console.warn(
+            `Request failed (${err.type}${err.status ? " " + err.status : ""}), retry ${attempt} of ${retries} in ${ms}ms`
+          );
+          await wait(ms);
+          continue;
+        }
+
+        throw err;
+      }
+    }
+  }
+
+  /**
+   * Performs an authenticated `fetch` and parses the response.
+   * @param {string} url - The request URL
+   * @param {Object} [options] - `{ method, headers, body, json, retries, signal, authenticate }`.
+   *   `json` is serialised as the request body with a JSON content type.
+   * @returns {Promise<*>} The parsed JSON body (or text, or null for an empty body)
+   */
+  function request(url, options = {}) {
+    const { method = "GET", headers = {}, json, retries, signal, authenticate } = options;
+    let body = options.body;
+    const baseHeaders = { ...headers };
+    if (json !== undefined) {
+      body = JSON.stringify(json);
+      baseHeaders["Content-Type"] = "application/json";
+    }
+
+    return runWithPolicy(async (token) => {
+      let response;
+      try {
+        response = await fetch(url, {
+          method,
+          headers: withAuth(baseHeaders, token),
+          body,
+          signal,
+        });
+      } catch (err) {
+        if (err.name === "AbortError") {
+          throw err;
+        }
+        throw new ApiError(ERROR_TYPES.NETWORK, MESSAGES.network, 0, err.message);
+      }
+
+      const text = await response.text();
+      if (!response.ok) {
+        const error = errorForResponse(response.status, text);
+        error.retryAfter = response.headers.get("Retry-After");
+        throw error;
+      }
+
+      if (!text) {
+        return null;
+      }
+      const contentType = response.headers.get("Content-Type") || "";
+      if (contentType.includes("json") || /^[\[{]/.test(text.trim())) {
+        return JSON.parse(text);
+      }
+      return text;
+    }, { retries, signal, authenticate });
+  }
+
+  /**
+   * Uploads a body with XMLHttpRequest so upload progress can be reported.
+   * Uses the same authentication, retry and error mapping as `request`.
+   * @param {string} url - The upload URL
+   * @param {Blob|File} body - The data to send
+   * @param {Object} [options] - `{ method, headers, onProgress, retries, signal, authenticate }`.
+   *   `onProgress(percent)` is called with values from 0 to 100; aborting `signal`
+   *   aborts the XHR and rejects with an `AbortError`.
+   * @returns {Promise<{body: string, getHeader: Function}>} The response body, and a
+   *   function to read response headers (e.g. the part `ETag` of a multipart upload)
+   */
+  function upload(url, body, options = {}) {
+    const { method = "PUT", headers = {}, onProgress, retries, signal, authenticate } = options;
+
+    return runWithPolicy(
+      (token) =>
+        new Promise((resolve, reject) => {
+          const xhr = new XMLHttpRequest();
+          xhr.open(method, url, true);
+
+          const allHeaders = withAuth(headers, token);
+          Object.keys(allHeaders).forEach((name) => {
+            xhr.setRequestHeader(name, allHeaders[name]);
+          });
+
+          if (onProgress) {
+            onProgress(0);
+            xhr.upload.onprogress = (event) => {
+              if (event.lengthComputable) {
+                onProgress(Math.round((event.loaded / event.total) * 100));
+              }
+            };
+          }
+
+          xhr.onload = () => {
+            if (xhr.status >= 200 && xhr.status < 300) {
+              resolve({
+                body: xhr.responseText,
+                getHeader: (name) => xhr.getResponseHeader(name),
+              });
+            } else {
+              console.error('Upload failed:', xhr.status, xhr.statusText, window.LogRedaction.text(xhr.responseText));
+              const error = errorForResponse(xhr.status, xhr.responseText);
+              error.retryAfter = xhr.getResponseHeader("Retry-After");
+              reject(error);
+            }
+          };
+
+          xhr.onerror = () => {
+            reject(new ApiError(ERROR_TYPES.NETWORK, MESSAGES.network, 0));
+          };
+
+          const onAbort = () => xhr.abort();
+          xhr.onabort = () => {
+            reject(new DOMException("The upload was cancelled.", "AbortError"));
+          };
+          xhr.onloadend = () => {
+            if (signal) signal.removeEventListener("abort", onAbort);
+          };
+          if (signal) signal.addEventListener("abort", onAbort);
+
+          xhr.send(body);
+        }),
+      { retries, signal, authenticate }
+    );
+  }
+
+  /**
+   * Sends a request that has to leave even if the page is being closed (e.g. on `pagehide`).
+   * It starts synchronously with the current token and uses `keepalive`, so the browser
+   * finishes it after the page is gone; it is not retried or re-authenticated.
+   * @param {string} url - The request URL
+   * @param {Object} [options] - `{ method, headers, json }`
+   * @returns {Promise<boolean>} Whether the server accepted it, if the page is still there to know
+   */
+  function sendKeepalive(url, options = {}) {
+    const { method = "POST", headers = {}, json } = options;
+    const baseHeaders = { ...headers };
+    if (json !== undefined) {
+      baseHeaders["Content-Type"] = "application/json";
+    }
+    return fetch(url, {
+      method,
+      headers: withAuth(baseHeaders, window.currentSessionToken()),
+      body: json !== undefined ? JSON.stringify(json) : undefined,
+      keepalive: true,
+    }).then((response) => response.ok, () => false);
+  }
+
+  /**
+   * Convenience wrapper for a GET request returning JSON.
+   * @param {string} url - The request URL
+   * @param {Object} [options] - Additional `request` options
+   * @returns {Promise<*>} The parsed JSON body
+   */
+  function getJson(url, options = {}) {
+    return request(url, { ...options, method: "GET" });
+  }
+
+  // Expose the client globally, in the same way `AppConfig` and the auth helpers are exposed.
+  window.ApiError = ApiError;
+  window.ApiClient = {
+    request,
+    getJson,
+    upload,
+    sendKeepalive,
+  };
+})();
@@ -17,8 +17,23 @@ document.addEventListener("alpine:init", () => {
    * This object holds all the reactive state and methods that drive the UI.
    */
   Alpine.data('app', () => ({
+    // The lightbox state and its zoom, pan, swipe and keyboard handling (see photo-view.js)
+    ...window.PhotoView.mixin(),
+
     // --- Reactive State Properties ---
 
+    /**
+     * The current route (`{ name, params, query }`, see `router.js`): 'gallery', 'photo', 'album',
+     * 'upload' or 'settings'.
+     * @type {Object}
+     */
+    route: window.Router.current(),
+    /**
+     * The route the lightbox returns to when it closes (the view it was opened from).
+     * @type {Object}
+     */
+    lightboxReturnRoute: { name: 'gallery', params: {}, query: {} },
+
     /**
      * Authentication status, reactively bound to the UI.
      * @type {boolean}
@@ -34,12 +49,39 @@ document.addEventListener("alpine:init", () => {
      * @type {boolean}
      */
     authLoading: window.authStatus.loading,
+    /**
+     * The last sign-in error (e.g. a failed token exchange), shown on the login card.
+     * @type {string}
+     */
+    authError: window.authStatus.error,
+    /**
+     * The seconds left before an idle user is signed out, while the warning shows
+     * (see `AppConfig.session`), or null.
+     * @type {number|null}
+     */
+    idleSecondsLeft: null,
+    /**
+     * Whether the idle timer is running for the current sign in.
+     * @type {boolean}
+     */
+    idleTimerRunning: false,
 
     /**
      * An array to hold the list of photos fetched from the backend.
      * @type {Array<Object>}
      */
     photos: [],
+    /**
+     * The search, filters and sort order applied to the loaded photos (see `photo-filter.js`).
+     * Kept in the gallery and album routes' query so a filtered view can be shared.
+     * @type {Object}
+     */
+    filters: { ...window.PhotoFilter.DEFAULT_FILTERS },
+    /**
+     * Whether the filter toolbar is expanded.
+     * @type {boolean}
+     */
+    showFilters: false,
     /**
      * Flag to indicate when photos are being loaded.
      * @type {boolean}
@@ -50,33 +92,176 @@ document.addEventListener("alpine:init", () => {
      * @type {string|null}
      */
     error: null,
+    /**
+     * The `ApiError` type of the last gallery error (auth, permission, throttled,
+     * server, network or client), used to pick the message style and actions.
+     * @type {string|null}
+     */
+    errorType: null,
+    /**
+     * Items from the last photos response that failed the schema check,
+     * as `{ index, id, problems }`. They are left out of `photos`.
+     * @type {Array<Object>}
+     */
+    invalidItems: [],
+    /**
+     * The `LastEvaluatedKey` of the last page loaded, used as the cursor for the next
+     * page. Null when there are no more pages.
+     * @type {Object|null}
+     */
+    nextPageKey: null,
+    /**
+     * Flag to indicate when the next page is being loaded by the infinite scroll.
+     * @type {boolean}
+     */
+    loadingMore: false,
+    /**
+     * Stores the error from the last failed "load more", shown below the grid.
+     * @type {string|null}
+     */
+    loadMoreError: null,
+    /**
+     * The total number of photos, if known (see `updatePhotoTotal`).
+     * @type {number|null}
+     */
+    totalPhotos: null,
+    /**
+     * How many pages of the photo list have been loaded, so the next page knows its number.
+     * @type {number}
+     */
+    photoPagesLoaded: 0,
+    /**
+     * Incremented whenever the photo list is replaced (e.g. when switching albums),
+     * so responses to requests made for the previous list are ignored.
+     * @type {number}
+     */
+    galleryVersion: 0,
+    /**
+     * The infinite-scroll sentinel element below the photo grid.
+     * @type {HTMLElement|null}
+     */
+    scrollSentinel: null,
 
     /**
-     * The file selected for upload.
-     * @type {File|null}
+     * The upload queue. Each item is
+     * `{ id, file, originalSize, status, progress, error, errorType, controller, key, multipart, resumedParts }`,
+     * where `status` is 'preparing', 'queued', 'uploading', 'done', 'failed', 'cancelled',
+     * 'invalid' (rejected by the pre-upload checks), 'duplicate' (an exact copy of a photo
+     * already in the gallery or queue) or 'review' (similar to a gallery photo; waits for
+     * the user to compare them). `hashes` (`{ sha256, dHash }`) are those of the original
+     * file, and `duplicate` (`{ photo, name, distance }`) what it matched.
+     * `multipart` (`{ fingerprint, key, uploadId }`) is set for chunked uploads.
+     * `exif` holds the metadata read from the original file, and `stripLocation`
+     * whether its GPS location is removed before upload. `albumId` is the album the
+     * photo is added to, if any. `edit` (`{ source, state, locationStripped }`) is set once
+     * the file has been edited: the file before editing, the edits applied to it and the
+     * item's `locationStripped` before them, so the edits can be changed or undone later.
+     * @type {Array<Object>}
+     */
+    uploadQueue: [],
+    /**
+     * The side-by-side comparison of a queued file with the gallery photo it resembles,
+     * if open: `{ item, previewUrl }`.
+     * @type {Object|null}
+     */
+    duplicateReview: null,
+    /**
+     * Whether files are being dragged over the page, which shows the drop overlay.
+     * @type {boolean}
+     */
+    dragActive: false,
+    /**
+     * dragenter and dragleave fire for every element a drag crosses; this counts them
+     * so the overlay only hides once the drag has left the page.
+     * @type {number}
+     */
+    dragDepth: 0,
+    /**
+     * What the last drop, paste or file selection left out, if anything:
+     * `{ added, skipped: [{ name, reason }] }`.
+     * @type {Object|null}
+     */
+    skipSummary: null,
+    /**
+     * The image editor, if open:
+     * `{ item, bitmap, state, committed, past, future, drag, saving, error }`.
+     * `state` is the edit shown in the preview (see `ImageEditor.initialState`), and
+     * `committed` the last one recorded in the undo history, `past` and `future`.
+     * Slider moves and crop drags are recorded when they end. `drag` is the crop drag in progress.
+     * @type {Object|null}
      */
-    fileToUpload: null,
+    editor: null,
     /**
-     * Flag to indicate when an upload is in progress.
+     * Flag to indicate when the upload queue is running.
      * @type {boolean}
      */
     uploading: false,
     /**
-     * The progress of the current upload, from 0 to 100.
+     * The aggregate progress of the current batch, from 0 to 100, weighted by file size.
      * @type {number}
      */
     uploadProgress: 0,
+    /**
+     * Counts of how the last batch finished (`{ done, failed, cancelled }`),
+     * shown once the queue has drained. Null while a batch is running.
+     * @type {Object|null}
+     */
+    uploadSummary: null,
+    /**
+     * Whether selected images are downscaled and re-encoded before upload.
+     * @type {boolean}
+     */
+    optimizeUploads: window.AppConfig.upload.optimize,
+    /**
+     * The format optimised images are encoded to ('image/jpeg' or 'image/webp').
+     * @type {string}
+     */
+    optimizeFormat: window.AppConfig.upload.optimize_format,
+    /**
+     * The encoder quality for optimised images, from 0.1 to 1.
+     * @type {number}
+     */
+    optimizeQuality: window.AppConfig.upload.optimize_quality,
+    /**
+     * Whether newly selected files have their GPS location removed before upload.
+     * Each queue item can still be changed individually.
+     * @type {boolean}
+     */
+    stripLocationDefault: window.AppConfig.upload.strip_location,
     /**
      * Stores any error messages related to the upload process.
      * @type {string|null}
      */
     uploadError: null,
+    /**
+     * The `ApiError` type of the last upload error.
+     * @type {string|null}
+     */
+    uploadErrorType: null,
     /**
      * Flag to indicate a successful upload.
      * @type {boolean}
      */
     uploadSuccess: false,
 
+    /**
+     * Uploaded photos that haven't shown up in the photos API yet. Each is shown as a
+     * placeholder tile: `{ key, albumId, name, previewUrl, status, startedAt, error }`, where
+     * `key` is the uploaded object's key and `status` is 'processing', 'timeout' or 'failed'.
+     * @type {Array<Object>}
+     */
+    pendingPhotos: [],
+    /**
+     * The timer of the next processing check, if one is scheduled.
+     * @type {number|null}
+     */
+    processingTimer: null,
+    /**
+     * The delay before the next processing check; grows after every check.
+     * @type {number}
+     */
+    processingDelay: 0,
+
     /**
      * Indicates whether an image is currently being processed after upload.
      * @type {boolean}
@@ -96,20 +281,110 @@ document.addEventListener("alpine:init", () => {
     processingMessage: '',
 
     /**
-     * Flag to control the visibility of the photo modal.
+     * The element that had focus before the lightbox opened, to restore on close.
+     * @type {HTMLElement|null}
+     */
+    modalReturnFocus: null,
+
+    /**
+     * The open confirmation dialog, if any:
+     * `{ title, message, confirmLabel, onConfirm }`.
+     * @type {Object|null}
+     */
+    confirmation: null,
+    /**
+     * Deleted photos whose delete request is held back so it can be undone:
+     * `{ photo, index, timer }`, where `index` is where the photo was in the gallery.
+     * @type {Array<Object>}
+     */
+    pendingDeletes: [],
+    /**
+     * How long a delete can be undone, in milliseconds.
+     * @type {number}
+     */
+    undoDelay: 5000,
+    /**
+     * Whether the lightbox shows the title and caption form, and the values being edited.
+     * @type {boolean}
+     */
+    editingDetails: false,
+    detailsDraft: { title: '', caption: '' },
+    /**
+     * The user's albums (`{ id, name, count, coverUrl }`), sorted by name.
+     * @type {Array<Object>}
+     */
+    albums: [],
+    /**
+     * Error message from loading the albums, if it failed.
+     * @type {string|null}
+     */
+    albumsError: null,
+    /**
+     * The album the gallery is showing (from the `#/album/<id>` route), or null for all photos.
+     * @type {string|null}
+     */
+    activeAlbumId: null,
+    /**
+     * Whether the album switcher dropdown is open.
      * @type {boolean}
      */
-    showModal: false,
+    showAlbumSwitcher: false,
     /**
-     * The photo object currently displayed in the modal.
+     * The create/rename album dialog, if open: `{ mode, name, album }`, where `mode`
+     * is 'create' or 'rename' and `album` is the album being renamed.
      * @type {Object|null}
      */
-    selectedPhoto: null,
+    albumDialog: null,
     /**
-     * Flag to show a loading spinner inside the modal while the full-size image loads.
+     * Whether the gallery is in selection mode, and the ids of the selected photos.
      * @type {boolean}
      */
-    modalLoading: false,
+    selecting: false,
+    selectedIds: [],
+    /**
+     * The photo last clicked in selection mode; shift-click selects the range from it.
+     * @type {string|null}
+     */
+    selectionAnchorId: null,
+    /**
+     * The ZIP download in progress or just finished, if any:
+     * `{ total, done, current, fileProgress, bytes, skipped, status, error, controller }`,
+     * where `status` is 'running', 'done' or 'failed' and `skipped` lists `{ name, reason }`.
+     * @type {Object|null}
+     */
+    download: null,
+    /**
+     * The album new uploads are added to ('' for none). Applies to files selected afterwards.
+     * @type {string}
+     */
+    uploadAlbumId: '',
+
+    /**
+     * The user's share links that haven't expired: `{ id, photoIds, expiresAt, createdAt }`.
+     * Loaded when the settings view opens.
+     * @type {Array<Object>}
+     */
+    shares: [],
+    sharesLoading: false,
+    sharesError: null,
+    /**
+     * The share dialog, if open: `{ photoIds, expiresIn, creating, link, expiresAt, error }`,
+     * where `expiresIn` is the chosen lifetime in seconds and `link` is set once created.
+     * @type {Object|null}
+     */
+    shareDialog: null,
+
+    /**
+     * A short message shown at the bottom of the screen:
+     * `{ message, type, actionLabel, action }`, where `type` is 'info' or 'error'.
+     * @type {Object|null}
+     */
+    toast: null,
+    /**
+     * The timer that hides the toast.
+     * @type {number|null}
+     */
+    toastTimer: null,
 
     // --- Initialization ---
 
@@ -120,13 +395,14 @@ document.addEventListener("alpine:init", () => {
     init() {
       console.log('Initializing Alpine.js app component with auth status:', window.authStatus);
       
-      // Wait for the window to load, and then immediately check if we have an authorization code in the URL
-      window.addEventListener("load", () => {
+      // Once the window has loaded, check if we have an authorization code in the URL.
+      // Alpine.js starts after the configuration loads, which may be after the load event.
+      const checkForAuthCode = () => {
         const urlParams = new URLSearchParams(window.location.search);
         const authCode = urlParams.get("code");
         
         if (authCode) {
-          console.log('Found auth code in URL, app.js detected redirect from Cognito');
+          console.log('Found auth code in URL, app.js detected redirect from the identity provider');
           
           // Force auth status check when we detect a code parameter
           window.authStatus.loading = true;
@@ -137,323 +413,2920 @@ document.addEventListener("alpine:init", () => {
             window.checkAuthFromHash && window.checkAuthFromHash();
           }, 200);
         }
-      });
+      };
+      if (document.readyState === 'complete') {
+        checkForAuthCode();
+      } else {
+        window.addEventListener('load', checkForAuthCode);
+      }
 
       // Set up a listener to react to changes in the global authentication state.
       // This ensures the UI updates automatically on login/logout and during authentication.
       window.addEventListener('auth:statusChanged', () => {
         console.log('Auth status changed event received, new status:', window.authStatus);
+        const wasAuthenticated = this.isAuthenticated;
         
         // Update component state from global auth status
         this.isAuthenticated = window.authStatus.isAuthenticated;
         this.username = window.authStatus.username;
         this.authLoading = window.authStatus.loading;
+        this.authError = window.authStatus.error;
+        this.updateIdleTimer();
         
         // Handle state changes based on authentication status
+        // A silent token refresh also fires this event; only fetch on an actual sign-in.
         if (this.isAuthenticated) {
-          console.log('User is authenticated, fetching photos...');
-          this.fetchPhotos();
+          if (!wasAuthenticated) {
+            // Signing in may have restored the route the user started from
+            this.applyRoute(window.Router.current(), false);
+            console.log('User is authenticated, fetching photos...');
+            this.fetchPhotos();
+            this.loadAlbums();
+            this.restoreInterruptedUploads();
+          }
         } else if (!this.authLoading) {
           console.log('User is not authenticated and not in loading state, clearing photos');
-          this.photos = []; // Clear photos on logout, but not during auth process
+          this.resetGallery(); // Clear photos on logout, but not during auth process
+          if (wasAuthenticated) {
+            this.discardUploads();
+          }
         }
       });
 
+      // Files dropped anywhere on the page, or pasted, go to the upload queue
+      window.addEventListener('dragenter', event => this.handleDragEnter(event));
+      window.addEventListener('dragover', event => this.handleDragOver(event));
+      window.addEventListener('dragleave', event => this.handleDragLeave(event));
+      window.addEventListener('drop', event => this.handleDrop(event));
+      window.addEventListener('paste', event => this.handlePaste(event));
+
+      // Send held-back deletes before the page goes away, since they can't be undone any more
+      window.addEventListener('pagehide', () => this.flushPendingDeletes());
+
+      // Follow route changes (links, Back/Forward), and save settings when they change
+      window.Router.subscribe(route => this.applyRoute(route));
+      this.loadSettings();
+      ['optimizeUploads', 'optimizeFormat', 'optimizeQuality', 'stripLocationDefault'].forEach(name => {
+        this.$watch(name, () => this.saveSettings());
+      });
+      this.$watch('filters', () => this.syncFiltersToRoute());
+      this.applyRoute(window.Router.current(), false);
+
       // Always ensure our component state is in sync with the global auth state
       this.isAuthenticated = window.authStatus.isAuthenticated;
       this.username = window.authStatus.username;
       this.authLoading = window.authStatus.loading;
+      this.authError = window.authStatus.error;
+      this.updateIdleTimer();
       
       // If the user is already authenticated on page load, fetch their photos.
       if (this.isAuthenticated) {
         console.log('User is authenticated on init, fetching photos...');
         this.fetchPhotos();
+        this.loadAlbums();
+        this.restoreInterruptedUploads();
+      }
+    },
+
+    // --- Routing ---
+
+    /**
+     * Updates the view for a route. Unknown routes go to the gallery; the photo route
+     * opens the lightbox over the view it was opened from. Moving between the gallery
+     * and an album reloads the photo list for it.
+     * @param {Object} route The route from `Router`.
+     * @param {boolean} [reload=true] Whether to fetch the photos if the album changed
+     *   (false while the caller fetches them itself).
+     */
+    applyRoute(route, reload = true) {
+      if (!route.known) {
+        window.Router.navigate('gallery', {}, { replace: true });
+        return;
+      }
+      this.route = route;
+      if (route.name === 'gallery' || route.name === 'album') {
+        this.filters = window.PhotoFilter.fromQuery(route.query);
+      }
+      const albumId = route.name === 'album'
+        ? route.params.id
+        : route.name === 'photo' ? this.activeAlbumId : null;
+      if (albumId !== this.activeAlbumId && !(route.name === 'upload' || route.name === 'settings')) {
+        this.activeAlbumId = albumId;
+        this.showAlbumSwitcher = false;
+        this.clearSelection();
+        this.resetPhotoList();
+        if (reload && this.isAuthenticated) {
+          this.fetchPhotos();
+        }
+      }
+      if (route.name === 'settings' && this.isAuthenticated) {
+        this.loadShares();
+      }
+      if (route.name === 'photo') {
+        if (this.photos.length > 0) {
+          this.openPhotoFromRoute();
+        }
+        return;
+      }
+      this.lightboxReturnRoute = route;
+      if (this.showModal) {
+        this.closePhotoModal();
+      }
+    },
+
+    /**
+     * Puts the current filters into the gallery or album route's query, replacing the
+     * history entry so typing a search doesn't add one per keystroke.
+     */
+    syncFiltersToRoute() {
+      if (this.route.name !== 'gallery' && this.route.name !== 'album') return;
+      window.Router.navigate(this.route.name, this.route.params, {
+        replace: true,
+        query: window.PhotoFilter.toQuery(this.filters)
+      });
+    },
+
+    /**
+     * The view to render. While the lightbox is open that is the view underneath it.
+     * @returns {string} 'gallery', 'album', 'upload' or 'settings'
+     */
+    currentView() {
+      return this.route.name === 'photo' ? this.lightboxReturnRoute.name : this.route.name;
+    },
+
+    /**
+     * Goes to a view, e.g. from a navigation link.
+     * @param {string} name The route name.
+     * @param {Object} [params] The route parameters.
+     */
+    navigate(name, params = {}) {
+      window.Router.navigate(name, params);
+    },
+
+    // --- Settings ---
+
+    /**
+     * Restores the upload settings saved by `saveSettings`. Anything not saved
+     * keeps its default from `AppConfig.upload`.
+     */
+    loadSettings() {
+      try {
+        const saved = JSON.parse(localStorage.getItem('photoGallerySettings') || '{}');
+        ['optimizeUploads', 'optimizeFormat', 'optimizeQuality', 'stripLocationDefault'].forEach(name => {
+          if (saved[name] !== undefined) this[name] = saved[name];
+        });
+      } catch (err) {
+        console.warn('Ignoring unreadable saved settings:', err);
       }
     },
 
+    /**
+     * Saves the upload settings chosen in the settings view.
+     */
+    saveSettings() {
+      localStorage.setItem('photoGallerySettings', JSON.stringify({
+        optimizeUploads: this.optimizeUploads,
+        optimizeFormat: this.optimizeFormat,
+        optimizeQuality: this.optimizeQuality,
+        stripLocationDefault: this.stripLocationDefault
+      }));
+    },
+
+    /**
+     * Describes the configuration in use for the settings view: the profile, how it was
+     * picked, the env file, where the main settings came from, and any warnings.
+     * @returns {Object} `{ profile, envFile, rows: [{ key, value, source }], warnings }`
+     */
+    configDiagnostics() {
+      const diagnostics = window.AppConfig.diagnostics;
+      const howPicked = {
+        query: 'chosen with ?profile=',
+        saved: 'chosen earlier in this tab with ?profile=',
+        host: `matched to ${window.location.hostname}`
+      };
+      const file = diagnostics.envFile;
+      const providerRows = window.AppConfig.auth_provider === 'oidc'
+        ? [
+          ['OIDC issuer', 'OIDC_ISSUER', window.AppConfig.oidc.issuer],
+          ['Client id', 'OIDC_CLIENT_ID', window.AppConfig.oidc.client_id]
+        ]
+        : [
+          ['Cognito domain', 'COGNITO_DOMAIN', window.AppConfig.cognito_hosted_ui_url || window.AppConfig.cognito_domain],
+          ['User pool', 'COGNITO_USER_POOL_ID', window.AppConfig.cognito.UserPoolId]
+        ];
+      const rows = [
+        ['Identity provider', 'AUTH_PROVIDER', window.AppConfig.auth_provider],
+        ...providerRows,
+        ['Redirect URI', 'REDIRECT_URI', window.AppConfig.redirect_uri],
+        ['Idle sign-out', 'SESSION_IDLE_TIMEOUT_MINUTES', window.AppConfig.session.idle_timeout > 0
+          ? `after ${window.AppConfig.session.idle_timeout / 60000} min`
+          : 'off'],
+        ['Photos API', 'API_PHOTOS_ENDPOINT', window.AppConfig.api.photos_endpoint],
+        ['Upload API', 'API_UPLOAD_ENDPOINT', window.AppConfig.api.upload_endpoint]
+      ].map(([label, key, value]) => ({ label, value, source: diagnostics.sources[key] }));
+      return {
+        profile: `${diagnostics.profile} (${howPicked[diagnostics.profileSource]})`,
+        envFile: file ? `${file.path}: ${file.found ? 'loaded' : file.error || 'not found'}` : 'none',
+        rows,
+        warnings: diagnostics.warnings
+      };
+    },
+
     // --- Photo Gallery Methods ---
 
     /**
-     * Fetches the list of photos from the backend API.
-     * It handles loading states, errors, and parsing the XML response.
+     * Fetches the first page of photos from the backend API.
+     * On the first load it fills the gallery; on later calls (refreshes) it merges
+     * the page into the photos already loaded by `id`, so scrolled-in pages are kept.
+     * It handles loading states and errors.
      */
     async fetchPhotos() {
       this.loading = true;
       this.error = null;
+      this.errorType = null;
+      const initialLoad = this.photos.length === 0;
+      const version = this.galleryVersion;
       try {
-        // Fetch photo data from the API endpoint defined in the global configuration.
-        const photosEndpoint = window.AppConfig.api.photos_endpoint;
-        console.log('Fetching photos from endpoint:', photosEndpoint);
-        const response = await fetch(photosEndpoint);
-        if (!response.ok) {
-          throw new Error('Network response was not ok');
+        const page = await this.requestPhotosPage(null);
+        if (version !== this.galleryVersion) return; // Switched album meanwhile
+        this.photos = this.mergePhotos(this.photos, page.photos, initialLoad ? 'append' : 'prepend');
+        this.invalidItems = this.mergePhotos(this.invalidItems, page.invalid, 'append');
+        if (initialLoad) {
+          this.nextPageKey = page.nextKey;
+          this.photoPagesLoaded = 1;
         }
+        this.updatePhotoTotal(page.total);
         
-        // The API returns JSON data with photo information
-        const data = await response.json();
-        console.log('Photo data received:', data);
-        
-        // Check if the data has the expected structure
-        if (data && data.Items && Array.isArray(data.Items)) {
-          // Convert the API response into our photo objects array
-          this.photos = data.Items.map(item => {
-            const thumbnailURL = item.ThumbnailURL ? item.ThumbnailURL.S : '';
-            const originalURL = item.OriginalImageURL ? item.OriginalImageURL.S : '';
-            const photoId = item.ImageMetadataPK ? item.ImageMetadataPK.S : '';
-            
-            // Extract metadata if available
-            let metadata = {};
-            if (item.Metadata && item.Metadata.M) {
-              if (item.Metadata.M.Format && item.Metadata.M.Format.S) {
-                metadata.format = item.Metadata.M.Format.S;
-              }
-              if (item.Metadata.M.Mode && item.Metadata.M.Mode.S) {
-                metadata.mode = item.Metadata.M.Mode.S;
-              }
-              if (item.Metadata.M.Size && item.Metadata.M.Size.L && 
-                  item.Metadata.M.Size.L[0] && item.Metadata.M.Size.L[1]) {
-                metadata.width = parseInt(item.Metadata.M.Size.L[0].N, 10);
-                metadata.height = parseInt(item.Metadata.M.Size.L[1].N, 10);
-              }
-            }
-            
-            return {
-              id: photoId,
-              thumbnailUrl: thumbnailURL,
-              url: originalURL,
-              metadata: metadata
-            };
-          });
-          
-          console.log('Processed photos:', this.photos);
-        } else {
-          console.error('Unexpected API response format:', data);
-          this.error = 'Unexpected API response format';
-          this.photos = [];
-        }
+        console.log('Processed photos:', this.photos);
       } catch (err) {
+        if (version !== this.galleryVersion) return;
         this.error = `Failed to fetch photos: ${err.message}`;
+        this.errorType = err.type || null;
         console.error(err);
       } finally {
-        this.loading = false;
+        if (version === this.galleryVersion) this.loading = false;
       }
-    },
 
-    // --- Upload Methods ---
-
-    /**
-     * Handles the file selection event from the input field.
-     * @param {Event} event The file input change event.
-     */
-    handleFileSelect(event) {
-      this.fileToUpload = event.target.files[0];
-      this.uploadError = null;
-      this.uploadSuccess = false;
-      if (this.fileToUpload) {
-        console.log(`File selected: ${this.fileToUpload.name}`);
+      // The first page may not fill the screen; keep loading until the sentinel is off-screen
+      this.$nextTick(() => this.loadMoreIfSentinelVisible());
+      if (initialLoad && !this.error && this.route.name === 'photo') {
+        this.openPhotoFromRoute();
       }
     },
 
     /**
-     * Orchestrates the file upload process.
-     * It gets a pre-signed URL and then uploads the file to S3.
+     * Loads the next page of photos (following `LastEvaluatedKey`) and appends it.
+     * Called by the infinite-scroll sentinel. Pages that come back empty but still
+     * have a `LastEvaluatedKey` (e.g. a filtered scan) are skipped over automatically.
      */
-    async uploadFile() {
-      if (!this.fileToUpload) {
-        this.uploadError = 'Please select a file to upload.';
+    async loadMorePhotos() {
+      if (!this.nextPageKey || this.loadingMore || this.loading) {
         return;
       }
-
-      this.uploading = true;
-      this.uploadProgress = 0;
-      this.uploadError = null;
-      this.uploadSuccess = false;
-
+      this.loadingMore = true;
+      this.loadMoreError = null;
+      const version = this.galleryVersion;
       try {
-        // 1. Request a pre-signed URL from our backend API.
-        const presignedUrl = await this.getPresignedUrl(this.fileToUpload);
-        // 2. Upload the file to S3 using the pre-signed URL.
-        await this.uploadToS3(presignedUrl, this.fileToUpload);
-
-        this.uploadSuccess = true;
-        this.fileToUpload = null; // Reset file input
-        
-        // Start image processing monitoring
-        this.startImageProcessingMonitor()
+        let added = 0;
+        let emptyPages = 0;
+        while (this.nextPageKey && added === 0 && emptyPages < 5) {
+          const page = await this.requestPhotosPage(this.nextPageKey, this.activeAlbumId, this.photoPagesLoaded + 1);
+          if (version !== this.galleryVersion) return; // Switched album meanwhile
+          const before = this.photos.length;
+          this.photos = this.mergePhotos(this.photos, page.photos, 'append');
+          this.invalidItems = this.mergePhotos(this.invalidItems, page.invalid, 'append');
+          this.nextPageKey = page.nextKey;
+          this.photoPagesLoaded++;
+          this.updatePhotoTotal(page.total);
+          added = this.photos.length - before;
+          if (added === 0) emptyPages++;
+        }
       } catch (err) {
-        this.uploadError = `Upload failed: ${err.message}`;
+        if (version !== this.galleryVersion) return;
+        this.loadMoreError = `Failed to load more photos: ${err.message}`;
         console.error(err);
       } finally {
-        this.uploading = false;
+        if (version === this.galleryVersion) this.loadingMore = false;
+      }
+
+      if (!this.loadMoreError) {
+        this.$nextTick(() => this.loadMoreIfSentinelVisible());
       }
     },
 
     /**
-     * Fetches a pre-signed URL from the backend API.
-     * @param {File} file The file to be uploaded.
-     * @returns {Promise<string>} A promise that resolves with the pre-signed URL.
+     * Requests one page of photos from the photos API.
+     * The page size is sent as `limit`, and the cursor (the previous response's
+     * `LastEvaluatedKey`) as the JSON-encoded `exclusiveStartKey` query parameter.
+     * Photos of a single album are requested with the `album` query parameter.
+     * @param {Object|null} startKey The `LastEvaluatedKey` to continue from, or null for the first page.
+     * @param {string|null} [albumId] The album to list; defaults to the one being shown.
+     * @param {number} [pageNumber] Which page this is (1 for the first), used to identify
+     *   malformed items that have no key.
+     * @returns {Promise<Object>} `{ photos, invalid, nextKey, total }`
      */
-    async getPresignedUrl(file) {
-      console.log('Getting presigned URL for file:', file.name);
-      const timestamp = Date.now();
-      const fileName = `${timestamp}-${file.name}`;
-      
-      // Use the direct upload endpoint from AppConfig with the filename appended
-      // This will perform a direct PUT upload to the S3 bucket through API Gateway
-      const uploadEndpoint = window.AppConfig.api.upload_endpoint;
-      const url = `${uploadEndpoint}${fileName}`;
+    async requestPhotosPage(startKey, albumId = this.activeAlbumId, pageNumber = 1) {
+      // Fetch photo data from the API endpoint defined in the global configuration.
+      // The API client attaches the token and retries transient failures.
+      const url = new URL(window.AppConfig.api.photos_endpoint, window.location.href);
+      url.searchParams.set('limit', window.AppConfig.api.photos_page_size);
+      if (startKey) {
+        url.searchParams.set('exclusiveStartKey', JSON.stringify(startKey));
+      }
+      if (albumId) {
+        url.searchParams.set('album', albumId);
+      }
+      console.log('Fetching photos from endpoint:', url.toString());
       
-      console.log('Generated upload URL:', url);
+      // The API returns JSON data with photo information
+      const data = await window.ApiClient.getJson(url.toString());
+      console.log('Photo data received:', data);
       
-      // In this case, we're directly using the API Gateway endpoint that allows PUT requests
-      // No need to get a presigned URL separately
-      return url;
+      // Check if the data has the expected structure
+      if (!data || !Array.isArray(data.Items)) {
+        console.error('Unexpected API response format:', data);
+        throw new window.ApiError('server', 'Unexpected API response format');
+      }
+      if (typeof data.Count === 'number' && data.Count !== data.Items.length) {
+        console.warn(`Photos page reports Count ${data.Count} but contains ${data.Items.length} items`);
+      }
+
+      // Convert the DynamoDB items into our photo objects, skipping (and reporting)
+      // any item that doesn't match the expected schema.
+      const { photos, invalid } = window.PhotoModel.parseItems(data.Items, pageNumber);
+      return {
+        photos,
+        invalid,
+        nextKey: data.LastEvaluatedKey || null,
+        // Only present if the backend counts the whole table; Count is per page
+        total: typeof data.TotalCount === 'number' ? data.TotalCount : null
+      };
     },
 
     /**
-     * Uploads the file to S3 using the provided pre-signed URL.
-     * @param {string} presignedUrl The URL for the S3 upload.
-     * @param {File} file The file to upload.
-     * @returns {Promise<void>} A promise that resolves when the upload is complete.
+     * Merges photos into a list by `id`. Photos already in the list are updated in place;
+     * new ones are added at the start ('prepend', for refreshes) or the end ('append').
+     * @param {Array<Object>} existing The current list.
+     * @param {Array<Object>} incoming The photos to merge in.
+     * @param {string} position Where new photos go: 'prepend' or 'append'.
+     * @returns {Array<Object>} The merged list.
      */
-    uploadToS3(presignedUrl, file) {
-      return new Promise((resolve, reject) => {
-        const xhr = new XMLHttpRequest();
-        xhr.open('PUT', presignedUrl, true);
-        
-        // Add content type header based on file type
-        xhr.setRequestHeader('Content-Type', file.type || 'application/octet-stream');
-        
-        // Add authorization header if we have a token
-        if (window.authStatus && window.authStatus.token) {
-          console.log('Adding authorization header for upload');
-          xhr.setRequestHeader('Authorization', `Bearer ${window.authStatus.token}`);
+    mergePhotos(existing, incoming, position) {
+      // Photos deleted but still within their undo period must not come back on a refresh
+      incoming = incoming.filter(photo => !this.pendingDeletes.some(entry => entry.photo.id === photo.id));
+      const byId = new Map(incoming.map(photo => [photo.id, photo]));
+      const merged = existing.map(photo => {
+        const update = byId.get(photo.id);
+        if (update) {
+          byId.delete(photo.id);
+          return update;
         }
-
-        xhr.upload.onprogress = (event) => {
-          if (event.lengthComputable) {
-            this.uploadProgress = Math.round((event.loaded / event.total) * 100);
-          }
-        };
-
-        xhr.onload = () => {
-          if (xhr.status >= 200 && xhr.status < 300) {
-            console.log('Upload successful!');
-            resolve();
-          } else {
-            console.error('Upload failed:', xhr.status, xhr.statusText, xhr.responseText);
-            reject(new Error(`Upload failed with status: ${xhr.status} - ${xhr.statusText}`));
-          }
-        };
-
-        xhr.onerror = (error) => {
-          console.error('Upload network error:', error);
-          reject(new Error('A network error occurred during the upload.'));
-        };
-
-        console.log('Sending file:', file.name, 'to URL:', presignedUrl);
-        xhr.send(file);
+        return photo;
       });
+      const added = incoming.filter(photo => byId.has(photo.id));
+      return position === 'prepend' ? added.concat(merged) : merged.concat(added);
     },
 
-    // --- Modal Methods ---
-
     /**
-     * Opens the modal to display a selected photo in full size.
-     * @param {Object} photo The photo object to display.
+     * Updates the known total number of photos.
+     * Uses the backend's `TotalCount` when it sends one; otherwise the total is only
+     * known once the last page (no `LastEvaluatedKey`) has been loaded.
+     * @param {number|null} total The total reported by the backend, if any.
+     */
+    updatePhotoTotal(total) {
+      if (total !== null) {
+        this.totalPhotos = Math.max(total, this.photos.length);
+      } else if (!this.nextPageKey) {
+        this.totalPhotos = this.photos.length;
+      } else if (this.totalPhotos !== null && this.totalPhotos < this.photos.length) {
+        this.totalPhotos = null;
+      }
+    },
+
+    /**
+     * The loaded photos that match the filters, in the chosen order. This is what the
+     * grid shows and what the lightbox moves through.
+     * @returns {Array<Object>}
+     */
+    visiblePhotos() {
+      return window.PhotoFilter.apply(this.photos, this.filters);
+    },
+
+    /**
+     * The choices for a metadata filter menu: the values among the loaded photos, plus
+     * the current one (which may have come from a shared link).
+     * @param {string} field 'format' or 'mode'.
+     * @returns {Array<string>}
+     */
+    filterOptions(field) {
+      const values = window.PhotoFilter.valuesOf(this.photos, field);
+      const current = this.filters[field];
+      return current && !values.includes(current) ? values.concat(current) : values;
+    },
+
+    /**
+     * Clears the search and filters, keeping the sort order.
+     */
+    clearFilters() {
+      this.filters = { ...window.PhotoFilter.DEFAULT_FILTERS, sort: this.filters.sort };
+    },
+
+    /**
+     * The text for the photo count in the gallery header, e.g. "40 loaded of 120".
+     * While filtering it counts the matches among the loaded photos.
+     * @returns {string}
+     */
+    photoCountLabel() {
+      const loaded = this.photos.length;
+      if (window.PhotoFilter.isFiltered(this.filters)) {
+        const matches = this.visiblePhotos().length;
+        const more = this.nextPageKey ? ', more available' : '';
+        return `${matches} of ${loaded} loaded ${loaded === 1 ? 'photo matches' : 'photos match'}${more}`;
+      }
+      if (this.totalPhotos !== null && this.totalPhotos > loaded) {
+        return `${loaded} loaded of ${this.totalPhotos}`;
+      }
+      if (this.nextPageKey) {
+        return `${loaded} loaded, more available`;
+      }
+      return `${loaded} photos`;
+    },
+
+    /**
+     * Sets up the IntersectionObserver that loads the next page when the sentinel
+     * below the photo grid scrolls into view. Called from the sentinel's `x-init`.
+     * @param {HTMLElement} sentinel The sentinel element.
+     */
+    observeScrollSentinel(sentinel) {
+      this.scrollSentinel = sentinel;
+      const observer = new IntersectionObserver(entries => {
+        if (entries.some(entry => entry.isIntersecting)) {
+          this.loadMorePhotos();
+        }
+      }, { rootMargin: '400px 0px' });
+      observer.observe(sentinel);
+    },
+
+    /**
+     * Loads another page if the sentinel is still within reach after a page was added.
+     * The observer only fires on changes, so a short page would otherwise stall scrolling.
+     */
+    loadMoreIfSentinelVisible() {
+      if (!this.scrollSentinel || !this.nextPageKey) {
+        return;
+      }
+      const rect = this.scrollSentinel.getBoundingClientRect();
+      if (rect.height >= 0 && rect.top - 400 < window.innerHeight && rect.top > -400) {
+        this.loadMorePhotos();
+      }
+    },
+
+    /**
+     * Resets the gallery, its pagination state, the albums, share links, held-back deletes
+     * and the processing watch, e.g. on logout.
+     */
+    resetGallery() {
+      this.discardPendingDeletes();
+      clearTimeout(this.processingTimer);
+      this.processingTimer = null;
+      this.pendingPhotos.forEach(pending => pending.previewUrl && URL.revokeObjectURL(pending.previewUrl));
+      this.pendingPhotos = [];
+      this.updateProcessingStatus();
+      this.albums = [];
+      this.shares = [];
+      this.shareDialog = null;
+      this.clearSelection();
+      this.resetPhotoList();
+    },
+
+    /**
+     * Drops the upload queue and the saved multipart uploads when the user signs out, so
+     * none of their files are uploaded, or resumed, in the next user's account. Running
+     * uploads are aborted; their multipart uploads on the server are left to the bucket's
+     * lifecycle rules, since there is no token to abort them with any more.
+     */
+    discardUploads() {
+      this.uploadQueue.forEach(item => item.controller && item.controller.abort());
+      this.uploadQueue = [];
+      this.uploading = false;
+      this.uploadProgress = 0;
+      this.uploadSummary = null;
+      this.uploadSuccess = false;
+      this.uploadError = null;
+      this.uploadErrorType = null;
+      this.skipSummary = null;
+      this.closeDuplicateReview();
+      if (this.editor) {
+        // Also while saving: the edited file has nowhere to go
+        this.editor.bitmap.close();
+        this.editor = null;
+      }
+      if (window.indexedDB) {
+        window.UploadStore.clear().catch(err => console.warn('Could not clear saved upload state:', err));
+      }
+    },
+
+    /**
+     * Empties the photo list and its pagination state, e.g. before showing another album.
+     */
+    resetPhotoList() {
+      this.galleryVersion++;
+      this.photos = [];
+      this.invalidItems = [];
+      this.nextPageKey = null;
+      this.totalPhotos = null;
+      this.photoPagesLoaded = 0;
+      this.loadMoreError = null;
+      this.loading = false;
+      this.loadingMore = false;
+    },
+
+    // --- Upload Methods ---
+
+    /**
+     * Handles the file selection event from the file and folder inputs.
+     * Every selected image is added to the upload queue.
+     * @param {Event} event The file input change event.
+     */
+    handleFileSelect(event) {
+      this.queueCollectedFiles(window.FileDrop.fromFileList(event.target.files));
+      // Reset the input so selecting the same files again triggers another change event
+      event.target.value = '';
+    },
+
+    /**
+     * Adds the images collected from a file input, drop or paste to the upload queue,
+     * and keeps a summary of the files that were left out.
+     * @param {Object} result `{ files, skipped }` from `FileDrop`.
+     */
+    queueCollectedFiles({ files, skipped }) {
+      if (skipped.length > 0) {
+        console.warn(`Skipped ${skipped.length} files:`, skipped);
+      }
+      this.skipSummary = skipped.length > 0 ? { added: files.length, skipped } : null;
+      if (files.length > 0) {
+        this.addFilesToQueue(files);
+      }
+    },
+
+    /**
+     * Whether dropped or pasted files are accepted now: when signed in, and not while
+     * the image editor is open.
+     * @returns {boolean}
+     */
+    canAcceptFiles() {
+      return this.isAuthenticated && !this.editor;
+    },
+
+    /**
+     * Shows the drop overlay when a drag with files enters the page.
+     * @param {DragEvent} event The dragenter event.
+     */
+    handleDragEnter(event) {
+      if (!window.FileDrop.hasFiles(event.dataTransfer)) return;
+      event.preventDefault();
+      if (!this.canAcceptFiles()) return;
+      this.dragDepth++;
+      this.dragActive = true;
+    },
+
+    /**
+     * Lets files be dropped anywhere on the page (the browser would otherwise open them).
+     * @param {DragEvent} event The dragover event.
+     */
+    handleDragOver(event) {
+      if (!window.FileDrop.hasFiles(event.dataTransfer)) return;
+      event.preventDefault();
+      event.dataTransfer.dropEffect = this.canAcceptFiles() ? 'copy' : 'none';
+    },
+
+    /**
+     * Hides the drop overlay once the drag has left the page.
+     * @param {DragEvent} event The dragleave event.
+     */
+    handleDragLeave(event) {
+      if (!window.FileDrop.hasFiles(event.dataTransfer)) return;
+      this.dragDepth = Math.max(0, this.dragDepth - 1);
+      if (this.dragDepth === 0) {
+        this.dragActive = false;
+      }
+    },
+
+    /**
+     * Queues the images dropped on the page, including those in dropped folders and
+     * their subfolders, and shows the upload view.
+     * @param {DragEvent} event The drop event.
+     */
+    async handleDrop(event) {
+      if (!window.FileDrop.hasFiles(event.dataTransfer)) return;
+      event.preventDefault();
+      this.dragDepth = 0;
+      this.dragActive = false;
+      if (!this.canAcceptFiles()) return;
+      // The dropped entries must be read before this handler returns
+      const collecting = window.FileDrop.fromDataTransfer(event.dataTransfer);
+      this.showUploadView();
+      try {
+        this.queueCollectedFiles(await collecting);
+      } catch (err) {
+        console.error('Could not read the dropped files:', err);
+        this.showToast('Could not read the dropped files.', { type: 'error' });
+      }
+    },
+
+    /**
+     * Queues images pasted from the clipboard, e.g. screenshots. Pastes without files
+     * (text into an input) are left to the browser.
+     * @param {ClipboardEvent} event The paste event.
+     */
+    handlePaste(event) {
+      if (!event.clipboardData || !this.canAcceptFiles()) return;
+      const result = window.FileDrop.fromClipboard(event.clipboardData);
+      if (result.files.length === 0 && result.skipped.length === 0) return;
+      event.preventDefault();
+      this.showUploadView();
+      this.queueCollectedFiles(result);
+    },
+
+    /**
+     * Switches to the upload view, so files added from elsewhere show up in the queue.
+     */
+    showUploadView() {
+      if (this.currentView() !== 'upload') {
+        this.navigate('upload');
+      }
+    },
+
+    /**
+     * Adds files to the upload queue. Each file first goes through the pre-upload
+     * pipeline ('preparing'), and ends up 'queued' or, if it fails the checks, 'invalid'.
+     * @param {Array<File>} files The files to add.
+     */
+    addFilesToQueue(files) {
+      this.uploadError = null;
+      this.uploadSuccess = false;
+      this.uploadSummary = null;
+      files.forEach(file => {
+        console.log(`File selected: ${file.name}`);
+        this.uploadQueue.push({
+          id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+          file: file,
+          originalSize: file.size,
+          status: 'preparing',
+          progress: 0,
+          error: null,
+          errorType: null,
+          controller: null,
+          key: null,
+          multipart: null,
+          resumedParts: 0,
+          exif: null,
+          stripLocation: this.stripLocationDefault,
+          locationStripped: false,
+          albumId: this.uploadAlbumId || null,
+          hashes: null,
+          duplicate: null,
+          edit: null
+        });
+        this.prepareQueueItem(this.uploadQueue[this.uploadQueue.length - 1]);
+      });
+    },
+
+    /**
+     * Runs a queue item through the pre-upload pipeline (type and magic-byte checks,
+     * size and dimension limits, EXIF orientation and optional optimisation), checks
+     * the original file for duplicates, and replaces its file with the prepared one.
+     * @param {Object} item The upload queue item.
+     */
+    async prepareQueueItem(item) {
+      const config = window.AppConfig.upload;
+      const original = item.file;
+      try {
+        const result = await window.ImagePipeline.prepare(item.file, {
+          allowedTypes: config.allowed_types,
+          maxBytes: config.max_bytes,
+          maxDimension: config.max_dimension,
+          optimize: this.optimizeUploads,
+          format: this.optimizeFormat,
+          quality: Number(this.optimizeQuality),
+          optimizeMaxDimension: config.optimize_max_dimension
+        });
+        if (item.status !== 'preparing') return; // Removed or cancelled meanwhile
+        if (config.duplicate_check) {
+          item.hashes = await window.ImageHash.compute(original);
+          if (item.status !== 'preparing') return;
+        }
+        item.file = result.file;
+        // Re-encoded files carry no metadata, so there is no location left to strip
+        item.exif = result.exif;
+        item.locationStripped = result.transformed;
+        item.duplicate = item.hashes ? this.findDuplicate(item) : null;
+        if (item.duplicate && item.duplicate.distance === 0) {
+          item.status = 'duplicate';
+          item.error = `Already ${item.duplicate.photo ? 'in your gallery' : 'in the queue'} as ${item.duplicate.name}`;
+          return;
+        }
+        if (item.duplicate) {
+          item.status = 'review';
+          return;
+        }
+        item.status = 'queued';
+        if (result.transformed) {
+          console.log(`Prepared ${item.file.name}: ${this.formatBytes(item.originalSize)} -> ${this.formatBytes(item.file.size)}`);
+        }
+        // Files that finish preparing while a batch is running join that batch
+        if (this.uploading) {
+          this.pumpUploadQueue();
+        }
+      } catch (err) {
+        if (item.status !== 'preparing') return;
+        item.status = 'invalid';
+        item.error = err.name === 'ValidationError' ? err.message : `Could not read the image: ${err.message}`;
+        console.warn(`Rejected ${item.file.name}:`, item.error);
+      }
+    },
+
+    /**
+     * Looks for a copy of a queue item's original among the loaded gallery photos (whose
+     * hashes were stored at upload, see `uploadMetadata`) and the files queued before it.
+     * Only loaded photos can be compared, so a copy further down the gallery may be missed.
+     * @param {Object} item The upload queue item, with `hashes`.
+     * @returns {Object|null} `{ photo, name, distance }`: distance 0 for an exact copy (`photo`
+     *   is null if it is another queue item), otherwise the closest similar gallery photo.
+     */
+    findDuplicate(item) {
+      const { sha256, dHash } = item.hashes;
+      const exact = this.photos.find(photo => photo.metadata.contentSha256 === sha256);
+      if (exact) {
+        return { photo: exact, name: this.photoTitle(exact), distance: 0 };
+      }
+      const queued = this.uploadQueue.find(other =>
+        other !== item && other.hashes && other.hashes.sha256 === sha256 &&
+        !['invalid', 'duplicate', 'cancelled'].includes(other.status) &&
+        this.uploadQueue.indexOf(other) < this.uploadQueue.indexOf(item));
+      if (queued) {
+        return { photo: null, name: queued.file.name, distance: 0 };
+      }
+      if (!dHash) return null;
+
+      const maxDistance = window.AppConfig.upload.near_duplicate_distance;
+      let closest = null;
+      this.photos.forEach(photo => {
+        const distance = window.ImageHash.distance(dHash, photo.metadata.dHash);
+        if (distance <= maxDistance && (!closest || distance < closest.distance)) {
+          closest = { photo, name: this.photoTitle(photo), distance };
+        }
+      });
+      return closest;
+    },
+
+    /**
+     * Opens the side-by-side comparison of a file held back as a near-duplicate.
+     * @param {Object} item The upload queue item.
+     */
+    openDuplicateReview(item) {
+      this.closeDuplicateReview();
+      this.duplicateReview = { item, previewUrl: URL.createObjectURL(item.file) };
+    },
+
+    /**
+     * Closes the duplicate comparison and releases its preview.
+     */
+    closeDuplicateReview() {
+      if (this.duplicateReview) {
+        URL.revokeObjectURL(this.duplicateReview.previewUrl);
+      }
+      this.duplicateReview = null;
+    },
+
+    /**
+     * Uploads a file held back as a near-duplicate after all. It joins the running batch,
+     * if there is one, or waits for the next.
+     * @param {Object} item The upload queue item.
+     */
+    uploadDuplicateAnyway(item) {
+      this.closeDuplicateReview();
+      if (item.status !== 'review') return;
+      item.status = 'queued';
+      if (this.uploading) {
+        this.pumpUploadQueue();
+      }
+    },
+
+    /**
+     * Drops a file held back as a near-duplicate.
+     * @param {Object} item The upload queue item.
+     */
+    skipDuplicate(item) {
+      this.closeDuplicateReview();
+      this.removeFromQueue(item);
+    },
+
+    /**
+     * Whether a queue item can be opened in the editor: it is waiting for the next batch,
+     * isn't an interrupted upload being resumed, and the browser can save its format again.
+     * @param {Object} item The upload queue item.
+     * @returns {boolean}
+     */
+    canEditItem(item) {
+      return !this.uploading && item.status === 'queued' && !item.multipart &&
+        window.ImageEditor.canEdit(item.edit ? item.edit.source : item.file);
+    },
+
+    /**
+     * Opens the editor on a queued file. A file that was edited before is reopened from
+     * its unedited version with the same edits, so editing again doesn't lose quality.
+     * @param {Object} item The upload queue item.
+     */
+    async openEditor(item) {
+      if (!this.canEditItem(item) || this.editor) return;
+      const source = item.edit ? item.edit.source : item.file;
+      let bitmap;
+      try {
+        bitmap = await createImageBitmap(source);
+      } catch (err) {
+        console.error(`Could not open ${source.name} in the editor:`, err);
+        this.showToast(`Could not open ${source.name} for editing.`, { type: 'error' });
+        return;
+      }
+      const state = item.edit ? this.copyEditState(item.edit.state) : window.ImageEditor.initialState();
+      this.editor = {
+        item,
+        bitmap,
+        state,
+        committed: this.copyEditState(state),
+        past: [],
+        future: [],
+        drag: null,
+        saving: false,
+        error: null
+      };
+      this.$nextTick(() => this.renderEditor());
+    },
+
+    /**
+     * Closes the editor without changing the file.
+     */
+    closeEditor() {
+      if (!this.editor || this.editor.saving) return;
+      this.editor.bitmap.close();
+      this.editor = null;
+    },
+
+    /**
+     * Copies an edit state, so history entries don't share objects with the live one.
+     * @param {Object} state The edit state.
+     * @returns {Object}
+     */
+    copyEditState(state) {
+      return JSON.parse(JSON.stringify(state));
+    },
+
+    /**
+     * Draws the editor's live preview.
+     */
+    renderEditor() {
+      if (!this.editor || !this.$refs.editorCanvas) return;
+      // Large enough to look sharp in the dialog, small enough to redraw while a slider moves
+      window.ImageEditor.renderPreview(this.$refs.editorCanvas, this.editor.bitmap, this.editor.state, 1200);
+    },
+
+    /**
+     * Records the current edit in the undo history, if it changed since the last one.
+     * Anything that was undone can no longer be redone.
+     */
+    commitEdit() {
+      const editor = this.editor;
+      if (!editor) return;
+      if (JSON.stringify(editor.state) === JSON.stringify(editor.committed)) return;
+      editor.past.push(editor.committed);
+      if (editor.past.length > 100) editor.past.shift();
+      editor.committed = this.copyEditState(editor.state);
+      editor.future = [];
+    },
+
+    /**
+     * Applies one of the `ImageEditor` state changes, records it and redraws.
+     * @param {Function} change `(state, width, height) => newState`
+     */
+    applyEdit(change) {
+      if (!this.editor || this.editor.saving) return;
+      const { width, height } = this.editor.bitmap;
+      this.editor.state = change(this.editor.state, width, height);
+      this.commitEdit();
+      this.renderEditor();
+    },
+
+    /**
+     * Rotates the image a quarter turn.
+     * @param {number} direction 1 for clockwise, -1 for anticlockwise.
+     */
+    rotateEdit(direction) {
+      this.applyEdit((state, width, height) => window.ImageEditor.rotate(state, direction, width, height));
+    },
+
+    /**
+     * Flips the image.
+     * @param {string} axis 'x' (horizontally) or 'y' (vertically).
+     */
+    flipEdit(axis) {
+      this.applyEdit(state => window.ImageEditor.flip(state, axis));
+    },
+
+    /**
+     * Chooses the crop's aspect ratio; the crop becomes the largest centred one.
+     * @param {string} aspect A key of `ImageEditor.ASPECTS`.
+     */
+    setEditAspect(aspect) {
+      this.applyEdit((state, width, height) => window.ImageEditor.setAspect(state, aspect, width, height));
+    },
+
+    /**
+     * Removes all edits. Like any other change, this can be undone.
+     */
+    resetEdit() {
+      this.applyEdit(() => window.ImageEditor.initialState());
+    },
+
+    /**
+     * Goes back to the previous edit in the history.
+     */
+    undoEdit() {
+      const editor = this.editor;
+      if (!editor || editor.saving || editor.past.length === 0) return;
+      editor.future.push(editor.committed);
+      editor.committed = editor.past.pop();
+      editor.state = this.copyEditState(editor.committed);
+      this.renderEditor();
+    },
+
+    /**
+     * Reapplies the last undone edit.
+     */
+    redoEdit() {
+      const editor = this.editor;
+      if (!editor || editor.saving || editor.future.length === 0) return;
+      editor.past.push(editor.committed);
+      editor.committed = editor.future.pop();
+      editor.state = this.copyEditState(editor.committed);
+      this.renderEditor();
+    },
+
+    /**
+     * Starts moving the crop, or resizing it from a corner.
+     * @param {PointerEvent} event The pointerdown event.
+     * @param {string} handle 'move', or the corner: 'nw', 'ne', 'sw' or 'se'.
+     */
+    startCropDrag(event, handle) {
+      if (!this.editor || this.editor.saving || !this.$refs.editorCanvas) return;
+      const rect = this.$refs.editorCanvas.getBoundingClientRect();
+      this.editor.drag = {
+        handle,
+        startX: event.clientX,
+        startY: event.clientY,
+        width: rect.width,
+        height: rect.height,
+        crop: { ...this.editor.state.crop }
+      };
+    },
+
+    /**
+     * Moves or resizes the crop with the pointer.
+     * @param {PointerEvent} event The pointermove event.
+     */
+    moveCropDrag(event) {
+      const editor = this.editor;
+      if (!editor || !editor.drag) return;
+      const drag = editor.drag;
+      const ratio = window.ImageEditor.cropFractionRatio(editor.state, editor.bitmap.width, editor.bitmap.height);
+      editor.state.crop = window.ImageEditor.dragCrop(
+        drag.crop,
+        drag.handle,
+        (event.clientX - drag.startX) / drag.width,
+        (event.clientY - drag.startY) / drag.height,
+        ratio
+      );
+    },
+
+    /**
+     * Ends a crop drag and records it in the undo history.
+     */
+    endCropDrag() {
+      if (!this.editor || !this.editor.drag) return;
+      this.editor.drag = null;
+      this.commitEdit();
+    },
+
+    /**
+     * Keyboard handling for the open editor: Escape cancels, Ctrl/Cmd+Z undoes, and
+     * Ctrl/Cmd+Shift+Z or Ctrl+Y redoes.
+     * @param {KeyboardEvent} event The keydown event.
+     */
+    handleEditorKeydown(event) {
+      if (!this.editor) return;
+      const key = event.key.toLowerCase();
+      if (event.key === 'Escape') {
+        this.closeEditor();
+      } else if ((event.ctrlKey || event.metaKey) && key === 'z') {
+        event.preventDefault();
+        if (event.shiftKey) this.redoEdit();
+        else this.undoEdit();
+      } else if (event.ctrlKey && key === 'y') {
+        event.preventDefault();
+        this.redoEdit();
+      }
+    },
+
+    /**
+     * Renders the edited image at full size and puts it in the queue in place of the file,
+     * with the same name and type; `uploadFile` then uploads it like any other. Saving
+     * without edits puts the unedited file back.
+     */
+    async saveEdit() {
+      const editor = this.editor;
+      if (!editor || editor.saving) return;
+      const item = editor.item;
+      const source = item.edit ? item.edit.source : item.file;
+      const locationStripped = item.edit ? item.edit.locationStripped : item.locationStripped;
+      editor.saving = true;
+      editor.error = null;
+      try {
+        if (window.ImageEditor.isUnchanged(editor.state)) {
+          item.file = source;
+          item.locationStripped = locationStripped;
+          item.edit = null;
+        } else {
+          item.file = await window.ImageEditor.exportFile(editor.bitmap, editor.state, source);
+          // The re-encoded file has no metadata, so no location either
+          item.locationStripped = true;
+          item.edit = { source, state: this.copyEditState(editor.state), locationStripped };
+          console.log(`Edited ${item.file.name}: ${this.formatBytes(source.size)} -> ${this.formatBytes(item.file.size)}`);
+        }
+      } catch (err) {
+        console.error(`Could not save the edits to ${source.name}:`, err);
+        editor.error = err.message;
+        editor.saving = false;
+        return;
+      }
+      editor.saving = false;
+      this.closeEditor();
+    },
+
+    /**
+     * Puts multipart uploads that were interrupted (e.g. by closing the page) back in
+     * the queue, using the file and part state saved in IndexedDB. Starting the queue
+     * resumes them after the last completed part.
+     */
+    async restoreInterruptedUploads() {
+      if (!window.AppConfig.api.multipart_endpoint || !window.indexedDB) {
+        return;
+      }
+      try {
+        const records = await window.UploadStore.list(window.authStatus.userId);
+        records.forEach(record => {
+          const alreadyQueued = this.uploadQueue.some(item =>
+            item.multipart && item.multipart.fingerprint === record.fingerprint);
+          if (alreadyQueued) return;
+          console.log(`Found interrupted upload of ${record.fileName} (${record.parts.length} parts done)`);
+          this.uploadQueue.push({
+            id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+            file: record.file,
+            originalSize: record.file.size,
+            status: 'queued',
+            progress: Math.round((record.parts.length * record.partSize / record.file.size) * 100),
+            error: null,
+            errorType: null,
+            controller: null,
+            key: record.key,
+            multipart: { fingerprint: record.fingerprint, key: record.key, uploadId: record.uploadId },
+            resumedParts: record.parts.length,
+            // The saved file was already cleaned (or not) when the upload started
+            exif: null,
+            stripLocation: false,
+            locationStripped: false,
+            albumId: record.albumId || null,
+            // Already checked before the upload started
+            hashes: null,
+            duplicate: null,
+            edit: null
+          });
+        });
+      } catch (err) {
+        console.warn('Could not read interrupted uploads:', err);
+      }
+    },
+
+    /**
+     * Starts uploading every queued file, at most `AppConfig.upload.concurrency` at a time.
+     */
+    startUploads() {
+      if (!this.uploadQueue.some(item => item.status === 'queued')) {
+        this.uploadError = 'Please select a file to upload.';
+        return;
+      }
+      this.uploadError = null;
+      this.uploadErrorType = null;
+      this.uploadSuccess = false;
+      this.uploadSummary = null;
+      this.uploading = true;
+      this.pumpUploadQueue();
+    },
+
+    /**
+     * Starts queued uploads until the concurrency limit is reached.
+     * When nothing is queued or uploading any more, the batch is finished off.
+     */
+    pumpUploadQueue() {
+      const limit = Math.max(1, window.AppConfig.upload.concurrency);
+      let active = this.uploadQueue.filter(item => item.status === 'uploading').length;
+
+      for (const item of this.uploadQueue) {
+        if (active >= limit) break;
+        if (item.status !== 'queued') continue;
+        active++;
+        this.uploadFile(item).finally(() => this.pumpUploadQueue());
+      }
+
+      this.updateUploadProgress();
+      if (active === 0 && this.uploading) {
+        this.finishUploadBatch();
+      }
+    },
+
+    /**
+     * Orchestrates the upload of one queue item.
+     * Files at or above `AppConfig.upload.multipart_threshold` are uploaded in resumable
+     * chunks; everything else gets a pre-signed URL and is uploaded to S3 in one request.
+     * Errors are recorded on the item rather than thrown.
+     * @param {Object} item The upload queue item.
+     */
+    async uploadFile(item) {
+      item.status = 'uploading';
+      item.progress = 0;
+      item.error = null;
+      item.errorType = null;
+      item.controller = new AbortController();
+      const signal = item.controller.signal;
+      const onProgress = (percent) => {
+        item.progress = percent;
+        this.updateUploadProgress();
+      };
+
+      try {
+        await this.applyLocationPreference(item);
+        const metadata = this.uploadMetadata(item);
+        if (this.usesMultipartUpload(item.file)) {
+          item.key = await this.uploadMultipart(item, { signal, onProgress, metadata });
+        } else {
+          // 1. Request a pre-signed URL from our backend API.
+          const target = await this.getPresignedUrl(item.file, metadata);
+          item.key = target.key;
+          // 2. Upload the file to S3 using the pre-signed URL.
+          await this.uploadToS3(target.url, item.file, {
+            presigned: target.presigned,
+            metadata,
+            signal,
+            onProgress
+          });
+        }
+
+        item.status = 'done';
+        item.progress = 100;
+        this.trackProcessing(item);
+      } catch (err) {
+        if (err.name === 'AbortError') {
+          console.log(`Upload of ${item.file.name} cancelled`);
+          item.status = 'cancelled';
+        } else {
+          item.status = 'failed';
+          item.error = err.message;
+          item.errorType = err.type || null;
+          console.error(err);
+        }
+      } finally {
+        item.controller = null;
+      }
+    },
+
+    /**
+     * Removes the GPS tags from an item's file when its "strip location data" option
+     * is on. The tags are zeroed in place, so the file keeps its size and name.
+     * The whole file is searched even if `item.exif` has no location, in case that
+     * was read from only part of the file.
+     * @param {Object} item The upload queue item.
+     */
+    async applyLocationPreference(item) {
+      if (!item.stripLocation || item.locationStripped) {
+        return;
+      }
+      const bytes = new Uint8Array(await item.file.arrayBuffer());
+      const result = window.Exif.stripGps(bytes);
+      if (result.removed) {
+        item.file = new File([result.bytes], item.file.name, {
+          type: item.file.type,
+          lastModified: item.file.lastModified
+        });
+        console.log(`Removed location data from ${item.file.name}`);
+      }
+      item.locationStripped = true;
+    },
+
+    /**
+     * Builds the metadata sent along with an upload: the target album, the original
+     * file's hashes (for later duplicate checks) and its EXIF/XMP data. The location is
+     * left out when it was stripped from the file.
+     * @param {Object} item The upload queue item.
+     * @returns {Object} Metadata values by name, e.g. `{ 'capture-date': '2024-05-01T10:00:00' }`
+     */
+    uploadMetadata(item) {
+      const exif = item.exif || {};
+      const hashes = item.hashes || {};
+      const metadata = {
+        'album-id': item.albumId,
+        'content-sha256': hashes.sha256,
+        dhash: hashes.dHash,
+        'capture-date': exif.captureDate,
+        camera: exif.camera,
+        lens: exif.lens,
+        exposure: window.Exif.formatExposure(item.exif)
+      };
+      if (exif.gps && !item.stripLocation) {
+        metadata.location = `${exif.gps.latitude.toFixed(6)},${exif.gps.longitude.toFixed(6)}`;
+      }
+      Object.keys(metadata).forEach(name => {
+        if (!metadata[name]) delete metadata[name];
+      });
+      return metadata;
+    },
+
+    /**
+     * Whether a file should be uploaded in chunks.
+     * @param {File} file The file to upload.
+     * @returns {boolean}
+     */
+    usesMultipartUpload(file) {
+      return Boolean(window.AppConfig.api.multipart_endpoint) &&
+        file.size >= window.AppConfig.upload.multipart_threshold;
+    },
+
+    /**
+     * Uploads a file as an S3 multipart upload through presigned part URLs.
+     * The upload id and the ETag of every completed part are saved in IndexedDB
+     * (see `upload-store.js`), so a failed, cancelled or interrupted upload continues
+     * after the last completed part instead of starting over.
+     * @param {Object} item The upload queue item.
+     * @param {Object} options `{ signal, onProgress, metadata }`
+     * @returns {Promise<string>} The object key of the uploaded file.
+     */
+    async uploadMultipart(item, { signal, onProgress, metadata }) {
+      const file = item.file;
+      const endpoint = window.AppConfig.api.multipart_endpoint;
+      const partSize = window.AppConfig.upload.part_size;
+      const contentType = file.type || 'application/octet-stream';
+      const owner = window.authStatus.userId;
+      const fingerprint = window.UploadStore.fingerprint(file, owner);
+
+      let record = await window.UploadStore.get(fingerprint).catch(err => {
+        console.warn('Could not read saved upload state:', err);
+        return undefined;
+      });
+      if (record && record.partSize !== partSize) {
+        // The part size changed since this upload started; its parts can't be reused
+        await this.discardMultipartUpload(record);
+        record = undefined;
+      }
+
+      if (record) {
+        console.log(`Resuming multipart upload of ${file.name} after ${record.parts.length} parts`);
+      } else {
+        const key = `${Date.now()}-${file.name}`;
+        const created = await window.ApiClient.request(`${endpoint}create`, {
+          method: 'POST',
+          json: { key, contentType, metadata },
+          signal
+        });
+        record = {
+          fingerprint,
+          owner,
+          key,
+          uploadId: created.uploadId,
+          partSize,
+          parts: [],
+          file,
+          fileName: file.name,
+          albumId: item.albumId,
+          createdAt: Date.now()
+        };
+        await this.saveMultipartRecord(record);
+      }
+      item.multipart = { fingerprint, key: record.key, uploadId: record.uploadId };
+
+      const partCount = Math.max(1, Math.ceil(file.size / partSize));
+      const completed = new Set(record.parts.map(part => part.PartNumber));
+      let uploadedBytes = record.parts.reduce((sum, part) =>
+        sum + Math.min(partSize, file.size - (part.PartNumber - 1) * partSize), 0);
+      onProgress(Math.round((uploadedBytes / file.size) * 100));
+
+      for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+        if (completed.has(partNumber)) continue;
+
+        const start = (partNumber - 1) * partSize;
+        const chunk = file.slice(start, Math.min(start + partSize, file.size));
+        const { url } = await window.ApiClient.request(`${endpoint}sign-part`, {
+          method: 'POST',
+          json: { key: record.key, uploadId: record.uploadId, partNumber },
+          signal
+        });
+
+        const result = await window.ApiClient.upload(url, chunk, {
+          authenticate: false,
+          signal,
+          onProgress: (percent) => {
+            const sent = uploadedBytes + chunk.size * percent / 100;
+            onProgress(Math.min(99, Math.round((sent / file.size) * 100)));
+          }
+        });
+        const etag = result.getHeader('ETag');
+        if (!etag) {
+          throw new Error(`No ETag returned for part ${partNumber}. The bucket's CORS rules must expose the ETag header.`);
+        }
+
+        record.parts.push({ PartNumber: partNumber, ETag: etag });
+        uploadedBytes += chunk.size;
+        await this.saveMultipartRecord(record);
+      }
+
+      await window.ApiClient.request(`${endpoint}complete`, {
+        method: 'POST',
+        json: {
+          key: record.key,
+          uploadId: record.uploadId,
+          parts: record.parts.slice().sort((a, b) => a.PartNumber - b.PartNumber)
+        },
+        signal
+      });
+      await window.UploadStore.remove(fingerprint).catch(() => {});
+      item.multipart = null;
+      console.log(`Multipart upload of ${file.name} completed in ${partCount} parts`);
+      return record.key;
+    },
+
+    /**
+     * Saves multipart progress. A storage failure only costs the ability to resume,
+     * so it is logged rather than failing the upload. Nothing is saved once the record's
+     * owner has signed out (see `discardUploads`).
+     * @param {Object} record The upload record.
+     */
+    async saveMultipartRecord(record) {
+      if (record.owner !== window.authStatus.userId) return;
+      try {
+        await window.UploadStore.save(record);
+      } catch (err) {
+        console.warn('Could not save upload state; this upload will not be resumable:', err);
+      }
+    },
+
+    /**
+     * Aborts a multipart upload on the server and forgets its saved state.
+     * @param {Object} multipart `{ fingerprint, key, uploadId }` of the upload.
+     */
+    async discardMultipartUpload(multipart) {
+      try {
+        await window.ApiClient.request(`${window.AppConfig.api.multipart_endpoint}abort`, {
+          method: 'POST',
+          json: { key: multipart.key, uploadId: multipart.uploadId },
+          retries: 0
+        });
+      } catch (err) {
+        // S3 lifecycle rules clean up abandoned multipart uploads eventually
+        console.warn('Could not abort multipart upload:', err);
+      }
+      await window.UploadStore.remove(multipart.fingerprint).catch(() => {});
+    },
+
+    /**
+     * Cancels a queued or running upload. A running upload's XHR is aborted.
+     * @param {Object} item The upload queue item.
+     */
+    cancelUpload(item) {
+      if (item.status === 'uploading' && item.controller) {
+        item.controller.abort();
+      } else if (item.status === 'queued' || item.status === 'preparing') {
+        item.status = 'cancelled';
+        this.pumpUploadQueue();
+      }
+    },
+
+    /**
+     * Puts a failed or cancelled upload back in the queue and restarts the queue.
+     * @param {Object} item The upload queue item.
+     */
+    retryUpload(item) {
+      item.status = 'queued';
+      item.progress = 0;
+      item.error = null;
+      item.errorType = null;
+      this.startUploads();
+    },
+
+    /**
+     * Removes an item that is not currently uploading from the queue.
+     * A partially uploaded multipart file is aborted, so it can no longer be resumed.
+     * @param {Object} item The upload queue item.
+     */
+    removeFromQueue(item) {
+      if (item.status === 'uploading') return;
+      if (item.multipart) {
+        this.discardMultipartUpload(item.multipart);
+      }
+      this.uploadQueue = this.uploadQueue.filter(queued => queued !== item);
+    },
+
+    /**
+     * Removes every finished (done, cancelled, invalid or duplicate) item from the queue.
+     */
+    clearFinishedUploads() {
+      this.uploadQueue
+        .filter(item => item.status === 'cancelled' && item.multipart)
+        .forEach(item => this.discardMultipartUpload(item.multipart));
+      this.uploadQueue = this.uploadQueue.filter(item =>
+        !['done', 'cancelled', 'invalid', 'duplicate'].includes(item.status));
+      this.uploadSummary = null;
+    },
+
+    /**
+     * Recomputes the aggregate batch progress, weighting each item by its file size.
+     */
+    updateUploadProgress() {
+      const batch = this.uploadQueue.filter(item =>
+        !['cancelled', 'invalid', 'preparing', 'duplicate', 'review'].includes(item.status));
+      const totalBytes = batch.reduce((sum, item) => sum + (item.file.size || 1), 0);
+      if (totalBytes === 0) {
+        this.uploadProgress = 0;
+        return;
+      }
+      const sentBytes = batch.reduce((sum, item) => {
+        const progress = item.status === 'done' || item.status === 'failed' ? 100 : item.progress;
+        return sum + (item.file.size || 1) * progress / 100;
+      }, 0);
+      this.uploadProgress = Math.round((sentBytes / totalBytes) * 100);
+    },
+
+    /**
+     * Called when the queue drains: records the summary. Each uploaded file is
+     * already being watched for (see `trackProcessing`).
+     */
+    finishUploadBatch() {
+      this.uploading = false;
+      const count = status => this.uploadQueue.filter(item => item.status === status).length;
+      this.uploadSummary = {
+        done: count('done'),
+        failed: count('failed'),
+        cancelled: count('cancelled')
+      };
+      console.log('Upload batch finished:', this.uploadSummary);
+
+      if (this.uploadSummary.done > 0) {
+        this.uploadSuccess = true;
+      }
+    },
+
+    /**
+     * Counts the queue items in a given status.
+     * @param {string} status The status to count.
+     * @returns {number}
+     */
+    queueCount(status) {
+      return this.uploadQueue.filter(item => item.status === status).length;
+    },
+
+    /**
+     * Fetches a pre-signed URL from the backend API.
+     * The object key is `${timestamp}-${file.name}`. When `AppConfig.api.presign_endpoint`
+     * is configured it is asked for a presigned S3 PUT URL for that key; otherwise the
+     * file is PUT directly to the bucket through the API Gateway upload endpoint.
+     * @param {File} file The file to be uploaded.
+     * @param {Object} [metadata] Metadata the presigned URL must allow (see `uploadMetadata`).
+     * @returns {Promise<Object>} `{ url, key, presigned }`, where `presigned` tells whether
+     *   the URL carries its own signature (and so must not get an Authorization header).
+     */
+    async getPresignedUrl(file, metadata = {}) {
+      console.log('Getting presigned URL for file:', file.name);
+      const timestamp = Date.now();
+      const fileName = `${timestamp}-${file.name}`;
+      
+      const presignEndpoint = window.AppConfig.api.presign_endpoint;
+      if (presignEndpoint) {
+        const response = await window.ApiClient.request(presignEndpoint, {
+          method: 'POST',
+          json: { key: fileName, contentType: file.type || 'application/octet-stream', metadata }
+        });
+        if (!response || !response.url) {
+          throw new Error('The presign endpoint did not return an upload URL');
+        }
+        console.log('Received presigned upload URL for:', fileName);
+        return { url: response.url, key: fileName, presigned: true };
+      }
+      
+      // Use the direct upload endpoint from AppConfig with the filename appended
+      // This will perform a direct PUT upload to the S3 bucket through API Gateway
+      const uploadEndpoint = window.AppConfig.api.upload_endpoint;
+      const url = `${uploadEndpoint}${fileName}`;
+      
+      console.log('Generated upload URL:', window.LogRedaction.text(url));
+      return { url, key: fileName, presigned: false };
+    },
+
+    /**
+     * Uploads the file to S3 using the provided pre-signed URL.
+     * The API client attaches the Authorization header, waits for any pending
+     * token refresh and retries transient failures.
+     * @param {string} presignedUrl The URL for the S3 upload.
+     * @param {File} file The file to upload.
+     * @param {Object} [options] `{ presigned, metadata, onProgress, signal }`; aborting `signal`
+     *   cancels the upload. A `presigned` URL is sent without the Authorization header.
+     *   `metadata` is sent as `x-amz-meta-*` headers, URI-encoded since S3 only accepts ASCII.
+     * @returns {Promise<void>} A promise that resolves when the upload is complete.
+     */
+    async uploadToS3(presignedUrl, file, options = {}) {
+      console.log('Sending file:', file.name, 'to URL:', window.LogRedaction.text(presignedUrl));
+      const headers = {
+        // Add content type header based on file type
+        'Content-Type': file.type || 'application/octet-stream'
+      };
+      Object.keys(options.metadata || {}).forEach(name => {
+        headers[`x-amz-meta-${name}`] = encodeURIComponent(options.metadata[name]);
+      });
+      await window.ApiClient.upload(presignedUrl, file, {
+        headers,
+        authenticate: !options.presigned,
+        onProgress: options.onProgress,
+        signal: options.signal
+      });
+      console.log('Upload successful!');
+    },
+
+    // --- Modal Methods ---
+
+    /**
+     * Opens the lightbox on a photo and goes to its `#/photo/<id>` route.
+     * @param {Object} photo The photo object to display.
      */
     openPhotoModal(photo) {
+      if (!this.showModal) {
+        this.modalReturnFocus = document.activeElement;
+      }
+      this.showLightboxPhoto(photo);
+      this.showModal = true;
+      window.Router.navigate('photo', { id: photo.id });
+      this.$nextTick(() => this.$refs.lightbox && this.$refs.lightbox.focus());
+    },
+
+    /**
+     * Shows a photo in the open lightbox: resets the zoom, waits for the full-size
+     * image to load and preloads the neighbouring originals.
+     * @param {Object} photo The photo object to display.
+     */
+    showLightboxPhoto(photo) {
       this.selectedPhoto = photo;
+      this.editingDetails = false;
+      this.resetZoom();
       this.modalLoading = true;
-      this.showModal = true;
 
-      const img = new Image();
-      img.src = photo.url;
-      img.onload = () => {
-        this.modalLoading = false;
+      const img = new Image();
+      img.src = photo.url;
+      img.onload = () => {
+        if (this.selectedPhoto === photo) this.modalLoading = false;
+      };
+      img.onerror = () => {
+        console.error('Failed to load full-size image for modal.');
+        if (this.selectedPhoto === photo) this.modalLoading = false;
+      };
+
+      const visible = this.visiblePhotos();
+      const index = this.selectedIndex();
+      [index - 1, index + 1].forEach(neighbour => {
+        if (index !== -1 && neighbour >= 0 && neighbour < visible.length) {
+          new Image().src = visible[neighbour].url;
+        }
+      });
+    },
+
+    /**
+     * Closes the lightbox, goes back to the view it was opened from and returns focus
+     * to where it was before the lightbox opened.
+     */
+    closePhotoModal() {
+      if (!this.showModal) return;
+      this.showModal = false;
+      if (this.route.name === 'photo') {
+        this.returnFromLightbox();
+      }
+      if (this.modalReturnFocus && this.modalReturnFocus.focus) {
+        this.modalReturnFocus.focus();
+      }
+      this.modalReturnFocus = null;
+      setTimeout(() => {
+        if (this.showModal) return;
+        this.selectedPhoto = null;
+        this.modalLoading = false;
+      }, 300); // Should match the modal's closing transition duration
+    },
+
+    /**
+     * Goes back to the view (and filters) the lightbox was opened from.
+     */
+    returnFromLightbox() {
+      const { name, params, query } = this.lightboxReturnRoute;
+      window.Router.navigate(name, params, { replace: true, query });
+    },
+
+    /**
+     * The position of the open photo among the photos shown in the grid, or -1.
+     * @returns {number}
+     */
+    selectedIndex() {
+      if (!this.selectedPhoto) return -1;
+      return this.visiblePhotos().findIndex(photo => photo.id === this.selectedPhoto.id);
+    },
+
+    /**
+     * The lightbox's position text, e.g. "3 of 120". Without a total from the backend
+     * (see `updatePhotoTotal`) it counts the loaded photos, e.g. "3 of 50+" while more pages
+     * remain; while filtering it counts the matches among them.
+     * @returns {string}
+     */
+    lightboxPositionLabel() {
+      const index = this.selectedIndex();
+      if (index < 0) return '';
+      const more = this.nextPageKey ? '+' : '';
+      if (window.PhotoFilter.isFiltered(this.filters)) {
+        return `${index + 1} of ${this.visiblePhotos().length}${more}`;
+      }
+      if (this.totalPhotos !== null) {
+        return `${index + 1} of ${this.totalPhotos}`;
+      }
+      return `${index + 1} of ${this.photos.length}${more}`;
+    },
+
+    /**
+     * Keeps the lightbox's keys (see `PhotoView.mixin`) from dialogs on top of it and
+     * from the title and caption form.
+     * @param {KeyboardEvent} event The keydown event.
+     * @returns {boolean} Whether the key is not the lightbox's
+     */
+    interceptLightboxKey(event) {
+      if (this.confirmation || this.albumDialog || this.shareDialog) {
+        // The confirmation dialog is on top and handles its own keys
+        return true;
+      }
+      if (event.target.matches && event.target.matches('input, textarea, select')) {
+        // Typing in the title/caption form; only Escape (cancel) and Tab are ours
+        if (event.key === 'Escape') {
+          event.preventDefault();
+          this.editingDetails = false;
+        } else if (event.key === 'Tab') {
+          this.trapFocus(event);
+        }
+        return true;
+      }
+      return false;
+    },
+
+    /**
+     * Whether there is a photo before (-1) or after (1) the open one; after the last
+     * loaded photo, that is while more pages remain.
+     * @param {number} step -1 or 1.
+     * @returns {boolean}
+     */
+    hasAdjacentPhoto(step) {
+      const index = this.selectedIndex();
+      if (index < 0) return false;
+      return step < 0 ? index > 0 : index < this.visiblePhotos().length - 1 || Boolean(this.nextPageKey);
+    },
+
+    /**
+     * Moves the lightbox to the previous (-1) or next (1) photo in the grid's order.
+     * Moving past the last loaded photo loads the next page first.
+     * @param {number} step -1 or 1.
+     */
+    async showAdjacentPhoto(step) {
+      let index = this.selectedIndex();
+      if (index === -1) return;
+      if (step > 0 && index === this.visiblePhotos().length - 1 && this.nextPageKey) {
+        await this.loadMorePhotos();
+        index = this.selectedIndex();
+      }
+      const next = this.visiblePhotos()[index + step];
+      if (!next) return;
+      this.showLightboxPhoto(next);
+      // Moving between photos replaces the history entry, so Back closes the lightbox
+      window.Router.navigate('photo', { id: next.id }, { replace: true });
+    },
+
+    /**
+     * Opens the photo named by the `photo` route, loading further pages until it is
+     * found. A photo that doesn't exist leads back to the gallery.
+     */
+    async openPhotoFromRoute() {
+      if (this.route.name !== 'photo' || !this.isAuthenticated) return;
+      const id = this.route.params.id;
+      if (this.showModal && this.selectedPhoto && this.selectedPhoto.id === id) return;
+
+      let photo = this.photos.find(candidate => candidate.id === id);
+      while (!photo && this.nextPageKey && !this.loadMoreError) {
+        await this.loadMorePhotos();
+        photo = this.photos.find(candidate => candidate.id === id);
+      }
+      if (this.route.name !== 'photo' || this.route.params.id !== id) return; // Navigated away meanwhile
+      if (photo) {
+        this.openPhotoModal(photo);
+      } else if (!this.loading && !this.loadingMore) {
+        console.warn(`Photo ${id} from the URL was not found`);
+        this.returnFromLightbox();
+      }
+    },
+
+    /**
+     * Lists the details shown under a photo in the modal, skipping fields it doesn't have.
+     * @param {Object} photo The photo object.
+     * @returns {Array<Object>} `{ label, value, href }` rows; `href` is only set for the location.
+     */
+    photoDetails(photo) {
+      if (!photo) return [];
+      const metadata = photo.metadata || {};
+      const rows = [];
+      const add = (label, value, href) => {
+        if (value !== undefined && value !== null && value !== '') {
+          rows.push({ label, value: String(value), href: href || null });
+        }
+      };
+
+      if (metadata.captureDate) {
+        const date = new Date(metadata.captureDate);
+        add('Taken', isNaN(date) ? metadata.captureDate : date.toLocaleString());
+      }
+      add('Camera', metadata.camera);
+      add('Lens', metadata.lens);
+      add('Exposure', metadata.exposure);
+      if (metadata.width && metadata.height) {
+        add('Dimensions', `${metadata.width} × ${metadata.height}`);
+      }
+      add('Format', metadata.format);
+      if (typeof metadata.location === 'string' && /^-?[\d.]+,-?[\d.]+$/.test(metadata.location)) {
+        const [lat, lon] = metadata.location.split(',');
+        add('Location', metadata.location.replace(',', ', '),
+          `https://www.openstreetmap.org/?mlat=${lat}&mlon=${lon}#map=15/${lat}/${lon}`);
+      }
+      return rows;
+    },
+
+    // --- Photo Actions ---
+
+    /**
+     * Builds the URL of a per-photo endpoint, falling back to `photos_endpoint`.
+     * @param {string} endpointKey The `AppConfig.api` key, e.g. 'photo_delete_endpoint'.
+     * @param {Object} photo The photo object.
+     * @returns {string}
+     */
+    photoEndpoint(endpointKey, photo) {
+      const api = window.AppConfig.api;
+      return `${api[endpointKey] || api.photos_endpoint}${encodeURIComponent(photo.id)}`;
+    },
+
+    /**
+     * Shows a toast message, hiding it again after `duration` milliseconds.
+     * @param {string} message The message.
+     * @param {Object} [options] `{ type, actionLabel, action, duration }`
+     */
+    showToast(message, options = {}) {
+      clearTimeout(this.toastTimer);
+      this.toast = {
+        message,
+        type: options.type || 'info',
+        actionLabel: options.actionLabel || null,
+        action: options.action || null
+      };
+      this.toastTimer = setTimeout(() => {
+        this.toast = null;
+      }, options.duration || 4000);
+    },
+
+    /**
+     * Runs the toast's action (e.g. Undo) and hides the toast.
+     */
+    runToastAction() {
+      const action = this.toast && this.toast.action;
+      this.toast = null;
+      clearTimeout(this.toastTimer);
+      if (action) action();
+    },
+
+    /**
+     * Opens the confirmation dialog. Its confirm button has focus, so Enter confirms.
+     * @param {Object} options `{ title, message, confirmLabel, onConfirm }`
+     */
+    askConfirmation(options) {
+      this.confirmation = options;
+      this.$nextTick(() => this.$refs.confirmButton && this.$refs.confirmButton.focus());
+    },
+
+    /**
+     * Closes the confirmation dialog and runs its action.
+     */
+    confirm() {
+      const confirmation = this.confirmation;
+      this.confirmation = null;
+      if (confirmation) confirmation.onConfirm();
+    },
+
+    /**
+     * Asks for confirmation before deleting a photo.
+     * @param {Object} photo The photo object.
+     */
+    requestDeletePhoto(photo) {
+      this.askConfirmation({
+        title: 'Delete photo?',
+        message: `"${this.photoTitle(photo)}" will be removed from your gallery.`,
+        confirmLabel: 'Delete',
+        onConfirm: () => this.deletePhoto(photo)
+      });
+    },
+
+    /**
+     * Removes a photo from the gallery straight away and sends the delete request once
+     * the undo period (`undoDelay`) has passed. If the request fails, the photo is put back.
+     * @param {Object} photo The photo object.
+     */
+    deletePhoto(photo) {
+      const index = this.photos.findIndex(candidate => candidate.id === photo.id);
+      if (index === -1) return;
+
+      if (this.showModal && this.selectedPhoto && this.selectedPhoto.id === photo.id) {
+        const visible = this.visiblePhotos();
+        const position = visible.findIndex(candidate => candidate.id === photo.id);
+        const neighbour = visible[position + 1] || visible[position - 1];
+        if (neighbour) {
+          this.showLightboxPhoto(neighbour);
+          window.Router.navigate('photo', { id: neighbour.id }, { replace: true });
+        } else {
+          this.closePhotoModal();
+        }
+      }
+      this.photos = this.photos.filter(candidate => candidate.id !== photo.id);
+      if (this.totalPhotos !== null) this.totalPhotos--;
+
+      const entry = { photo, index, timer: null };
+      entry.timer = setTimeout(() => this.commitDelete(entry), this.undoDelay);
+      this.pendingDeletes.push(entry);
+      this.showToast(`Deleted "${this.photoTitle(photo)}"`, {
+        actionLabel: 'Undo',
+        action: () => this.undoDelete(entry),
+        duration: this.undoDelay
+      });
+    },
+
+    /**
+     * Cancels a delete that hasn't been sent yet and puts the photo back.
+     * @param {Object} entry The `pendingDeletes` entry.
+     */
+    undoDelete(entry) {
+      if (!this.pendingDeletes.includes(entry)) return;
+      clearTimeout(entry.timer);
+      this.pendingDeletes = this.pendingDeletes.filter(other => other !== entry);
+      this.restorePhoto(entry);
+    },
+
+    /**
+     * Puts a deleted photo back where it was in the gallery.
+     * @param {Object} entry The `pendingDeletes` entry.
+     */
+    restorePhoto(entry) {
+      if (this.photos.some(photo => photo.id === entry.photo.id)) return;
+      const photos = this.photos.slice();
+      photos.splice(Math.min(entry.index, photos.length), 0, entry.photo);
+      this.photos = photos;
+      if (this.totalPhotos !== null) this.totalPhotos++;
+    },
+
+    /**
+     * Sends a held-back delete request. On failure the photo is restored.
+     * @param {Object} entry The `pendingDeletes` entry.
+     */
+    async commitDelete(entry) {
+      this.pendingDeletes = this.pendingDeletes.filter(other => other !== entry);
+      try {
+        await window.ApiClient.request(this.photoEndpoint('photo_delete_endpoint', entry.photo), {
+          method: 'DELETE'
+        });
+        console.log(`Deleted photo ${entry.photo.id}`);
+      } catch (err) {
+        console.error(`Could not delete photo ${entry.photo.id}:`, err);
+        this.restorePhoto(entry);
+        this.showToast(`Could not delete "${this.photoTitle(entry.photo)}": ${err.message}`, { type: 'error' });
+      }
+    },
+
+    /**
+     * Sends every held-back delete immediately, e.g. when the page is being closed or
+     * before signing out. The requests start synchronously and outlive the page
+     * (see `ApiClient.sendKeepalive`), since an awaited request would never leave it.
+     */
+    flushPendingDeletes() {
+      const entries = this.pendingDeletes;
+      this.pendingDeletes = [];
+      entries.forEach(entry => {
+        clearTimeout(entry.timer);
+        const url = this.photoEndpoint('photo_delete_endpoint', entry.photo);
+        window.ApiClient.sendKeepalive(url, { method: 'DELETE' }).then(ok => {
+          if (!ok) console.error(`Could not delete photo ${entry.photo.id}`);
+        });
+      });
+    },
+
+    /**
+     * Drops the held-back deletes without sending them, e.g. once the session has ended
+     * and there is no token left to send them with.
+     */
+    discardPendingDeletes() {
+      if (!this.pendingDeletes.length) return;
+      this.pendingDeletes.forEach(entry => clearTimeout(entry.timer));
+      this.pendingDeletes = [];
+      // Its Undo button has nothing left to undo
+      clearTimeout(this.toastTimer);
+      this.toast = null;
+    },
+
+    /**
+     * Opens the title and caption form for the photo in the lightbox.
+     */
+    startEditingDetails() {
+      if (!this.selectedPhoto) return;
+      this.detailsDraft = { title: this.selectedPhoto.title, caption: this.selectedPhoto.caption };
+      this.editingDetails = true;
+      this.$nextTick(() => this.$refs.titleInput && this.$refs.titleInput.focus());
+    },
+
+    /**
+     * Opens a photo in the lightbox with its title and caption form showing.
+     * @param {Object} photo The photo object.
+     */
+    editPhotoDetails(photo) {
+      this.openPhotoModal(photo);
+      this.startEditingDetails();
+    },
+
+    /**
+     * Saves the title and caption form. Each changed field is applied to the photo
+     * straight away and sent to its endpoint; a field whose request fails is rolled back.
+     */
+    async saveDetails() {
+      const photo = this.selectedPhoto;
+      if (!photo) return;
+      this.editingDetails = false;
+      const changes = [
+        { field: 'title', endpoint: 'photo_title_endpoint', value: this.detailsDraft.title.trim() },
+        { field: 'caption', endpoint: 'photo_caption_endpoint', value: this.detailsDraft.caption.trim() }
+      ].filter(change => change.value !== photo[change.field]);
+
+      await Promise.all(changes.map(change => this.updatePhotoField(photo, change)));
+    },
+
+    /**
+     * Optimistically sets one field of a photo and PATCHes it to the backend,
+     * rolling it back if the request fails.
+     * @param {Object} photo The photo object.
+     * @param {Object} change `{ field, endpoint, value }`
+     */
+    async updatePhotoField(photo, { field, endpoint, value }) {
+      const previous = photo[field];
+      photo[field] = value;
+      try {
+        await window.ApiClient.request(this.photoEndpoint(endpoint, photo), {
+          method: 'PATCH',
+          json: { [field]: value }
+        });
+      } catch (err) {
+        console.error(`Could not update the ${field} of photo ${photo.id}:`, err);
+        // Only roll back if nothing else changed the field in the meantime
+        if (photo[field] === value) photo[field] = previous;
+        this.showToast(`Could not save the ${field}: ${err.message}`, { type: 'error' });
+      }
+    },
+
+    // --- Albums ---
+
+    /**
+     * Whether the albums API is configured.
+     * @returns {boolean}
+     */
+    albumsEnabled() {
+      return Boolean(window.AppConfig.api.albums_endpoint);
+    },
+
+    /**
+     * The album being shown, if it is known.
+     * @returns {Object|null}
+     */
+    activeAlbum() {
+      return this.albums.find(album => album.id === this.activeAlbumId) || null;
+    },
+
+    /**
+     * Builds the URL of an album, optionally followed by a sub-resource.
+     * @param {Object} album The album.
+     * @param {string} [suffix=''] e.g. '/photos'
+     * @returns {string}
+     */
+    albumEndpoint(album, suffix = '') {
+      return `${window.AppConfig.api.albums_endpoint}${encodeURIComponent(album.id)}${suffix}`;
+    },
+
+    /**
+     * Loads the user's albums from `AppConfig.api.albums_endpoint`, which returns
+     * DynamoDB items like the photos API (see `PhotoModel.parseAlbums`).
+     */
+    async loadAlbums() {
+      if (!this.albumsEnabled()) return;
+      this.albumsError = null;
+      try {
+        const data = await window.ApiClient.getJson(window.AppConfig.api.albums_endpoint);
+        if (!data || !Array.isArray(data.Items)) {
+          throw new window.ApiError('server', 'Unexpected albums response format');
+        }
+        this.albums = this.sortAlbums(window.PhotoModel.parseAlbums(data.Items).albums);
+        if (this.uploadAlbumId && !this.albums.some(album => album.id === this.uploadAlbumId)) {
+          this.uploadAlbumId = '';
+        }
+      } catch (err) {
+        this.albumsError = `Failed to load albums: ${err.message}`;
+        console.error(err);
+      }
+    },
+
+    /**
+     * Sorts albums by name.
+     * @param {Array<Object>} albums The albums.
+     * @returns {Array<Object>} A sorted copy.
+     */
+    sortAlbums(albums) {
+      return albums.slice().sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    /**
+     * Goes to an album, or to all photos for null.
+     * @param {string|null} albumId The album id.
+     */
+    switchAlbum(albumId) {
+      this.showAlbumSwitcher = false;
+      if (albumId) {
+        window.Router.navigate('album', { id: albumId });
+      } else {
+        window.Router.navigate('gallery');
+      }
+    },
+
+    /**
+     * Opens the dialog to create an album, or to rename one.
+     * @param {string} mode 'create' or 'rename'.
+     * @param {Object} [album] The album to rename.
+     */
+    openAlbumDialog(mode, album = null) {
+      this.showAlbumSwitcher = false;
+      this.albumDialog = { mode, album, name: album ? album.name : '' };
+      this.$nextTick(() => this.$refs.albumNameInput && this.$refs.albumNameInput.focus());
+    },
+
+    /**
+     * Creates or renames an album from the album dialog.
+     */
+    async saveAlbumDialog() {
+      const dialog = this.albumDialog;
+      const name = dialog ? dialog.name.trim() : '';
+      if (!name) return;
+      this.albumDialog = null;
+      if (dialog.mode === 'create') {
+        await this.createAlbum(name);
+      } else {
+        await this.renameAlbum(dialog.album, name);
+      }
+    },
+
+    /**
+     * Creates an album. The backend responds with `{ albumId }`.
+     * @param {string} name The album name.
+     */
+    async createAlbum(name) {
+      try {
+        const created = await window.ApiClient.request(window.AppConfig.api.albums_endpoint, {
+          method: 'POST',
+          json: { name }
+        });
+        if (!created || !created.albumId) {
+          throw new Error('The albums API did not return the new album id');
+        }
+        this.albums = this.sortAlbums(this.albums.concat({ id: created.albumId, name, count: 0, coverUrl: null }));
+        this.showToast(`Created album "${name}"`);
+      } catch (err) {
+        console.error('Could not create album:', err);
+        this.showToast(`Could not create the album: ${err.message}`, { type: 'error' });
+      }
+    },
+
+    /**
+     * Renames an album straight away, and back if the request fails.
+     * @param {Object} album The album.
+     * @param {string} name The new name.
+     */
+    async renameAlbum(album, name) {
+      const previous = album.name;
+      if (name === previous) return;
+      album.name = name;
+      this.albums = this.sortAlbums(this.albums);
+      try {
+        await window.ApiClient.request(this.albumEndpoint(album), { method: 'PATCH', json: { name } });
+      } catch (err) {
+        console.error('Could not rename album:', err);
+        album.name = previous;
+        this.albums = this.sortAlbums(this.albums);
+        this.showToast(`Could not rename the album: ${err.message}`, { type: 'error' });
+      }
+    },
+
+    /**
+     * Asks for confirmation before deleting an album. Its photos stay in the gallery.
+     * @param {Object} album The album.
+     */
+    requestDeleteAlbum(album) {
+      this.askConfirmation({
+        title: 'Delete album?',
+        message: `"${album.name}" will be deleted. The photos in it stay in your gallery.`,
+        confirmLabel: 'Delete album',
+        onConfirm: () => this.deleteAlbum(album)
+      });
+    },
+
+    /**
+     * Deletes an album straight away, and puts it back if the request fails.
+     * @param {Object} album The album.
+     */
+    async deleteAlbum(album) {
+      this.albums = this.albums.filter(other => other !== album);
+      if (this.uploadAlbumId === album.id) {
+        this.uploadAlbumId = '';
+      }
+      if (this.activeAlbumId === album.id) {
+        window.Router.navigate('gallery');
+      }
+      try {
+        await window.ApiClient.request(this.albumEndpoint(album), { method: 'DELETE' });
+        this.showToast(`Deleted album "${album.name}"`);
+      } catch (err) {
+        console.error('Could not delete album:', err);
+        this.albums = this.sortAlbums(this.albums.concat(album));
+        this.showToast(`Could not delete the album: ${err.message}`, { type: 'error' });
+      }
+    },
+
+    /**
+     * Adds the selected photos to an album. Photos, count and cover update straight
+     * away and are rolled back if the request fails.
+     * @param {Object} album The album.
+     */
+    async addSelectedToAlbum(album) {
+      const photos = this.photos.filter(photo =>
+        this.selectedIds.includes(photo.id) && !photo.albumIds.includes(album.id));
+      this.clearSelection();
+      if (photos.length === 0) {
+        this.showToast(`The selected photos are already in "${album.name}"`);
+        return;
+      }
+
+      const previous = { count: album.count, coverUrl: album.coverUrl };
+      photos.forEach(photo => {
+        photo.albumIds = photo.albumIds.concat(album.id);
+      });
+      album.count += photos.length;
+      album.coverUrl = album.coverUrl || photos[0].thumbnailUrl;
+      try {
+        await window.ApiClient.request(this.albumEndpoint(album, '/photos'), {
+          method: 'POST',
+          json: { add: photos.map(photo => photo.id) }
+        });
+        this.showToast(`Added ${photos.length} ${photos.length === 1 ? 'photo' : 'photos'} to "${album.name}"`);
+      } catch (err) {
+        console.error('Could not add photos to album:', err);
+        photos.forEach(photo => {
+          photo.albumIds = photo.albumIds.filter(id => id !== album.id);
+        });
+        album.count = previous.count;
+        album.coverUrl = previous.coverUrl;
+        this.showToast(`Could not add the photos to "${album.name}": ${err.message}`, { type: 'error' });
+      }
+    },
+
+    /**
+     * Removes the selected photos from the album being shown. They leave the view
+     * straight away and come back if the request fails.
+     */
+    async removeSelectedFromAlbum() {
+      const album = this.activeAlbum();
+      if (!album) return;
+      const removed = this.photos
+        .map((photo, index) => ({ photo, index }))
+        .filter(entry => this.selectedIds.includes(entry.photo.id));
+      this.clearSelection();
+      if (removed.length === 0) return;
+
+      const previousCount = album.count;
+      this.photos = this.photos.filter(photo => !removed.some(entry => entry.photo === photo));
+      removed.forEach(({ photo }) => {
+        photo.albumIds = photo.albumIds.filter(id => id !== album.id);
+      });
+      album.count = Math.max(0, album.count - removed.length);
+      if (this.totalPhotos !== null) this.totalPhotos -= removed.length;
+      try {
+        await window.ApiClient.request(this.albumEndpoint(album, '/photos'), {
+          method: 'POST',
+          json: { remove: removed.map(entry => entry.photo.id) }
+        });
+        this.showToast(`Removed ${removed.length} ${removed.length === 1 ? 'photo' : 'photos'} from "${album.name}"`);
+      } catch (err) {
+        console.error('Could not remove photos from album:', err);
+        removed.forEach(({ photo }) => {
+          photo.albumIds = photo.albumIds.concat(album.id);
+        });
+        if (this.activeAlbumId === album.id) {
+          const photos = this.photos.slice();
+          removed.forEach(({ photo, index }) => photos.splice(Math.min(index, photos.length), 0, photo));
+          this.photos = photos;
+          if (this.totalPhotos !== null) this.totalPhotos += removed.length;
+        }
+        album.count = previousCount;
+        this.showToast(`Could not remove the photos from "${album.name}": ${err.message}`, { type: 'error' });
+      }
+    },
+
+    // --- Sharing ---
+
+    /**
+     * Whether the share links API is configured.
+     * @returns {boolean}
+     */
+    sharesEnabled() {
+      return Boolean(window.AppConfig.api.shares_endpoint);
+    },
+
+    /**
+     * The public viewer URL for a share link. The share id goes in the fragment, so it
+     * isn't sent to the web server or leaked through the Referer header.
+     * @param {string} shareId The share id.
+     * @returns {string}
+     */
+    shareLink(shareId) {
+      const viewer = new URL('share.html', window.location.href);
+      viewer.search = '';
+      viewer.hash = encodeURIComponent(shareId);
+      return viewer.toString();
+    },
+
+    /**
+     * Opens the dialog to create a share link for some photos.
+     * @param {Array<Object>} photos The photos to share.
+     */
+    openShareDialog(photos) {
+      if (photos.length === 0) return;
+      this.shareDialog = {
+        photoIds: photos.map(photo => photo.id),
+        expiresIn: 7 * 24 * 60 * 60,
+        creating: false,
+        link: null,
+        expiresAt: null,
+        error: null
       };
-      img.onerror = () => {
-        console.error('Failed to load full-size image for modal.');
-        this.modalLoading = false;
+    },
+
+    /**
+     * Asks the backend for a share link with the lifetime chosen in the dialog.
+     * The backend responds with `{ shareId, expiresAt }` (`expiresAt` in epoch seconds).
+     */
+    async createShareLink() {
+      const dialog = this.shareDialog;
+      if (!dialog || dialog.creating) return;
+      dialog.creating = true;
+      dialog.error = null;
+      try {
+        const created = await window.ApiClient.request(window.AppConfig.api.shares_endpoint, {
+          method: 'POST',
+          json: { photoIds: dialog.photoIds, expiresIn: dialog.expiresIn }
+        });
+        if (!created || !created.shareId) {
+          throw new Error('The shares API did not return the new link');
+        }
+        const expiresAt = Number(created.expiresAt) * 1000 || Date.now() + dialog.expiresIn * 1000;
+        dialog.link = this.shareLink(created.shareId);
+        dialog.expiresAt = expiresAt;
+        this.shares = this.shares.concat({
+          id: created.shareId,
+          photoIds: dialog.photoIds,
+          expiresAt,
+          createdAt: Date.now()
+        });
+        this.clearSelection();
+      } catch (err) {
+        console.error('Could not create share link:', err);
+        dialog.error = `Could not create the link: ${err.message}`;
+      } finally {
+        dialog.creating = false;
+      }
+    },
+
+    /**
+     * Copies a link to the clipboard.
+     * @param {string} link The link.
+     */
+    async copyLink(link) {
+      try {
+        await navigator.clipboard.writeText(link);
+        this.showToast('Link copied');
+      } catch (err) {
+        console.warn('Could not copy to the clipboard:', err);
+        this.showToast('Could not copy the link; select it and copy it instead', { type: 'error' });
+      }
+    },
+
+    /**
+     * Loads the user's share links, leaving out expired ones.
+     */
+    async loadShares() {
+      if (!this.sharesEnabled() || this.sharesLoading) return;
+      this.sharesLoading = true;
+      this.sharesError = null;
+      try {
+        const data = await window.ApiClient.getJson(window.AppConfig.api.shares_endpoint);
+        if (!data || !Array.isArray(data.Items)) {
+          throw new window.ApiError('server', 'Unexpected shares response format');
+        }
+        const now = Date.now();
+        this.shares = window.PhotoModel.parseShares(data.Items).shares
+          .filter(share => share.expiresAt > now)
+          .sort((a, b) => a.expiresAt - b.expiresAt);
+      } catch (err) {
+        this.sharesError = `Failed to load share links: ${err.message}`;
+        console.error(err);
+      } finally {
+        this.sharesLoading = false;
+      }
+    },
+
+    /**
+     * Asks for confirmation before revoking a share link.
+     * @param {Object} share The share link.
+     */
+    requestRevokeShare(share) {
+      this.askConfirmation({
+        title: 'Revoke link?',
+        message: 'Anyone with this link will no longer be able to see the photos.',
+        confirmLabel: 'Revoke',
+        onConfirm: () => this.revokeShare(share)
+      });
+    },
+
+    /**
+     * Revokes a share link. It leaves the list straight away and comes back if the request fails.
+     * @param {Object} share The share link.
+     */
+    async revokeShare(share) {
+      this.shares = this.shares.filter(other => other.id !== share.id);
+      try {
+        await window.ApiClient.request(`${window.AppConfig.api.shares_endpoint}${encodeURIComponent(share.id)}`, {
+          method: 'DELETE'
+        });
+        this.showToast('Link revoked');
+      } catch (err) {
+        console.error('Could not revoke share link:', err);
+        this.shares = this.shares.concat(share).sort((a, b) => a.expiresAt - b.expiresAt);
+        this.showToast(`Could not revoke the link: ${err.message}`, { type: 'error' });
+      }
+    },
+
+    /**
+     * Describes when a share link expires, e.g. "Expires 12/05/2024, 10:00:00".
+     * @param {number} expiresAt The expiry time in milliseconds.
+     * @returns {string}
+     */
+    formatExpiry(expiresAt) {
+      return `Expires ${new Date(expiresAt).toLocaleString()}`;
+    },
+
+    // --- Selection ---
+
+    /**
+     * Turns selection mode on or off. Turning it off clears the selection.
+     */
+    toggleSelecting() {
+      this.selecting = !this.selecting;
+      if (!this.selecting) this.selectedIds = [];
+      this.selectionAnchorId = null;
+    },
+
+    /**
+     * Leaves selection mode and clears the selection.
+     */
+    clearSelection() {
+      this.selecting = false;
+      this.selectedIds = [];
+      this.selectionAnchorId = null;
+    },
+
+    /**
+     * Selects or deselects a photo. With Shift held, selects every photo in the grid
+     * between the previously clicked one and this one instead.
+     * @param {Object} photo The photo object.
+     * @param {MouseEvent} [event] The click event.
+     */
+    toggleSelected(photo, event) {
+      const visible = this.visiblePhotos();
+      const anchor = visible.findIndex(candidate => candidate.id === this.selectionAnchorId);
+      const target = visible.findIndex(candidate => candidate.id === photo.id);
+      if (event && event.shiftKey && anchor !== -1 && target !== -1) {
+        const range = visible
+          .slice(Math.min(anchor, target), Math.max(anchor, target) + 1)
+          .map(candidate => candidate.id);
+        this.selectedIds = this.selectedIds.concat(range.filter(id => !this.selectedIds.includes(id)));
+      } else {
+        this.selectedIds = this.isSelected(photo)
+          ? this.selectedIds.filter(id => id !== photo.id)
+          : this.selectedIds.concat(photo.id);
+      }
+      this.selectionAnchorId = photo.id;
+    },
+
+    /**
+     * Whether every photo shown in the grid is selected.
+     * @returns {boolean}
+     */
+    allSelected() {
+      const visible = this.visiblePhotos();
+      return visible.length > 0 && visible.every(photo => this.isSelected(photo));
+    },
+
+    /**
+     * Selects every photo shown in the grid, or deselects them all if they already are.
+     */
+    toggleSelectAll() {
+      const visibleIds = this.visiblePhotos().map(photo => photo.id);
+      this.selectedIds = this.allSelected()
+        ? this.selectedIds.filter(id => !visibleIds.includes(id))
+        : this.selectedIds.concat(visibleIds.filter(id => !this.selectedIds.includes(id)));
+    },
+
+    /**
+     * The selected photos, in the grid's order.
+     * @returns {Array<Object>}
+     */
+    selectedPhotos() {
+      const visible = this.visiblePhotos();
+      const hidden = this.photos.filter(photo => this.isSelected(photo) && !visible.includes(photo));
+      return visible.filter(photo => this.isSelected(photo)).concat(hidden);
+    },
+
+    /**
+     * Whether a photo is selected.
+     * @param {Object} photo The photo object.
+     * @returns {boolean}
+     */
+    isSelected(photo) {
+      return this.selectedIds.includes(photo.id);
+    },
+
+    /**
+     * Handles a click on a grid tile: selects it in selection mode, otherwise opens it.
+     * @param {Object} photo The photo object.
+     * @param {MouseEvent} [event] The click event.
+     */
+    handlePhotoClick(photo, event) {
+      if (this.selecting) {
+        this.toggleSelected(photo, event);
+      } else {
+        this.openPhotoModal(photo);
+      }
+    },
+
+    // --- Bulk Download ---
+
+    /**
+     * Downloads the originals of the selected photos as one ZIP file. The archive is
+     * written as each photo arrives (see `zip-writer.js`), so memory use doesn't grow with
+     * the selection. Photos that can't be fetched are skipped and listed afterwards.
+     */
+    async downloadSelected() {
+      const photos = this.selectedPhotos();
+      if (photos.length === 0 || (this.download && this.download.status === 'running')) return;
+
+      const album = this.activeAlbum();
+      const archiveName = `${(album ? album.name : 'photos').replace(/[\\/:*?"<>|]+/g, '_')}-${new Date().toISOString().slice(0, 10)}.zip`;
+      let sink;
+      try {
+        sink = await window.ZipWriter.openDownloadSink(archiveName, 'application/zip');
+      } catch (err) {
+        if (err.name !== 'AbortError') {
+          console.error('Could not start the download:', err);
+          this.showToast(`Could not start the download: ${err.message}`, { type: 'error' });
+        }
+        return;
+      }
+
+      const controller = new AbortController();
+      this.download = {
+        total: photos.length,
+        done: 0,
+        current: '',
+        fileProgress: 0,
+        bytes: 0,
+        skipped: [],
+        status: 'running',
+        error: null,
+        controller
       };
+      // Updates go through the reactive proxy so the progress display follows them
+      const download = this.download;
+      this.clearSelection();
+
+      const zip = window.ZipWriter.create(sink);
+      const usedNames = new Set();
+      try {
+        for (const photo of photos) {
+          if (controller.signal.aborted) break;
+          const name = this.uniqueFileName(window.PhotoModel.fileNameFromId(photo.id), usedNames);
+          download.current = name;
+          download.fileProgress = 0;
+
+          let response;
+          try {
+            response = await this.fetchOriginal(photo, controller.signal);
+          } catch (err) {
+            if (err.name === 'AbortError') throw err;
+            console.warn(`Skipping ${photo.id} in the download:`, err);
+            download.skipped.push({ name, reason: err.message });
+            continue;
+          }
+
+          const length = Number(response.headers.get('Content-Length')) || 0;
+          const uploaded = window.PhotoFilter.uploadTime(photo);
+          let received = 0;
+          try {
+            await zip.addEntry(name, response.body, {
+              modified: uploaded ? new Date(uploaded) : new Date(),
+              onData: bytes => {
+                received += bytes;
+                download.bytes += bytes;
+                download.fileProgress = length ? Math.min(received / length, 1) : 0;
+              }
+            });
+            download.done++;
+          } catch (err) {
+            if (!err.readFailed || err.name === 'AbortError') throw err;
+            console.warn(`Download of ${photo.id} was interrupted:`, err);
+            download.bytes -= received;
+            download.skipped.push({ name, reason: 'The download was interrupted part way' });
+          }
+        }
+        if (controller.signal.aborted) {
+          throw new DOMException('The download was cancelled.', 'AbortError');
+        }
+        await zip.finish();
+        await sink.close();
+        download.status = 'done';
+        download.current = '';
+      } catch (err) {
+        await Promise.resolve(sink.abort()).catch(() => {});
+        if (err.name === 'AbortError') {
+          this.download = null;
+          this.showToast('Download cancelled');
+        } else {
+          console.error('Download failed:', err);
+          download.status = 'failed';
+          download.error = err.message;
+        }
+      }
     },
 
     /**
-     * Closes the photo modal and resets its state.
+     * Fetches a photo's original, rejecting for anything but a successful response.
+     * @param {Object} photo The photo object.
+     * @param {AbortSignal} signal Cancels the request.
+     * @returns {Promise<Response>}
      */
-    closePhotoModal() {
-      this.showModal = false;
-      setTimeout(() => {
-        this.selectedPhoto = null;
-        this.modalLoading = false;
-      }, 300); // Should match the modal's closing transition duration
+    async fetchOriginal(photo, signal) {
+      let response;
+      try {
+        response = await fetch(photo.url, { signal });
+      } catch (err) {
+        if (err.name === 'AbortError') throw err;
+        // fetch only says "Failed to fetch"; this is usually the network or CORS
+        throw new Error('Could not be fetched (network error, or the image host does not allow it)');
+      }
+      if (!response.ok || !response.body) {
+        throw new Error(`The server responded ${response.status}${response.statusText ? ` ${response.statusText}` : ''}`);
+      }
+      return response;
     },
 
     /**
-     * Monitors image processing and automatically refreshes the gallery.
-     * AWS Lambda processing typically takes about a minute to complete.
+     * Makes a file name unique within an archive by numbering repeats: "beach (2).jpg".
+     * @param {string} name The file name.
+     * @param {Set<string>} usedNames The names used so far (lower-cased); the result is added.
+     * @returns {string}
      */
-    startImageProcessingMonitor() {
-      // Set a processing state to show appropriate UI
-      this.processingImage = true;
-      this.processingProgress = 0;
-      this.processingMessage = 'Processing image... This typically takes about 60 seconds';
-      
-      // Store the initial count of photos
-      const initialPhotoCount = this.photos.length;
-      
-      // Create a counter for our progress bar
-      let elapsed = 0;
-      const totalExpectedTime = 60; // 60 seconds expected processing time
-      
-      // Check for new photos every 10 seconds
-      const checkInterval = setInterval(async () => {
-        elapsed += 10;
-        
-        // Update progress percentage (capped at 95% until complete)
-        this.processingProgress = Math.min(Math.round((elapsed / totalExpectedTime) * 100), 95);
-        
-        // Attempt to fetch photos
-        await this.fetchPhotos();
-        
-        // If we have a new photo or the expected time has elapsed
-        if (this.photos.length > initialPhotoCount || elapsed >= totalExpectedTime + 10) {
-          // Clear the interval
-          clearInterval(checkInterval);
-          
-          // Complete the progress
-          this.processingProgress = 100;
-          this.processingMessage = 'Image processing complete!';
-          
-          // Reset the processing state after showing completion message
-          setTimeout(() => {
-            this.processingImage = false;
-            
-            // Show success message briefly
-            setTimeout(() => {
-              // Reset upload success flag after showing the message for a few seconds
-              this.uploadSuccess = false;
-            }, 5000);
-          }, 2000);
+    uniqueFileName(name, usedNames) {
+      const safe = name.replace(/[\\/]+/g, '_') || 'photo';
+      const dot = safe.lastIndexOf('.');
+      const base = dot > 0 ? safe.slice(0, dot) : safe;
+      const extension = dot > 0 ? safe.slice(dot) : '';
+      let candidate = safe;
+      for (let n = 2; usedNames.has(candidate.toLowerCase()); n++) {
+        candidate = `${base} (${n})${extension}`;
+      }
+      usedNames.add(candidate.toLowerCase());
+      return candidate;
+    },
+
+    /**
+     * Stops the running download. The partial archive is discarded.
+     */
+    cancelDownload() {
+      if (this.download && this.download.status === 'running') {
+        this.download.controller.abort();
+      }
+    },
+
+    /**
+     * The download's overall progress (0-100), counting the current file's share.
+     * @returns {number}
+     */
+    downloadProgress() {
+      const download = this.download;
+      if (!download || download.total === 0) return 0;
+      if (download.status !== 'running') return 100;
+      const finished = download.done + download.skipped.length;
+      return Math.min(100, Math.round(((finished + download.fileProgress) / download.total) * 100));
+    },
+
+    // --- Processing Methods ---
+
+    /**
+     * Starts watching for an uploaded file to appear in the photos API, and shows a
+     * placeholder tile for it until it does. The file is matched by its object key
+     * (`${timestamp}-${file.name}`), so other uploads happening at the same time don't count.
+     * @param {Object} item The upload queue item that finished uploading.
+     */
+    trackProcessing(item) {
+      // Browsers can preview these formats directly from the local file
+      const previewable = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'].includes(item.file.type);
+      this.pendingPhotos.unshift({
+        key: item.key,
+        albumId: item.albumId,
+        name: item.file.name,
+        previewUrl: previewable ? URL.createObjectURL(item.file) : null,
+        status: 'processing',
+        startedAt: Date.now(),
+        error: null
+      });
+      // A new upload restarts the backoff, since it is likely to be ready soon
+      this.processingDelay = window.AppConfig.upload.processing_poll_initial;
+      clearTimeout(this.processingTimer);
+      this.processingTimer = null;
+      this.updateProcessingStatus();
+      this.scheduleProcessingCheck();
+    },
+
+    /**
+     * Schedules the next processing check, unless one is already scheduled or
+     * nothing is waiting any more.
+     */
+    scheduleProcessingCheck() {
+      if (this.processingTimer || !this.pendingPhotos.some(pending => pending.status === 'processing')) {
+        return;
+      }
+      this.processingTimer = setTimeout(() => {
+        this.processingTimer = null;
+        this.checkProcessing();
+      }, this.processingDelay);
+    },
+
+    /**
+     * Looks for the pending photos in the photos API. Photos that were found replace
+     * their placeholders; the others time out after `AppConfig.upload.processing_timeout`.
+     * The delay until the next check grows by half each time, up to `processing_poll_max`.
+     */
+    async checkProcessing() {
+      const config = window.AppConfig.upload;
+      const waiting = this.pendingPhotos.filter(pending => pending.status === 'processing');
+      if (waiting.length === 0) return;
+
+      try {
+        await this.findProcessedPhotos(waiting);
+      } catch (err) {
+        if (err.type === 'auth' || err.type === 'permission' || err.type === 'client') {
+          // Checking again won't help; the user has to act
+          waiting.forEach(pending => {
+            pending.status = 'failed';
+            pending.error = err.message;
+          });
+        } else {
+          console.warn('Processing check failed, will try again:', err);
         }
-      }, 10000); // Check every 10 seconds
+      }
+
+      const now = Date.now();
+      waiting
+        .filter(pending => pending.status === 'processing' && now - pending.startedAt >= config.processing_timeout)
+        .forEach(pending => {
+          pending.status = 'timeout';
+          pending.error = `Not ready after ${Math.round(config.processing_timeout / 1000)} seconds`;
+          console.warn(`Gave up waiting for ${pending.key} to be processed`);
+        });
+
+      this.processingDelay = Math.min(this.processingDelay * 1.5, config.processing_poll_max);
+      this.updateProcessingStatus();
+      this.scheduleProcessingCheck();
     },
-    
+
+    /**
+     * Walks the photos API from the first page until every waiting photo is found,
+     * merging the ones that are into the gallery. At most a few pages are read per
+     * check, since new photos are normally near the start.
+     * @param {Array<Object>} waiting The pending photos to look for.
+     */
+    async findProcessedPhotos(waiting) {
+      const maxPages = 5;
+      // A gallery refresh or scroll may already have loaded some of them
+      let remaining = waiting.filter(pending => {
+        if (!this.photos.some(photo => this.photoMatchesKey(photo, pending.key))) return true;
+        this.resolvePendingPhoto(pending);
+        return false;
+      });
+      let startKey = null;
+      let addedToAlbum = false;
+      for (let pages = 0; pages < maxPages && remaining.length > 0; pages++) {
+        // Search all photos, whichever album is being shown
+        const page = await this.requestPhotosPage(startKey, null);
+        const found = [];
+        remaining = remaining.filter(pending => {
+          const photo = page.photos.find(candidate => this.photoMatchesKey(candidate, pending.key));
+          if (!photo) return true;
+          if (!this.activeAlbumId || pending.albumId === this.activeAlbumId) {
+            found.push(photo);
+          }
+          addedToAlbum = addedToAlbum || Boolean(pending.albumId);
+          this.resolvePendingPhoto(pending);
+          console.log(`Processed photo ${pending.key} is ready`);
+          return false;
+        });
+        if (found.length) {
+          this.photos = this.mergePhotos(this.photos, found, 'prepend');
+        }
+        if (addedToAlbum) {
+          // Pick up the new counts and covers
+          this.loadAlbums();
+          addedToAlbum = false;
+        }
+        startKey = page.nextKey;
+        if (!startKey) break;
+      }
+    },
+
+    /**
+     * Whether a photo from the API is the processed version of an uploaded object.
+     * Matches the photo id, or the file name at the end of its original image URL.
+     * @param {Object} photo The photo object.
+     * @param {string} key The uploaded object key.
+     * @returns {boolean}
+     */
+    photoMatchesKey(photo, key) {
+      if (photo.id === key) return true;
+      try {
+        const name = new URL(photo.url).pathname.split('/').pop();
+        const decoded = decodeURIComponent(name);
+        // S3 URLs may encode spaces as '+'
+        return decoded === key || decoded.replace(/\+/g, ' ') === key;
+      } catch (err) {
+        return false;
+      }
+    },
+
+    /**
+     * The pending photos to show in the grid: all of them, or those going into the album being shown.
+     * @returns {Array<Object>}
+     */
+    visiblePendingPhotos() {
+      if (!this.activeAlbumId) return this.pendingPhotos;
+      return this.pendingPhotos.filter(pending => pending.albumId === this.activeAlbumId);
+    },
+
+    /**
+     * Removes a pending photo and its placeholder tile.
+     * @param {Object} pending The pending photo.
+     */
+    resolvePendingPhoto(pending) {
+      if (pending.previewUrl) {
+        URL.revokeObjectURL(pending.previewUrl);
+      }
+      this.pendingPhotos = this.pendingPhotos.filter(other => other !== pending);
+      this.updateProcessingStatus();
+    },
+
+    /**
+     * Starts watching a timed-out or failed photo again.
+     * @param {Object} pending The pending photo.
+     */
+    retryProcessingCheck(pending) {
+      pending.status = 'processing';
+      pending.startedAt = Date.now();
+      pending.error = null;
+      this.processingDelay = window.AppConfig.upload.processing_poll_initial;
+      this.updateProcessingStatus();
+      this.scheduleProcessingCheck();
+    },
+
+    /**
+     * Updates the processing banner from the pending photos. Processing typically
+     * takes about a minute, so progress is estimated against that (capped at 95%).
+     */
+    updateProcessingStatus() {
+      const waiting = this.pendingPhotos.filter(pending => pending.status === 'processing');
+      this.processingImage = waiting.length > 0;
+      if (waiting.length === 0) {
+        this.processingProgress = 0;
+        this.processingMessage = '';
+        return;
+      }
+      const expectedTime = 60000;
+      const elapsed = Date.now() - Math.min(...waiting.map(pending => pending.startedAt));
+      this.processingProgress = Math.min(Math.round((elapsed / expectedTime) * 100), 95);
+      this.processingMessage = waiting.length === 1
+        ? `Processing ${waiting[0].name}... This typically takes about 60 seconds`
+        : `Processing ${waiting.length} images... This typically takes about 60 seconds`;
+    },
+
     // --- Utility Methods ---
-    
+
+    /**
+     * Signs the user out, here and at the identity provider (see `logoutUser` in auth.js).
+     */
+    logout() {
+      // Deletes still in their undo period go out while there is a token to send them with
+      this.flushPendingDeletes();
+      return window.logoutUser();
+    },
+
+    /**
+     * Starts the idle timer when the user signs in, if `SESSION_IDLE_TIMEOUT_MINUTES` is set,
+     * and stops it when they sign out. Token refreshes leave it running.
+     */
+    updateIdleTimer() {
+      const { idle_timeout: timeoutMs, idle_warning: warningMs } = window.AppConfig.session;
+      if (this.isAuthenticated && timeoutMs > 0) {
+        if (this.idleTimerRunning) return;
+        this.idleTimerRunning = true;
+        window.IdleTimer.start({
+          timeoutMs,
+          warningMs,
+          onWarning: seconds => { this.idleSecondsLeft = seconds; },
+          onActive: () => { this.idleSecondsLeft = null; },
+          onTimeout: async () => {
+            this.idleSecondsLeft = null;
+            this.idleTimerRunning = false;
+            if (window.authStatus.isAuthenticated) {
+              await this.logout();
+            }
+            this.authError = 'You were signed out because the app was not used for a while.';
+          }
+        });
+      } else if (this.idleTimerRunning) {
+        this.idleTimerRunning = false;
+        this.idleSecondsLeft = null;
+        window.IdleTimer.stop();
+      }
+    },
+
     /**
-     * Handles image loading errors by setting a fallback image
-     * @param {Event} event The error event
-     * @param {number} index The photo index
+     * Keeps the session open from the idle warning.
      */
-    handleImageError(event, index) {
-      console.error(`Image loading failed for photo at index ${index}`);
-      // Set a placeholder image
-      event.target.src = 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjAwIiBoZWlnaHQ9IjIwMCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48ZyBmaWxsPSJub25lIiBmaWxsLXJ1bGU9ImV2ZW5vZGQiPjxyZWN0IGZpbGw9IiNFRUVFRUUiIHdpZHRoPSIyMDAiIGhlaWdodD0iMjAwIiByeD0iNCIvPjxnIHRyYW5zZm9ybT0idHJhbnNsYXRlKDcwLjU2MiA2OC41NjIpIiBzdHJva2U9IiM5OTkiIHN0cm9rZS13aWR0aD0iMyI+PGNpcmNsZSBjeD0iOS41IiBjeT0iOS41IiByPSI5LjUiLz48cGF0aCBkPSJNMzkuNDM4IDU5LjQzOEw5LjUgOS41Ii8+PGNpcmNsZSBjeD0iMzkuNDM4IiBjeT0iNTkuNDM4IiByPSI5LjUiLz48L2c+PC9nPjwvc3ZnPg==';
-      // Add a CSS class to indicate broken image
-      event.target.classList.add('broken-image');
+    stayActive() {
+      window.IdleTimer.keepAlive();
     },
 
+    /**
+     * Whether an error type means the user has to sign in again to continue.
+     * @param {string|null} type The `ApiError` type.
+     * @returns {boolean}
+     */
+    needsSignIn(type) {
+      return type === 'auth' || type === 'permission';
+    },
+    
     /**
      * Formats a file size in bytes into a human-readable string (KB, MB).
      * @param {number} bytes The size in bytes.
@@ -1,45 +1,97 @@
 /**
- * @fileoverview Manages all aspects of user authentication using AWS Cognito.
+ * @fileoverview Manages all aspects of user authentication.
  * This includes handling the login flow, managing tokens, and maintaining the global authentication state.
- * It relies on the global `AppConfig` object (from `config.js`) for all Cognito-related settings.
+ * Provider-specific work (the sign-in pages, token endpoint and sign-out) is delegated to the
+ * identity provider from `identity-providers.js`, picked by the global `AppConfig` object (from `config.js`).
+ * Tokens are only held in memory, after their signature and claims are checked by `jwt-verifier.js`;
+ * storage keeps no more than a hint that this browser is signed in (see `SESSION_HINT_KEY`).
+ * Tabs share their session over a BroadcastChannel (see `SESSION_CHANNEL_NAME`), so signing in,
+ * signing out and refreshing in one tab applies to all of them.
  */
 /**
- * The URL for the AWS Cognito Hosted UI login page.
- * It is dynamically constructed using settings from the `AppConfig` object.
- * This URL includes the client ID, response type (code for Authorization Code Grant flow),
- * requested scopes, and the redirect URI.
+ * The identity provider users sign in with (see `identity-providers.js`), built from
+ * `AppConfig.auth_provider` once the configuration has loaded (see `window.AppConfigReady`).
  */
-const COGNITO_LOGIN_URL = `https://${window.AppConfig.cognito_domain}.auth.${
-  window.AppConfig.cognito.Region
-}.amazoncognito.com/login?client_id=${
-  window.AppConfig.cognito.ClientId
-}&response_type=code&scope=email+openid+phone&redirect_uri=${encodeURIComponent(
-  window.AppConfig.redirect_uri
-)}`;
+let identityProvider = null;
+
+// Registered before bootstrap.js starts Alpine.js, so the provider exists before any UI can use it
+window.AppConfigReady.then(() => {
+  identityProvider = window.IdentityProviders.create(window.AppConfig);
+}, () => {});
+
+/**
+ * The sessionStorage key holding the PKCE code verifier, `state` and `nonce` values
+ * between the redirect to the identity provider and the redirect back to the app.
+ * sessionStorage is used so the values never outlive the browser tab.
+ */
+const PKCE_STORAGE_KEY = "photoGalleryPkce";
 
 /**
- * The URL for the AWS Cognito Hosted UI sign-up page.
- * It uses the same parameters as the login URL to ensure a consistent user experience.
+ * The localStorage key of the session hint: `{ provider }`, kept while this browser is
+ * signed in. It holds no tokens or user details; after a reload it tells `runAuthCheck`
+ * to get new tokens from the provider's own session instead of showing the sign-in screen.
  */
-const COGNITO_REGISTER_URL = `https://${window.AppConfig.cognito_domain}.auth.${
-  window.AppConfig.cognito.Region
-}.amazoncognito.com/signup?client_id=${
-  window.AppConfig.cognito.ClientId
-}&response_type=code&scope=email+openid+phone&redirect_uri=${encodeURIComponent(
-  window.AppConfig.redirect_uri
-)}`;
+const SESSION_HINT_KEY = "photoGallerySession";
+
+/**
+ * Where earlier versions saved the whole session, tokens included. Removed on start-up.
+ */
+const LEGACY_AUTH_STORAGE_KEY = "photoGalleryAuth";
+
+/**
+ * How long before `tokenExpiry` the id/access tokens are silently renewed (5 minutes).
+ */
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Backoff settings for retrying a failed refresh (network errors and 5xx responses).
+ * Delays double from `REFRESH_RETRY_BASE_MS` up to `REFRESH_RETRY_MAX_MS`.
+ */
+const REFRESH_MAX_ATTEMPTS = 5;
+const REFRESH_RETRY_BASE_MS = 1000;
+const REFRESH_RETRY_MAX_MS = 30000;
+
+/**
+ * The BroadcastChannel tabs of this app share their session on. Messages are
+ * `{ type, provider, ... }`:
+ * - `session`: `{ session }`, sent after every sign in and refresh, and in answer to a request
+ * - `session-request`: sent by a tab that has just loaded, so it can reuse another tab's tokens
+ * - `signed-out`: the user signed out (or was signed out) in one tab
+ * The channel never leaves the browser and only reaches pages of the same origin, which
+ * could read the tokens from memory anyway.
+ */
+const SESSION_CHANNEL_NAME = "photoGallerySession";
+
+/**
+ * How long a tab that has just loaded waits for another tab to answer a `session-request`.
+ */
+const SESSION_REQUEST_TIMEOUT_MS = 500;
+
+/**
+ * The Web Locks name held while refreshing, so that tabs refresh one at a time and the
+ * others pick up the new tokens instead of spending the refresh token again.
+ */
+const REFRESH_LOCK_NAME = "photoGalleryTokenRefresh";
+
+/**
+ * The session channel, or null in browsers without BroadcastChannel, where tabs only
+ * follow each other through `storage` events on the session hint.
+ */
+const sessionChannel = "BroadcastChannel" in window ? new BroadcastChannel(SESSION_CHANNEL_NAME) : null;
 
 /**
  * A global object to hold the application's authentication state.
  * This makes it easy for other parts of the application (like Alpine.js components)
- * to reactively check if a user is authenticated.
+ * to reactively check if a user is authenticated. It holds no tokens, so it is safe to log;
+ * requests get the token from `ensureFreshToken`.
  */
 window.authStatus = {
   isAuthenticated: false,
   username: "",
-  token: "",
+  userId: "",
   tokenExpiry: null,
   loading: false,
+  error: "",
 };
 
 /**
@@ -49,76 +101,412 @@ window.authStatus = {
 const authStatusChangedEvent = new Event("auth:statusChanged");
 
 /**
- * Initializes the AWS SDK with the region specified in the configuration.
- * This is a prerequisite for any AWS service interactions.
+ * Encodes an ArrayBuffer or byte array as base64url (RFC 4648 §5) without padding,
+ * which is the encoding PKCE expects for both the verifier and the challenge.
+ * @param {ArrayBuffer|Uint8Array} buffer - The bytes to encode
+ * @returns {string} The base64url-encoded string
+ */
+function base64UrlEncode(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = "";
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * Decodes a base64url string (as produced by `base64UrlEncode`) into text.
+ * @param {string} value - The base64url-encoded string
+ * @returns {string} The decoded UTF-8 text
+ */
+function base64UrlDecodeText(value) {
+  const base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(base64 + "=".repeat((4 - (base64.length % 4)) % 4));
+  return new TextDecoder().decode(Uint8Array.from(binary, (c) => c.charCodeAt(0)));
+}
+
+/**
+ * Builds the OAuth `state` value: a random nonce, followed by the route to return to
+ * after sign in (a URL hash such as `#/album/holiday`), base64url-encoded.
+ * The whole value is checked against the stored copy on return, so the route can't be forged.
+ * @param {string} returnHash - The hash to return to, or "" for the default view
+ * @returns {string}
+ */
+function createState(returnHash) {
+  const nonce = generateRandomString(16);
+  if (!returnHash) return nonce;
+  return `${nonce}.${base64UrlEncode(new TextEncoder().encode(returnHash))}`;
+}
+
+/**
+ * Extracts the return route from a `state` value built by `createState`.
+ * @param {string} state - The verified `state` value
+ * @returns {string} The URL hash to return to, or "" if there is none (or it is malformed)
+ */
+function returnHashFromState(state) {
+  const encoded = state.split(".")[1];
+  if (!encoded) return "";
+  try {
+    const hash = base64UrlDecodeText(encoded);
+    return hash.startsWith("#/") ? hash : "";
+  } catch (err) {
+    return "";
+  }
+}
+
+/**
+ * Generates a cryptographically random, URL-safe string.
+ * @param {number} byteLength - Number of random bytes (the string is ~4/3 as long)
+ * @returns {string} A base64url-encoded random string
+ */
+function generateRandomString(byteLength) {
+  const bytes = new Uint8Array(byteLength);
+  window.crypto.getRandomValues(bytes);
+  return base64UrlEncode(bytes);
+}
+
+/**
+ * Derives the S256 PKCE code challenge from a code verifier.
+ * @param {string} verifier - The PKCE code verifier
+ * @returns {Promise<string>} The base64url-encoded SHA-256 digest of the verifier
+ */
+async function createCodeChallenge(verifier) {
+  const digest = await window.crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(verifier)
+  );
+  return base64UrlEncode(digest);
+}
+
+/**
+ * Starts the Authorization Code Grant with PKCE.
+ * A fresh code verifier, `state` and `nonce` are generated and kept in sessionStorage,
+ * and the browser is sent to the provider's sign-in (or sign-up) page with the matching challenge.
+ * The route to come back to travels in the `state` value (see `createState`); the `nonce`
+ * must come back in the id token.
+ * @param {boolean} register - Whether to open the sign-up page instead of the sign-in page
+ * @param {string} returnHash - The URL hash to return to after sign in
+ * @param {boolean} [silent] - Ask the provider not to show any page (`prompt=none`), for
+ *   renewing the session after a reload
+ */
+async function startAuthorization(register, returnHash, silent = false) {
+  const verifier = generateRandomString(32);
+  const state = createState(returnHash);
+  const nonce = generateRandomString(16);
+  const params = {
+    state,
+    nonce,
+    code_challenge: await createCodeChallenge(verifier),
+    code_challenge_method: "S256",
+    ...(silent ? { prompt: "none" } : {}),
+  };
+  const url = register
+    ? await identityProvider.registerUrl(params)
+    : await identityProvider.loginUrl(params);
+
+  sessionStorage.setItem(PKCE_STORAGE_KEY, JSON.stringify({ verifier, state, nonce, silent }));
+
+  window.location.href = url;
+}
+
+/**
+ * The tokens of the current session, held in memory only: the token sent with API
+ * requests (the id token, or the access token if there is none), the refresh token,
+ * and the id token, passed to the provider's end-session endpoint as a hint on logout.
+ */
+let sessionToken = "";
+let refreshToken = null;
+let idToken = null;
+
+/**
+ * The verified claims of the current id token.
  */
-function initializeAWS() {
-  AWS.config.region = window.AppConfig.cognito.Region;
+let idClaims = null;
+
+/**
+ * Timer handle for the next scheduled silent refresh.
+ */
+let refreshTimer = null;
+
+/**
+ * Holds the promise of a refresh that is still running. Requests that need a valid
+ * token wait on it (via `ensureFreshToken`) instead of going out with a stale one.
+ */
+let refreshInProgress = null;
+
+/**
+ * Schedules a silent refresh `REFRESH_MARGIN_MS` before the current token expires.
+ */
+function scheduleTokenRefresh() {
+  clearTimeout(refreshTimer);
+  refreshTimer = null;
+  if (!refreshToken || !window.authStatus.tokenExpiry) {
+    return;
+  }
+
+  const delay = Math.max(
+    new Date(window.authStatus.tokenExpiry).getTime() - Date.now() - REFRESH_MARGIN_MS,
+    0
+  );
+  refreshTimer = setTimeout(() => {
+    refreshSession().catch(() => {
+      // Failures are handled (and logged) inside refreshSession
+    });
+  }, delay);
+}
+
+/**
+ * Waits for the given number of milliseconds.
+ * @param {number} ms - The delay
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Whether the current token is inside the refresh margin (or already expired).
+ * @returns {boolean}
+ */
+function tokenNeedsRefresh() {
+  const expiry = window.authStatus.tokenExpiry
+    ? new Date(window.authStatus.tokenExpiry).getTime()
+    : null;
+  return expiry !== null && expiry - Date.now() <= REFRESH_MARGIN_MS;
 }
 
+/**
+ * Renews the id/access tokens using the refresh token.
+ * Network errors and 5xx responses are retried with exponential backoff; if every
+ * attempt fails the refresh is tried again a minute later, keeping the session.
+ * Only a rejected refresh token (a 4xx from the token endpoint) logs the user out.
+ * Concurrent callers share the same in-flight refresh, and tabs take turns (see
+ * `REFRESH_LOCK_NAME`): a tab that waited for another one's refresh uses its tokens.
+ * @param {boolean} [force] - Refresh even if another tab has just done so
+ * @returns {Promise<string>} Resolves with the new token
+ */
+function refreshSession(force = false) {
+  if (refreshInProgress) {
+    return refreshInProgress;
+  }
+  if (!refreshToken) {
+    return Promise.reject(new Error("No refresh token available"));
+  }
+
+  const refresh = () => {
+    if (!refreshToken) {
+      throw new Error("Signed out while waiting to refresh");
+    }
+    if (!force && !tokenNeedsRefresh()) {
+      return sessionToken;
+    }
+    return refreshWithRetries();
+  };
+  refreshInProgress = (navigator.locks ? navigator.locks.request(REFRESH_LOCK_NAME, refresh) : Promise.resolve().then(refresh))
+    .finally(() => {
+      refreshInProgress = null;
+    });
+
+  return refreshInProgress;
+}
+
+/**
+ * Runs the refresh attempts for `refreshSession`.
+ * @returns {Promise<string>} Resolves with the new token
+ */
+async function refreshWithRetries() {
+  let lastError = null;
+  for (let attempt = 0; attempt < REFRESH_MAX_ATTEMPTS; attempt++) {
+    if (attempt > 0) {
+      await delay(Math.min(REFRESH_RETRY_BASE_MS * 2 ** (attempt - 1), REFRESH_RETRY_MAX_MS));
+    }
+    const usedRefreshToken = refreshToken;
+    try {
+      console.log(`Refreshing tokens (attempt ${attempt + 1} of ${REFRESH_MAX_ATTEMPTS})`);
+      const tokenData = await identityProvider.refresh(usedRefreshToken);
+      const claims = tokenData.id_token ? await verifyIdToken(tokenData.id_token) : idClaims;
+      // Cognito does not rotate the refresh token (other providers may), so keep ours
+      // unless a new one came back
+      setAuthenticatedUser({
+        refresh_token: usedRefreshToken,
+        ...tokenData,
+      }, claims);
+      return sessionToken;
+    } catch (err) {
+      lastError = err;
+      if (refreshToken && refreshToken !== usedRefreshToken) {
+        // Another tab rotated the refresh token in the meantime (browsers without Web
+        // Locks) and shared the new session, which this tab now uses
+        return sessionToken;
+      }
+      if ((err.status >= 400 && err.status < 500) || err instanceof window.JwtVerifier.TokenValidationError) {
+        console.log("Refresh token rejected, logging out:", window.LogRedaction.text(err.message));
+        clearAuthData();
+        throw err;
+      }
+      console.warn("Token refresh failed, will retry:", window.LogRedaction.text(err.message));
+    }
+  }
+
+  // Every attempt hit a transient failure: keep the session and try again later
+  clearTimeout(refreshTimer);
+  refreshTimer = setTimeout(() => {
+    refreshSession().catch(() => {});
+  }, 60000);
+  throw lastError;
+}
+
+/**
+ * Resolves with a token that is safe to send with a request.
+ * If a refresh is running it waits for it; if the current token is inside the
+ * refresh margin (or already expired) it triggers one first.
+ * Exposed globally so app.js can call it before fetching photos or uploading.
+ * @returns {Promise<string>} The current token ("" when signed out)
+ */
+window.ensureFreshToken = function () {
+  if (refreshInProgress) {
+    return refreshInProgress;
+  }
+  if (refreshToken && tokenNeedsRefresh()) {
+    return refreshSession();
+  }
+  return Promise.resolve(sessionToken);
+};
+
+/**
+ * Returns the current token straight away, without waiting for or starting a refresh,
+ * for requests that have to start synchronously (e.g. while the page is being closed).
+ * @returns {string} The current token ("" when signed out)
+ */
+window.currentSessionToken = function () {
+  return sessionToken;
+};
+
+/**
+ * Forces a refresh regardless of the current expiry, e.g. after the API rejected
+ * the token with a 401. Rejects when there is no refresh token to use.
+ * @returns {Promise<string>} The new token
+ */
+window.forceTokenRefresh = function () {
+  return refreshSession(true);
+};
+
+/**
+ * Holds the promise of an auth check that is still running, so that overlapping
+ * calls (auth.js on DOMContentLoaded and app.js on window load) share one
+ * token exchange instead of trying to redeem the same single-use code twice.
+ */
+let authCheckInProgress = null;
+
 /**
  * Checks the user's authentication status upon page load.
- * It prioritizes checking for an authorization code in the URL (from a Cognito redirect).
- * If no code is present, it falls back to checking for valid tokens in localStorage.
+ * It prioritizes checking for an authorization code in the URL (from the provider's redirect).
+ * If no code is present and the session hint says this browser is signed in, it renews the
+ * session through the provider (see `runAuthCheck`).
  * 
  * This function is exposed globally so it can be called from app.js when needed.
  */
 window.checkAuthFromHash = function() {
+  if (!authCheckInProgress) {
+    authCheckInProgress = runAuthCheck().finally(() => {
+      authCheckInProgress = null;
+    });
+  }
+  return authCheckInProgress;
+};
+
+/**
+ * Performs the actual auth check for `checkAuthFromHash`.
+ * @returns {Promise<void>} Resolves once the auth state has been settled
+ */
+async function runAuthCheck() {
   // Start with loading state - this is handled differently to ensure UI updates properly
   window.authStatus.loading = true;
+  window.authStatus.error = "";
 
-  // 1. Handle the redirect from Cognito after a successful login.
+  // 1. Handle the redirect from the identity provider after a successful login.
   const urlParams = new URLSearchParams(window.location.search);
   const authCode = urlParams.get("code");
+  const authError = urlParams.get("error");
+  const pending = readPendingAuthorization();
+  sessionStorage.removeItem(PKCE_STORAGE_KEY);
 
-  if (authCode) {
-    console.log("Authorization code received from Cognito:", authCode);
-    // In a production environment, this authorization code would typically be
-    // exchanged for tokens via a backend service. For this demo, we'll use it directly.
-
-    // Extract some information from the auth code to simulate a real token
-    // The real code would be exchanged for actual tokens via a token endpoint
-    const authData = {
-      username: "Authenticated User",
-      // We're using the actual auth code as part of the token to make it unique per session
-      token: "cognito-token-" + authCode.substring(0, 8),
-      id_token: "id-" + authCode,
-      access_token: "access-" + authCode,
-      expires_in: 3600,
-    };
-
-    // Set the authenticated user with our auth data
-    setAuthenticatedUser(authData);
+  if (authCode || authError) {
+    const returnedState = urlParams.get("state") || "";
 
-    // Add a console log to help debug the authentication state
-    console.log(
-      "Authentication successful, updated auth status:",
-      window.authStatus
+    // Clean the URL straight away so the single-use code is never redeemed twice,
+    // and go back to the route the user started from (only if the state is ours)
+    const stateMatches = Boolean(pending) && returnedState === pending.state;
+    window.history.replaceState(
+      null,
+      null,
+      window.location.pathname + (stateMatches ? returnHashFromState(returnedState) : "")
     );
 
-    // Clean the URL to remove the authorization code, so it's not accidentally reused
-    window.history.replaceState(null, null, window.location.pathname);
+    try {
+      if (authError && stateMatches && pending.silent) {
+        // The provider's own session has ended too (e.g. `login_required`): show the
+        // sign-in screen without an error
+        console.log("No provider session to renew:", authError);
+        clearAuthData();
+      } else {
+        if (authError) {
+          throw new Error(urlParams.get("error_description") || authError);
+        }
+        if (!pending || !pending.verifier) {
+          throw new Error("No login in progress for this authorization code");
+        }
+        if (!stateMatches) {
+          throw new Error("State mismatch in authorization response");
+        }
+
+        console.log("Authorization code received, exchanging for tokens...");
+        const tokenData = await identityProvider.exchangeCode(authCode, pending.verifier);
+        if (!tokenData.id_token) {
+          throw new Error("The identity provider returned no id token");
+        }
+        const claims = await verifyIdToken(tokenData.id_token, pending.nonce);
+
+        // Set the authenticated user with the verified tokens from the provider
+        setAuthenticatedUser(tokenData, claims);
+        console.log("Authentication successful, updated auth status:", window.authStatus);
+      }
+    } catch (err) {
+      console.error("Authorization code exchange failed:", window.LogRedaction.text(err.message));
+      // Other tabs may still be signed in
+      clearAuthData(false);
+      window.authStatus.error = `Sign in failed: ${err.message}`;
+    }
   } else {
-    // 2. If not coming from a redirect, check for a session in localStorage.
-    const savedAuth = localStorage.getItem("photoGalleryAuth");
-    if (savedAuth) {
+    // 2. Tokens are only held in memory, so after a reload there are none. If this browser
+    // is signed in, take them from another open tab, or else get new ones from the
+    // provider's session without showing its pages.
+    localStorage.removeItem(LEGACY_AUTH_STORAGE_KEY);
+    const hint = readSessionHint();
+    if (hint && window.IdleTimer.isExpired(window.AppConfig.session.idle_timeout)) {
+      // The app was left signed in but unused for longer than the idle timeout (e.g. the
+      // browser was closed on a shared computer): end the session instead of renewing it
+      console.log("Session idle for too long, signing out");
+      await window.logoutUser();
+    } else if (hint && (await requestSessionFromOtherTabs())) {
+      console.log("Using the session of another tab");
+    } else if (hint && pending && pending.silent) {
+      // A silent sign in was started but never came back (e.g. the user left the
+      // provider's sign-in page): don't start another one
+      clearAuthData();
+    } else if (hint && hint.provider === identityProvider.name) {
       try {
-        const authData = JSON.parse(savedAuth);
-
-        // Check token expiry
-        if (
-          authData.tokenExpiry &&
-          new Date(authData.tokenExpiry) > new Date()
-        ) {
-          setAuthenticatedUser(authData);
-        } else {
-          // Token expired
-          clearAuthData();
-        }
+        await startAuthorization(false, window.location.hash, true);
+        // The browser is on its way to the provider; stay in the loading state
+        return;
       } catch (err) {
-        console.error("Error parsing saved auth data:", err);
+        console.warn("Could not renew the session:", window.LogRedaction.text(err.message));
         clearAuthData();
       }
+    } else if (hint) {
+      // Signed in with another identity provider
+      clearAuthData();
     }
   }
 
@@ -127,126 +515,310 @@ window.checkAuthFromHash = function() {
   window.dispatchEvent(authStatusChangedEvent);
 }
 
+/**
+ * Verifies an id token against the identity provider's keys and expected claims.
+ * @param {string} token - The id token
+ * @param {string} [nonce] - The nonce of the sign in it must belong to; refreshed tokens
+ *   are not checked for one
+ * @returns {Promise<Object>} The verified claims
+ */
+async function verifyIdToken(token, nonce) {
+  const expected = await identityProvider.tokenVerification();
+  return window.JwtVerifier.verify(token, { ...expected, nonce });
+}
+
+/**
+ * Reads the values of the sign in in progress (see `PKCE_STORAGE_KEY`).
+ * @returns {Object|null} `{ verifier, state, nonce, silent }`, or null if no sign in is in
+ *   progress (or the stored values can't be read)
+ */
+function readPendingAuthorization() {
+  try {
+    return JSON.parse(sessionStorage.getItem(PKCE_STORAGE_KEY) || "null");
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Reads the session hint (see `SESSION_HINT_KEY`).
+ * @returns {Object|null} `{ provider }`, or null if this browser isn't signed in
+ */
+function readSessionHint() {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_HINT_KEY) || "null");
+  } catch (err) {
+    return null;
+  }
+}
+
 /**
  * Sets the authenticated user data in the global authStatus object.
- * This is called after a successful authentication with Cognito.
- * @param {Object} tokenData - The token data received from Cognito
+ * This is called after a successful authentication with the identity provider,
+ * and after every refresh. The session is shared with the other tabs.
+ * @param {Object} tokenData - The token data received from the provider
+ * @param {Object|null} claims - The verified claims of its id token
  */
-function setAuthenticatedUser(tokenData) {
-  console.log('Setting authenticated user with token data:', tokenData);
-  
-  // Set token expiry (default to 1 hour if not provided)
+function setAuthenticatedUser(tokenData, claims) {
+  // Set token expiry from `expires_in` (default to 1 hour if not provided), but never past
+  // the id token's own expiry when that is the token the API gets
   const expiresIn = tokenData.expires_in
     ? parseInt(tokenData.expires_in, 10)
     : 3600;
-  const expiryTime = new Date();
-  expiryTime.setSeconds(expiryTime.getSeconds() + expiresIn);
-
-  // Extract username from token (simplified - in a real app you'd decode the JWT)
-  // In a real implementation you'd use a JWT library to decode the token
-  let username = "User";
-  if (tokenData.username) {
-    username = tokenData.username;
-  } else if (tokenData.id_token) {
-    try {
-      // This is a simplified version - in production use a JWT decoder library
-      const tokenParts = tokenData.id_token.split(".");
-      if (tokenParts.length === 3) {
-        const payload = JSON.parse(atob(tokenParts[1]));
-        username = payload.name || payload.email || payload.username || "User";
-      }
-    } catch (err) {
-      console.error("Error extracting username from token:", err);
-    }
+  let expiryTime = Date.now() + expiresIn * 1000;
+  if (tokenData.id_token && claims && claims.exp) {
+    expiryTime = Math.min(expiryTime, claims.exp * 1000);
   }
 
+  // Keep the tokens in memory only; a refresh response omits the refresh token
+  applySession({
+    sessionToken: tokenData.id_token || tokenData.access_token,
+    refreshToken: tokenData.refresh_token || refreshToken,
+    idToken: tokenData.id_token || idToken,
+    claims,
+    tokenExpiry: new Date(expiryTime).toISOString(),
+  });
+
+  postSessionMessage({ type: "session", session: currentSession() });
+}
+
+/**
+ * The current session as shared with other tabs (see `applySession`).
+ * @returns {Object}
+ */
+function currentSession() {
+  return {
+    sessionToken,
+    refreshToken,
+    idToken,
+    claims: idClaims,
+    tokenExpiry: window.authStatus.tokenExpiry,
+  };
+}
+
+/**
+ * Makes a session current, whether this tab signed in or refreshed, or another tab did.
+ * @param {Object} session - `{ sessionToken, refreshToken, idToken, claims, tokenExpiry }`
+ */
+function applySession(session) {
+  sessionToken = session.sessionToken;
+  refreshToken = session.refreshToken;
+  idToken = session.idToken;
+  idClaims = session.claims;
+
+  // Which claims hold the user's name depends on the provider
+  const username = session.claims ? identityProvider.userInfo(session.claims).username : "User";
+
   // Update global auth status - we need to do this completely before dispatching the event
   window.authStatus = {
     isAuthenticated: true,
     username: username,
-    token: tokenData.id_token || tokenData.access_token || tokenData.token,
-    tokenExpiry: expiryTime.toISOString(),
+    // The id token's subject, which identifies the user across sessions (e.g. for saved uploads)
+    userId: session.claims && session.claims.sub ? session.claims.sub : "",
+    tokenExpiry: session.tokenExpiry,
     loading: false,
+    error: "",
   };
-  
-  console.log('Updated auth status, user is now authenticated:', window.authStatus);
-
-  // Save to localStorage
-  localStorage.setItem("photoGalleryAuth", JSON.stringify(window.authStatus));
-
-  // Configure AWS credentials if using Cognito Identity Pool
-  if (window.AppConfig && window.AppConfig.cognito && window.AppConfig.cognito.IdentityPoolId) {
-    AWS.config.credentials = new AWS.CognitoIdentityCredentials({
-      IdentityPoolId: window.AppConfig.cognito.IdentityPoolId,
-      Logins: {
-        [`cognito-idp.${window.AppConfig.cognito.Region}.amazonaws.com/${window.AppConfig.cognito.UserPoolId}`]:
-          window.authStatus.token,
-      },
-    });
-  }
+
+  localStorage.setItem(SESSION_HINT_KEY, JSON.stringify({ provider: identityProvider.name }));
+
+  scheduleTokenRefresh();
+
+  // Provider-specific set-up, e.g. AWS credentials from a Cognito identity pool
+  identityProvider.signedIn(sessionToken);
 
   // Dispatch event to notify the app
   window.dispatchEvent(authStatusChangedEvent);
 }
 
-// Clear authentication data
-function clearAuthData() {
+/**
+ * Clears authentication data.
+ * @param {boolean} [signOutEverywhere] - Also forget that this browser is signed in and sign
+ *   the other tabs out; false when only this tab's sign in failed, or another tab signed out
+ */
+function clearAuthData(signOutEverywhere = true) {
+  sessionToken = "";
+  refreshToken = null;
+  idToken = null;
+  idClaims = null;
+  clearTimeout(refreshTimer);
+  refreshTimer = null;
+
   window.authStatus = {
     isAuthenticated: false,
     username: "",
-    token: "",
+    userId: "",
     tokenExpiry: null,
     loading: false,
+    error: "",
   };
 
-  localStorage.removeItem("photoGalleryAuth");
+  if (signOutEverywhere) {
+    localStorage.removeItem(SESSION_HINT_KEY);
+    postSessionMessage({ type: "signed-out" });
+  }
+  localStorage.removeItem(LEGACY_AUTH_STORAGE_KEY);
+  if (identityProvider) {
+    identityProvider.signedOut();
+  }
 
   // Dispatch event to notify the app
   window.dispatchEvent(authStatusChangedEvent);
 }
 
 /**
- * Logs the user out by clearing all authentication data and redirecting to the login page.
+ * Sends a message to the other tabs on the session channel, if there is one.
+ * @param {Object} message - See `SESSION_CHANNEL_NAME`
  */
-window.logoutUser = function () {
+function postSessionMessage(message) {
+  if (sessionChannel && identityProvider) {
+    sessionChannel.postMessage({ ...message, provider: identityProvider.name });
+  }
+}
+
+/**
+ * Called with true once another tab has answered a `session-request`, while one is pending.
+ */
+let sessionRequestAnswered = null;
+
+/**
+ * Asks the other tabs for their session, e.g. after a reload or in a newly opened tab.
+ * @returns {Promise<boolean>} Whether another tab's session is now in use
+ */
+function requestSessionFromOtherTabs() {
+  if (!sessionChannel) {
+    return Promise.resolve(false);
+  }
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      sessionRequestAnswered = null;
+      resolve(false);
+    }, SESSION_REQUEST_TIMEOUT_MS);
+    sessionRequestAnswered = () => {
+      clearTimeout(timer);
+      sessionRequestAnswered = null;
+      resolve(true);
+    };
+    postSessionMessage({ type: "session-request" });
+  });
+}
+
+/**
+ * Follows the other tabs: answers their requests for the session, uses the sessions
+ * they share unless this tab already has a newer one, and signs out with them.
+ * @param {MessageEvent} event - A message from another tab (see `SESSION_CHANNEL_NAME`)
+ */
+function handleSessionMessage(event) {
+  const message = event.data || {};
+  if (!identityProvider || message.provider !== identityProvider.name) {
+    // Another tab of the same origin configured for another identity provider
+    return;
+  }
+  if (message.type === "session-request") {
+    if (window.authStatus.isAuthenticated && sessionToken) {
+      postSessionMessage({ type: "session", session: currentSession() });
+    }
+  } else if (message.type === "session") {
+    const session = message.session;
+    if (!window.authStatus.isAuthenticated || session.tokenExpiry >= window.authStatus.tokenExpiry) {
+      applySession(session);
+      if (sessionRequestAnswered) {
+        sessionRequestAnswered();
+      }
+    }
+  } else if (message.type === "signed-out" && window.authStatus.isAuthenticated) {
+    console.log("Signed out in another tab");
+    clearAuthData(false);
+  }
+}
+
+if (sessionChannel) {
+  sessionChannel.addEventListener("message", handleSessionMessage);
+} else {
+  // Without BroadcastChannel, tabs can only see the session hint come and go: sign out
+  // with the others, and sign in (through the provider's session) once visible
+  window.addEventListener("storage", (event) => {
+    if (event.key !== SESSION_HINT_KEY || !identityProvider) {
+      return;
+    }
+    if (!event.newValue && window.authStatus.isAuthenticated) {
+      clearAuthData(false);
+    } else if (event.newValue && !window.authStatus.isAuthenticated && document.visibilityState === "visible") {
+      checkAuthFromHash();
+    }
+  });
+}
+
+/**
+ * Logs the user out: clears all authentication data (in every tab), then ends the session at the
+ * identity provider too, so the next sign in asks for credentials again. The provider
+ * sends the browser back to `AppConfig.logout_redirect_uri`. If the provider has no
+ * end-session endpoint (or it can't be found), only the local session ends.
+ * @returns {Promise<void>}
+ */
+window.logoutUser = async function () {
+  const hint = idToken;
   clearAuthData();
+  if (!identityProvider) {
+    return;
+  }
+  try {
+    const url = await identityProvider.logoutUrl(hint);
+    if (url) {
+      window.location.href = url;
+    }
+  } catch (err) {
+    console.warn("Could not end the session at the identity provider:", window.LogRedaction.text(err.message));
+  }
 };
 
 /**
- * Redirects the browser to the Cognito Hosted UI for login.
+ * Redirects the browser to the identity provider's sign-in page.
+ * @param {string} [returnHash] - The route (URL hash) to come back to; defaults to the current one
  */
-window.redirectToLogin = function () {
+window.redirectToLogin = function (returnHash = window.location.hash) {
   // Set loading state before redirect
   window.authStatus.loading = true;
   window.dispatchEvent(authStatusChangedEvent);
 
   // Short delay to allow the UI to update before redirect
   setTimeout(() => {
-    window.location.href = COGNITO_LOGIN_URL;
+    startAuthorization(false, returnHash).catch(handleRedirectError);
   }, 100);
 };
 
 /**
- * Redirects the browser to the Cognito Hosted UI for registration.
+ * Redirects the browser to the identity provider's sign-up page.
+ * @param {string} [returnHash] - The route (URL hash) to come back to; defaults to the current one
  */
-window.redirectToRegister = function () {
+window.redirectToRegister = function (returnHash = window.location.hash) {
   // Set loading state before redirect
   window.authStatus.loading = true;
   window.dispatchEvent(authStatusChangedEvent);
 
   // Short delay to allow the UI to update before redirect
   setTimeout(() => {
-    window.location.href = COGNITO_REGISTER_URL;
+    startAuthorization(true, returnHash).catch(handleRedirectError);
   }, 100);
 };
 
-// Perform initial authentication checks as soon as the DOM is ready.
-document.addEventListener('DOMContentLoaded', () => {
+/**
+ * Resets the loading state if the sign-in URL could not be prepared (e.g. WebCrypto is
+ * unavailable because the page is not served over HTTPS, or the OIDC discovery failed).
+ * @param {Error} err - The error raised while starting the authorization
+ */
+function handleRedirectError(err) {
+  console.error("Unable to start sign in:", window.LogRedaction.text(err.message));
+  window.authStatus.loading = false;
+  window.authStatus.error = `Unable to start sign in: ${err.message}`;
+  window.dispatchEvent(authStatusChangedEvent);
+}
+
+// Perform initial authentication checks as soon as the DOM is ready and the configuration
+// has loaded. Nothing starts if the configuration is invalid (config.js shows why).
+document.addEventListener('DOMContentLoaded', () => window.AppConfigReady.then(() => {
   console.log('DOM loaded, checking auth status...');
-  
-  // First initialize AWS credentials
-  initializeAWS();
-  
+
   // Give Alpine.js a chance to initialize before we check auth
   setTimeout(() => {
     console.log('Running auth check after short delay');
@@ -256,14 +828,34 @@ document.addEventListener('DOMContentLoaded', () => {
     window.dispatchEvent(authStatusChangedEvent);
   }, 200);
 
-  // Set up an interval to check token expiry (every minute)
-  setInterval(() => {
-    if (window.authStatus.tokenExpiry) {
-      const expiryTime = new Date(window.authStatus.tokenExpiry);
-      if (expiryTime <= new Date()) {
-        console.log("Token expired, logging out");
-        clearAuthData();
-      }
+  // Timers are throttled in background tabs and paused while the machine sleeps,
+  // so also check every minute (and whenever the tab becomes visible) whether the
+  // scheduled refresh was missed, and catch up silently instead of logging out.
+  // Sessions without a refresh token still end when the token expires.
+  const refreshIfDue = () => {
+    if (!window.authStatus.tokenExpiry) {
+      return;
     }
-  }, 60000);
-});
+    if (refreshToken) {
+      window.ensureFreshToken().catch(() => {
+        // Failures are handled (and logged) inside refreshSession
+      });
+    } else if (new Date(window.authStatus.tokenExpiry) <= new Date()) {
+      console.log("Token expired, logging out");
+      clearAuthData();
+    }
+  };
+  setInterval(refreshIfDue, 60000);
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState !== "visible") {
+      return;
+    }
+    refreshIfDue();
+    // Without BroadcastChannel, pick up a sign in from another tab (see the `storage` listener)
+    if (!sessionChannel && !window.authStatus.isAuthenticated && !window.authStatus.loading && readSessionHint()) {
+      checkAuthFromHash();
+    }
+  });
+}, () => {
+  // Reported by config.js and bootstrap.js
+}));
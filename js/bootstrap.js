@@ -0,0 +1,23 @@
+/**
+ * @fileoverview Starts the page's Alpine.js components once the configuration is loaded.
+ * Alpine.js is loaded from here instead of the page's head, after `window.AppConfigReady`
+ * resolves, so no component reads `window.AppConfig` before it exists. When the
+ * configuration is invalid, `config.js` shows its diagnostics panel and Alpine.js is not loaded.
+ * Must be the last script on the page.
+ */
+
+(function () {
+  const ALPINE_URL = "https://cdn.jsdelivr.net/npm/alpinejs@3.x.x/dist/cdn.min.js";
+
+  window.AppConfigReady.then(
+    () => {
+      const script = document.createElement("script");
+      script.src = ALPINE_URL;
+      script.defer = true;
+      document.head.appendChild(script);
+    },
+    (err) => {
+      console.error("Not starting the app:", err.message);
+    }
+  );
+})();
@@ -1,63 +1,511 @@
 /**
- * Safely retrieves an environment variable from different sources with a fallback default value.
- * The order of precedence is:
+ * @fileoverview Loads, checks and exposes the application configuration.
+ * The values are resolved in this order of precedence:
  * 1. `process.env` (for Node.js environments, e.g., during a build process).
- * 2. `window._env` (for local development, populated by `env-loader.js` from a .env file).
- * 3. A hardcoded default value.
+ * 2. The profile's env file (e.g. `.env` for dev), loaded by `env-loader.js`.
+ * 3. The profile's own values (see `PROFILES`).
+ * 4. The default in `SCHEMA`, for optional settings only.
+ * Loading is asynchronous: `window.AppConfigReady` resolves once the values are checked
+ * against `SCHEMA` and `window.AppConfig` is set. If they fail the checks, a diagnostics
+ * panel explains what is wrong and the promise rejects, so the app never starts with a
+ * half-valid configuration.
  */
-const getEnv = (key, defaultValue = "") => {
-  // 1. Check for Node.js environment variables (e.g., from build tools)
-  if (typeof process !== "undefined" && process.env && process.env[key]) {
-    return process.env[key];
+
+/**
+ * Named configuration profiles. A profile is picked by the `?profile=<name>` query
+ * parameter (remembered for the tab, so it survives the sign-in redirect; `?profile=auto`
+ * forgets it), otherwise by the first profile whose `hosts` match the page's hostname.
+ * A hostname no profile matches gets the diagnostics panel rather than some other
+ * deployment's backend. `envFile` is loaded on top of `values`.
+ */
+const PROFILES = {
+  dev: {
+    hosts: ["localhost", "127.0.0.1", "[::1]"],
+    envFile: ".env",
+    values: {},
+  },
+  staging: {
+    hosts: [/^staging[.-]/],
+    envFile: ".env.staging",
+    values: {},
+  },
+  prod: {
+    hosts: ["dnnso4h1b742i.cloudfront.net"],
+    envFile: ".env.production",
+    values: {
+      COGNITO_USER_POOL_ID: "us-east-1_io9CtBusD",
+      COGNITO_CLIENT_ID: "8au96ta14667pdcgfagc6a3n4",
+      COGNITO_REGION: "us-east-1",
+      COGNITO_IDENTITY_POOL_ID: "us-east-1:ae0ab6d6-df6b-4326-90e6-3d6676d63575",
+      COGNITO_DOMAIN: "us-east-1io9ctbusd",
+      REDIRECT_URI: "https://dnnso4h1b742i.cloudfront.net/",
+      API_PHOTOS_ENDPOINT: "https://hj9ps33iv0.execute-api.us-east-1.amazonaws.com/prod/photos/",
+      API_UPLOAD_ENDPOINT: "https://0akv8smyga.execute-api.us-east-1.amazonaws.com/prod/photo-sharing-test-bkt/",
+    },
+  },
+  // The local mock backend (`node mock/server.js`), which also serves the app, so every
+  // URL is on the page's own origin. Open it with `?profile=mock`.
+  mock: {
+    hosts: [],
+    envFile: ".env.mock",
+    values: {
+      COGNITO_USER_POOL_ID: "us-east-1_Mock",
+      COGNITO_CLIENT_ID: "mockclient",
+      COGNITO_REGION: "us-east-1",
+      COGNITO_DOMAIN: "mock",
+      COGNITO_HOSTED_UI_URL: window.location.origin,
+      COGNITO_ISSUER: window.location.origin,
+      REDIRECT_URI: `${window.location.origin}/`,
+      API_PHOTOS_ENDPOINT: `${window.location.origin}/photos/`,
+      API_UPLOAD_ENDPOINT: `${window.location.origin}/upload/`,
+    },
+  },
+};
+
+/**
+ * sessionStorage key of the profile chosen with `?profile=`.
+ */
+const PROFILE_STORAGE_KEY = "photoGalleryProfile";
+
+/**
+ * The settings and their checks. `type` is 'string', 'url', 'int', 'number', 'bool' or
+ * 'list' (comma-separated). Other checks: `required` (waived when the setting named by
+ * `requiredUnless` is set, or when `AUTH_PROVIDER` isn't the rule's `provider`), `default`,
+ * `pattern` (with a `hint` shown when it fails), `min`/`max`, `oneOf`, and `trailingSlash`
+ * for endpoints that have ids appended to them.
+ */
+const SCHEMA = {
+  // Identity provider (see identity-providers.js)
+  AUTH_PROVIDER: { type: "string", default: "cognito", oneOf: ["cognito", "oidc"] },
+  // AWS Cognito
+  COGNITO_USER_POOL_ID: { type: "string", required: true, provider: "cognito", pattern: /^[a-z]{2}(-[a-z]+)+-\d_[0-9A-Za-z]+$/, hint: "like us-east-1_AbCdEfGhI" },
+  COGNITO_CLIENT_ID: { type: "string", required: true, provider: "cognito", pattern: /^[0-9a-z]+$/, hint: "the app client id, letters and digits only" },
+  COGNITO_REGION: { type: "string", required: true, provider: "cognito", pattern: /^[a-z]{2}(-[a-z]+)+-\d$/, hint: "like us-east-1" },
+  COGNITO_IDENTITY_POOL_ID: { type: "string", default: "", pattern: /^[a-z]{2}(-[a-z]+)+-\d:[0-9a-f-]{36}$/, hint: "like us-east-1:<uuid>" },
+  COGNITO_DOMAIN: { type: "string", required: true, provider: "cognito", requiredUnless: "COGNITO_HOSTED_UI_URL", pattern: /^[a-z0-9-]+$/, hint: "the Hosted UI domain prefix, without .auth.<region>.amazoncognito.com" },
+  COGNITO_HOSTED_UI_URL: { type: "url", default: "" },
+  COGNITO_ISSUER: { type: "url", default: "" },
+  // Generic OpenID Connect
+  OIDC_ISSUER: { type: "url", required: true, provider: "oidc" },
+  OIDC_CLIENT_ID: { type: "string", required: true, provider: "oidc" },
+  OIDC_SCOPES: { type: "string", default: "openid email profile", pattern: /(^|\s)openid(\s|$)/, hint: "space-separated scopes including openid" },
+  REDIRECT_URI: { type: "url", required: true },
+  LOGOUT_REDIRECT_URI: { type: "url", default: "" },
+  // Sessions
+  SESSION_IDLE_TIMEOUT_MINUTES: { type: "number", default: "0", min: 0 },
+  SESSION_IDLE_WARNING_SECONDS: { type: "int", default: "60", min: 5, max: 600 },
+  // API endpoints
+  API_PHOTOS_ENDPOINT: { type: "url", required: true, trailingSlash: true },
+  API_PHOTOS_PAGE_SIZE: { type: "int", default: "50", min: 1, max: 1000 },
+  API_UPLOAD_ENDPOINT: { type: "url", required: true, trailingSlash: true },
+  API_PRESIGN_ENDPOINT: { type: "url", default: "" },
+  API_MULTIPART_ENDPOINT: { type: "url", default: "", trailingSlash: true },
+  API_PHOTO_DELETE_ENDPOINT: { type: "url", default: "", trailingSlash: true },
+  API_PHOTO_CAPTION_ENDPOINT: { type: "url", default: "", trailingSlash: true },
+  API_PHOTO_TITLE_ENDPOINT: { type: "url", default: "", trailingSlash: true },
+  API_ALBUMS_ENDPOINT: { type: "url", default: "", trailingSlash: true },
+  API_SHARES_ENDPOINT: { type: "url", default: "", trailingSlash: true },
+  API_PUBLIC_SHARE_ENDPOINT: { type: "url", default: "", trailingSlash: true },
+  // Uploads
+  UPLOAD_CONCURRENCY: { type: "int", default: "3", min: 1, max: 10 },
+  UPLOAD_MULTIPART_THRESHOLD_MB: { type: "number", default: "20", min: 5 },
+  UPLOAD_PART_SIZE_MB: { type: "number", default: "8", min: 5 },
+  UPLOAD_ALLOWED_TYPES: { type: "list", default: "image/jpeg,image/png,image/gif,image/webp,image/heic,image/heif", pattern: /^image\/[\w.+-]+$/, hint: "image MIME types, like image/jpeg" },
+  UPLOAD_MAX_MB: { type: "number", default: "50", min: 0 },
+  UPLOAD_MAX_DIMENSION: { type: "int", default: "12000", min: 1 },
+  UPLOAD_OPTIMIZE: { type: "bool", default: "false" },
+  UPLOAD_OPTIMIZE_FORMAT: { type: "string", default: "image/jpeg", oneOf: ["image/jpeg", "image/webp"] },
+  UPLOAD_OPTIMIZE_QUALITY: { type: "number", default: "0.85", min: 0, max: 1 },
+  UPLOAD_OPTIMIZE_MAX_DIMENSION: { type: "int", default: "4096", min: 1 },
+  UPLOAD_STRIP_LOCATION: { type: "bool", default: "false" },
+  UPLOAD_DUPLICATE_CHECK: { type: "bool", default: "true" },
+  UPLOAD_NEAR_DUPLICATE_DISTANCE: { type: "int", default: "10", min: 0, max: 64 },
+  UPLOAD_PROCESSING_POLL_INITIAL_SECONDS: { type: "number", default: "3", min: 0 },
+  UPLOAD_PROCESSING_POLL_MAX_SECONDS: { type: "number", default: "20", min: 0 },
+  UPLOAD_PROCESSING_TIMEOUT_SECONDS: { type: "number", default: "180", min: 0 },
+};
+
+/**
+ * Hosts that may be reached over plain HTTP (local development servers).
+ */
+const LOCAL_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+
+/**
+ * Picks the configuration profile for this page.
+ * @returns {{name: string, source: string, error: string|null}} `source` says how it was
+ *   picked: 'query', 'saved' (an earlier `?profile=` in this tab), 'host', or 'unmatched'
+ *   when no profile is set up for the hostname (`name` is then empty)
+ */
+function selectProfile() {
+  const requested = new URLSearchParams(window.location.search).get("profile");
+  if (requested === "auto") {
+    sessionStorage.removeItem(PROFILE_STORAGE_KEY);
+  } else if (requested) {
+    if (!PROFILES[requested]) {
+      return {
+        name: requested,
+        source: "query",
+        error: `There is no "${requested}" profile. Use one of: ${Object.keys(PROFILES).join(", ")}.`,
+      };
+    }
+    sessionStorage.setItem(PROFILE_STORAGE_KEY, requested);
+    return { name: requested, source: "query", error: null };
   }
 
-  // 2. Check for variables loaded from .env file for local development
-  if (window._env && window._env[key]) {
-    return window._env[key];
+  const saved = sessionStorage.getItem(PROFILE_STORAGE_KEY);
+  if (saved && PROFILES[saved]) {
+    return { name: saved, source: "saved", error: null };
   }
 
-  // 3. Fallback to the default value
-  return defaultValue;
-};
+  const hostname = window.location.hostname;
+  const matched = Object.keys(PROFILES).find((name) =>
+    PROFILES[name].hosts.some((host) => (host instanceof RegExp ? host.test(hostname) : host === hostname))
+  );
+  if (matched) {
+    return { name: matched, source: "host", error: null };
+  }
+  return {
+    name: "",
+    source: "unmatched",
+    error: `No profile is set up for ${hostname}. Add it to a profile's hosts in js/config.js, ` +
+      `or pick one with ?profile=${Object.keys(PROFILES).join("|")}.`,
+  };
+}
+
+/**
+ * Resolves every setting in `SCHEMA` from the sources in order of precedence.
+ * @param {Object} profileValues - The profile's own values
+ * @param {Object} fileValues - The values from the profile's env file
+ * @param {string} envFile - The env file's name
+ * @returns {Object} `{ values, sources }`: the raw string values, and where each came from
+ *   ('process.env', the env file's name, 'profile' or 'default')
+ */
+function resolveValues(profileValues, fileValues, envFile) {
+  const values = {};
+  const sources = {};
+  Object.keys(SCHEMA).forEach((key) => {
+    if (typeof process !== "undefined" && process.env && process.env[key]) {
+      values[key] = process.env[key];
+      sources[key] = "process.env";
+    } else if (fileValues[key]) {
+      values[key] = fileValues[key];
+      sources[key] = envFile;
+    } else if (profileValues[key]) {
+      values[key] = profileValues[key];
+      sources[key] = "profile";
+    } else {
+      values[key] = SCHEMA[key].default || "";
+      sources[key] = "default";
+    }
+  });
+  return { values, sources };
+}
+
+/**
+ * Checks one URL setting.
+ * @param {string} value - The value
+ * @param {Object} rule - The setting's `SCHEMA` entry
+ * @returns {string|null} What is wrong with it, or null
+ */
+function checkUrl(value, rule) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    return "must be an absolute URL, like https://example.com/path/";
+  }
+  if (url.protocol !== "https:" && !(url.protocol === "http:" && LOCAL_HOSTS.includes(url.hostname))) {
+    return "must use https (plain http is only allowed for localhost)";
+  }
+  if (rule.trailingSlash && !url.pathname.endsWith("/")) {
+    return "must end with a slash, since ids are appended to it";
+  }
+  return null;
+}
+
+/**
+ * Checks the resolved values against `SCHEMA`.
+ * @param {Object} values - The raw values by key
+ * @returns {Array<{key: string, message: string}>} The problems found
+ */
+function validate(values) {
+  const problems = [];
+  Object.entries(SCHEMA).forEach(([key, rule]) => {
+    const value = values[key];
+    if (value === "") {
+      const waived =
+        (rule.requiredUnless && values[rule.requiredUnless]) ||
+        (rule.provider && rule.provider !== values.AUTH_PROVIDER);
+      if (rule.required && !waived) {
+        problems.push({ key, message: "is required" });
+      }
+      return;
+    }
+
+    let message = null;
+    if (rule.type === "url") {
+      message = checkUrl(value, rule);
+    } else if (rule.type === "int" || rule.type === "number") {
+      const number = Number(value);
+      if (!Number.isFinite(number) || (rule.type === "int" && !Number.isInteger(number))) {
+        message = `must be ${rule.type === "int" ? "a whole number" : "a number"}`;
+      } else if (rule.min !== undefined && number < rule.min) {
+        message = `must be at least ${rule.min}`;
+      } else if (rule.max !== undefined && number > rule.max) {
+        message = `must be at most ${rule.max}`;
+      }
+    } else if (rule.type === "bool") {
+      if (value !== "true" && value !== "false") message = "must be true or false";
+    } else if (rule.type === "list") {
+      const invalid = value.split(",").map((item) => item.trim()).filter((item) => item && !rule.pattern.test(item));
+      if (invalid.length > 0) message = `has invalid entries (${invalid.join(", ")}); use ${rule.hint}`;
+    } else if (rule.oneOf && !rule.oneOf.includes(value)) {
+      message = `must be one of ${rule.oneOf.join(", ")}`;
+    } else if (rule.pattern && !rule.pattern.test(value)) {
+      message = `doesn't look right; expected ${rule.hint}`;
+    }
+    if (message) problems.push({ key, message });
+  });
+  return problems;
+}
+
+/**
+ * Points out settings that are valid but probably not what was meant.
+ * @param {Object} values - The raw values by key
+ * @returns {Array<{key: string, message: string}>}
+ */
+function findWarnings(values) {
+  const warnings = [];
+  try {
+    const redirect = new URL(values.REDIRECT_URI);
+    if (redirect.origin !== window.location.origin) {
+      warnings.push({
+        key: "REDIRECT_URI",
+        message: `points to ${redirect.origin}, so signing in returns there rather than to this site`,
+      });
+    }
+  } catch (err) {
+    // Invalid URLs are reported by validate()
+  }
+  return warnings;
+}
 
 /**
- * The main configuration object for the application.
+ * Builds the configuration object from checked values.
  * It is structured to group related settings, such as Cognito, API endpoints, etc.
- * This object is populated using the `getEnv` function to ensure flexibility.
- */
-const CONFIG = {
-  // AWS Cognito settings for user authentication
-  cognito: {
-    UserPoolId: getEnv("COGNITO_USER_POOL_ID", "us-east-1_io9CtBusD"),
-    ClientId: getEnv("COGNITO_CLIENT_ID", "8au96ta14667pdcgfagc6a3n4"),
-    Region: getEnv("COGNITO_REGION", "us-east-1"),
-    IdentityPoolId: getEnv(
-      "COGNITO_IDENTITY_POOL_ID",
-      "us-east-1:ae0ab6d6-df6b-4326-90e6-3d6676d63575"
-    ),
-  },
-  // The domain for the Cognito Hosted UI
-  cognito_domain: getEnv("COGNITO_DOMAIN", "us-east-1io9ctbusd"),
-  // The URI to redirect to after successful authentication
-  redirect_uri: getEnv("REDIRECT_URI", "https://dnnso4h1b742i.cloudfront.net/"),
-  // API endpoints for backend services
-  api: {
-    // Endpoint for fetching photo metadata
-    photos_endpoint: getEnv(
-      "API_PHOTOS_ENDPOINT",
-      "https://hj9ps33iv0.execute-api.us-east-1.amazonaws.com/prod/photos/"
-    ),
-    // Endpoint for generating pre-signed URLs for photo uploads
-    upload_endpoint: getEnv(
-      "API_UPLOAD_ENDPOINT",
-      "https://0akv8smyga.execute-api.us-east-1.amazonaws.com/prod/photo-sharing-test-bkt/"
-    ),
-  },
-};
+ * @param {Object} values - The raw values by key
+ * @returns {Object}
+ */
+function buildConfig(values) {
+  const getEnv = (key) => values[key];
+  return {
+    // The identity provider users sign in with: 'cognito' or 'oidc'
+    auth_provider: getEnv("AUTH_PROVIDER"),
+    // AWS Cognito settings for user authentication
+    cognito: {
+      UserPoolId: getEnv("COGNITO_USER_POOL_ID"),
+      ClientId: getEnv("COGNITO_CLIENT_ID"),
+      Region: getEnv("COGNITO_REGION"),
+      IdentityPoolId: getEnv("COGNITO_IDENTITY_POOL_ID"),
+    },
+    // The domain for the Cognito Hosted UI
+    cognito_domain: getEnv("COGNITO_DOMAIN"),
+    // The Hosted UI's base URL, when it isn't `https://<domain>.auth.<region>.amazoncognito.com`
+    // (e.g. the mock backend's login page)
+    cognito_hosted_ui_url: getEnv("COGNITO_HOSTED_UI_URL"),
+    // The `iss` of the user pool's tokens, when it isn't
+    // `https://cognito-idp.<region>.amazonaws.com/<user pool id>`; its JWKS is read from
+    // `<issuer>/.well-known/jwks.json`
+    cognito_issuer: getEnv("COGNITO_ISSUER"),
+    // Settings of a generic OpenID Connect provider: its issuer URL (the discovery document
+    // is read from `<issuer>/.well-known/openid-configuration`), client id and scopes
+    oidc: {
+      issuer: getEnv("OIDC_ISSUER"),
+      client_id: getEnv("OIDC_CLIENT_ID"),
+      scopes: getEnv("OIDC_SCOPES"),
+    },
+    // The URI to redirect to after successful authentication
+    redirect_uri: getEnv("REDIRECT_URI"),
+    // Where the provider sends the browser after signing out (defaults to the redirect URI)
+    logout_redirect_uri: getEnv("LOGOUT_REDIRECT_URI") || getEnv("REDIRECT_URI"),
+    // Idle sign-out: after `idle_timeout` milliseconds without activity in any tab the user
+    // is signed out, with a countdown shown for the last `idle_warning` milliseconds.
+    // An `idle_timeout` of 0 turns it off.
+    session: {
+      idle_timeout: parseFloat(getEnv("SESSION_IDLE_TIMEOUT_MINUTES")) * 60 * 1000,
+      idle_warning: parseInt(getEnv("SESSION_IDLE_WARNING_SECONDS"), 10) * 1000,
+    },
+    // API endpoints for backend services
+    api: {
+      // Endpoint for fetching photo metadata
+      photos_endpoint: getEnv("API_PHOTOS_ENDPOINT"),
+      // Number of photos requested per page when scrolling through the gallery
+      photos_page_size: parseInt(getEnv("API_PHOTOS_PAGE_SIZE"), 10),
+      // Endpoint for generating pre-signed URLs for photo uploads
+      upload_endpoint: getEnv("API_UPLOAD_ENDPOINT"),
+      // Endpoint that returns a presigned S3 PUT URL for an object key.
+      // When empty, files are PUT straight to `upload_endpoint` through API Gateway.
+      presign_endpoint: getEnv("API_PRESIGN_ENDPOINT"),
+      // Base URL of the multipart upload API (create, sign-part, complete, abort).
+      // When empty, large files are uploaded in a single request like any other file.
+      multipart_endpoint: getEnv("API_MULTIPART_ENDPOINT"),
+      // Per-photo endpoints, called as `<endpoint><ImageMetadataPK>`: DELETE removes the
+      // photo, and PATCH with `{ caption }` or `{ title }` updates it.
+      // When empty, each falls back to `photos_endpoint`.
+      photo_delete_endpoint: getEnv("API_PHOTO_DELETE_ENDPOINT"),
+      photo_caption_endpoint: getEnv("API_PHOTO_CAPTION_ENDPOINT"),
+      photo_title_endpoint: getEnv("API_PHOTO_TITLE_ENDPOINT"),
+      // Base URL of the albums API (list, create, rename, delete, add/remove photos).
+      // When empty, album features are hidden.
+      albums_endpoint: getEnv("API_ALBUMS_ENDPOINT"),
+      // Base URL of the share links API (create, list, revoke). When empty, sharing is hidden.
+      shares_endpoint: getEnv("API_SHARES_ENDPOINT"),
+      // Unauthenticated endpoint the public viewer (share.html) reads a link's photos from,
+      // called as `<endpoint><shareId>`. When empty, `<shares_endpoint>public/` is used.
+      public_share_endpoint: getEnv("API_PUBLIC_SHARE_ENDPOINT"),
+    },
+    // Upload settings
+    upload: {
+      // How many files of a batch are uploaded at the same time
+      concurrency: parseInt(getEnv("UPLOAD_CONCURRENCY"), 10),
+      // Files at or above this size (in bytes) use chunked, resumable multipart uploads
+      multipart_threshold: parseFloat(getEnv("UPLOAD_MULTIPART_THRESHOLD_MB")) * 1024 * 1024,
+      // Size of each multipart chunk in bytes (S3 requires at least 5 MB per part)
+      part_size: parseFloat(getEnv("UPLOAD_PART_SIZE_MB")) * 1024 * 1024,
+      // Image formats accepted for upload, checked against the file's magic bytes
+      allowed_types: getEnv("UPLOAD_ALLOWED_TYPES")
+        .split(",")
+        .map((type) => type.trim())
+        .filter(Boolean),
+      // Largest file accepted for upload, in bytes
+      max_bytes: parseFloat(getEnv("UPLOAD_MAX_MB")) * 1024 * 1024,
+      // Largest accepted width or height, in pixels
+      max_dimension: parseInt(getEnv("UPLOAD_MAX_DIMENSION"), 10),
+      // Default settings for the optional pre-upload optimisation (users can change them per batch)
+      optimize: getEnv("UPLOAD_OPTIMIZE") === "true",
+      optimize_format: getEnv("UPLOAD_OPTIMIZE_FORMAT"),
+      optimize_quality: parseFloat(getEnv("UPLOAD_OPTIMIZE_QUALITY")),
+      optimize_max_dimension: parseInt(getEnv("UPLOAD_OPTIMIZE_MAX_DIMENSION"), 10),
+      // Whether the "Strip location data" option is ticked by default for new uploads
+      strip_location: getEnv("UPLOAD_STRIP_LOCATION") === "true",
+      // Whether selected files are checked against the gallery for duplicates before upload.
+      // Exact copies are blocked; pictures whose perceptual hashes differ in at most
+      // `near_duplicate_distance` of 64 bits are held back for the user to compare.
+      duplicate_check: getEnv("UPLOAD_DUPLICATE_CHECK") === "true",
+      near_duplicate_distance: parseInt(getEnv("UPLOAD_NEAR_DUPLICATE_DISTANCE"), 10),
+      // Watching for the processed image after upload: the first poll delay, the longest
+      // delay the polling backs off to, and when to give up (all in milliseconds)
+      processing_poll_initial: parseFloat(getEnv("UPLOAD_PROCESSING_POLL_INITIAL_SECONDS")) * 1000,
+      processing_poll_max: parseFloat(getEnv("UPLOAD_PROCESSING_POLL_MAX_SECONDS")) * 1000,
+      processing_timeout: parseFloat(getEnv("UPLOAD_PROCESSING_TIMEOUT_SECONDS")) * 1000,
+    },
+  };
+}
 
-// Expose the configuration object globally on the window object.
-// This makes it easily accessible from other scripts (e.g., auth.js, app.js)
-// without needing to import it, which is convenient for this static project setup.
-window.AppConfig = CONFIG;
+/**
+ * Replaces the page with a panel explaining why the configuration can't be used:
+ * the profile and how it was picked, the env file, and each problem with where the
+ * offending value came from. Built with plain DOM, since Alpine.js isn't started.
+ * @param {Object} diagnostics - `{ profile, envFile, problems, sources }`
+ */
+function showDiagnostics(diagnostics) {
+  const element = (tag, className, text) => {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  };
+  const profileSources = {
+    query: "from the ?profile= parameter",
+    saved: "chosen earlier in this tab with ?profile=",
+    host: `matched to ${window.location.hostname}`,
+    unmatched: `no profile matches ${window.location.hostname}`,
+  };
 
-console.log("Configuration initialized:", window.AppConfig);
+  const panel = element("div", "config-diagnostics card p-7 max-w-3xl mx-auto my-10");
+  panel.setAttribute("role", "alert");
+  panel.appendChild(element("h1", "apple-heading-2 mb-2 text-[#FF3B30]", "The app is not configured correctly"));
+  panel.appendChild(element("p", "text-sm apple-text-secondary mb-6",
+    "It can't start until the settings below are fixed. Nothing has been sent to any backend."));
+
+  const summary = element("dl", "config-diagnostics-summary text-sm mb-6");
+  const addRow = (label, value) => {
+    summary.appendChild(element("dt", "font-medium", label));
+    summary.appendChild(element("dd", "", value));
+  };
+  addRow("Profile", `${diagnostics.profile.name || "none"} (${profileSources[diagnostics.profile.source]})`);
+  if (diagnostics.envFile) {
+    const file = diagnostics.envFile;
+    addRow("Env file", `${file.path}: ${file.found ? "loaded" : file.error || "not found"}`);
+  }
+  panel.appendChild(summary);
+
+  const list = element("ul", "text-sm space-y-2");
+  diagnostics.problems.forEach((problem) => {
+    const item = element("li", "config-diagnostics-problem");
+    item.appendChild(element("code", "font-medium", problem.key));
+    item.appendChild(document.createTextNode(` ${problem.message}`));
+    if (diagnostics.sources && diagnostics.sources[problem.key] && diagnostics.sources[problem.key] !== "default") {
+      item.appendChild(element("span", "apple-text-secondary", ` (set in ${diagnostics.sources[problem.key]})`));
+    }
+    list.appendChild(item);
+  });
+  panel.appendChild(list);
+
+  const help = element("p", "text-sm apple-text-secondary mt-6");
+  help.textContent = `Set the missing or invalid values in ${diagnostics.envFile ? diagnostics.envFile.path : "the profile"} ` +
+    `or in the profile's values in js/config.js, or pick another profile with ?profile=${Object.keys(PROFILES).join("|")}.`;
+  panel.appendChild(help);
+
+  // The app's markup would show unstyled without Alpine.js
+  document.querySelectorAll("[x-data]").forEach((root) => {
+    root.hidden = true;
+  });
+  document.body.prepend(panel);
+}
+
+/**
+ * Loads the configuration for the selected profile and checks it.
+ * @returns {Promise<Object>} The configuration, also set as `window.AppConfig`
+ */
+async function loadConfig() {
+  const profile = selectProfile();
+  if (profile.error) {
+    showDiagnostics({ profile, envFile: null, problems: [{ key: "profile", message: profile.error }] });
+    throw new Error(profile.error);
+  }
+
+  const definition = PROFILES[profile.name];
+  const envFile = definition.envFile
+    ? await window.EnvLoader.load(definition.envFile)
+    : null;
+  const { values, sources } = resolveValues(definition.values, envFile ? envFile.values : {}, definition.envFile);
+
+  const problems = validate(values);
+  if (problems.length > 0) {
+    console.error(`Configuration for the ${profile.name} profile is invalid:`, problems);
+    showDiagnostics({ profile, envFile, problems, sources });
+    throw new Error(`Invalid configuration: ${problems.map((problem) => `${problem.key} ${problem.message}`).join("; ")}`);
+  }
+
+  const config = buildConfig(values);
+  // How this configuration was arrived at, for the Settings view and debugging
+  config.diagnostics = {
+    profile: profile.name,
+    profileSource: profile.source,
+    envFile: envFile ? { path: envFile.path, found: envFile.found, error: envFile.error } : null,
+    sources,
+    warnings: findWarnings(values),
+  };
+  config.diagnostics.warnings.forEach((warning) => console.warn(`Configuration: ${warning.key} ${warning.message}`));
+  return config;
+}
+
+// Expose the configuration object globally on the window object once it is loaded.
+// This makes it easily accessible from other scripts (e.g., auth.js, app.js)
+// without needing to import it; scripts that run at startup wait for `AppConfigReady`.
+window.AppConfigReady = loadConfig().then((config) => {
+  window.AppConfig = config;
+  console.log("Configuration initialized:", window.AppConfig);
+  return config;
+});
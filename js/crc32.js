@@ -0,0 +1,35 @@
+/**
+ * @fileoverview CRC-32 (the IEEE 802.3 polynomial used by PNG and ZIP), computed over
+ * byte arrays. Supports incremental updates so large data can be checksummed in chunks.
+ * Exposed globally as `window.Crc32`.
+ */
+
+(function () {
+  /**
+   * Lookup table for the reversed polynomial 0xEDB88320, built once on load.
+   */
+  const TABLE = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    TABLE[n] = c >>> 0;
+  }
+
+  /**
+   * Computes the CRC-32 of `bytes`, continuing from a previous result if given.
+   * @param {Uint8Array} bytes - The data
+   * @param {number} [previous=0] - The CRC of the data that came before, for chunked input
+   * @returns {number} The CRC as an unsigned 32-bit integer
+   */
+  function compute(bytes, previous = 0) {
+    let crc = (previous ^ 0xffffffff) >>> 0;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  window.Crc32 = { compute };
+})();
@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Converts DynamoDB attribute values (the typed JSON the photos API returns,
+ * e.g. `{ "S": "..." }`, `{ "N": "42" }`, `{ "M": { ... } }`) into plain JavaScript values.
+ * The conversion is exposed globally as `window.DynamoDB`.
+ */
+
+(function () {
+  /**
+   * Converts a DynamoDB number string into a JavaScript number.
+   * Integers beyond `Number.MAX_SAFE_INTEGER` are kept as strings so they are not silently rounded.
+   * @param {string} value - The number as sent by DynamoDB
+   * @returns {number|string}
+   */
+  function toNumber(value) {
+    const number = Number(value);
+    if (Number.isInteger(number) && !Number.isSafeInteger(number)) {
+      return value;
+    }
+    return number;
+  }
+
+  /**
+   * Decodes a base64 binary attribute into bytes.
+   * @param {string} value - The base64-encoded binary value
+   * @returns {Uint8Array}
+   */
+  function toBytes(value) {
+    const binary = atob(value);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  /**
+   * Converts a single DynamoDB attribute value into a plain value.
+   * Sets (SS, NS, BS) become arrays. Throws a TypeError for anything that is not
+   * a valid attribute value, so callers can report the malformed item.
+   * @param {Object} attribute - A DynamoDB attribute value, e.g. `{ "S": "abc" }`
+   * @returns {*} The plain value
+   */
+  function unmarshallValue(attribute) {
+    if (!attribute || typeof attribute !== "object" || Array.isArray(attribute)) {
+      throw new TypeError(`Not a DynamoDB attribute value: ${JSON.stringify(attribute)}`);
+    }
+    const types = Object.keys(attribute);
+    if (types.length !== 1) {
+      throw new TypeError(`Expected exactly one type descriptor, got: ${types.join(", ") || "none"}`);
+    }
+
+    const type = types[0];
+    const value = attribute[type];
+    switch (type) {
+      case "S":
+        return String(value);
+      case "N":
+        return toNumber(value);
+      case "BOOL":
+        return Boolean(value);
+      case "NULL":
+        return null;
+      case "B":
+        return toBytes(value);
+      case "SS":
+        return value.map(String);
+      case "NS":
+        return value.map(toNumber);
+      case "BS":
+        return value.map(toBytes);
+      case "L":
+        return value.map(unmarshallValue);
+      case "M":
+        return unmarshallItem(value);
+      default:
+        throw new TypeError(`Unknown DynamoDB type descriptor: ${type}`);
+    }
+  }
+
+  /**
+   * Converts a DynamoDB item (a map of attribute names to attribute values) into a plain object.
+   * @param {Object} item - The DynamoDB item
+   * @returns {Object} The plain object
+   */
+  function unmarshallItem(item) {
+    if (!item || typeof item !== "object" || Array.isArray(item)) {
+      throw new TypeError("A DynamoDB item must be an object");
+    }
+    const result = {};
+    Object.keys(item).forEach((key) => {
+      result[key] = unmarshallValue(item[key]);
+    });
+    return result;
+  }
+
+  /**
+   * Returns the type descriptor of an attribute value (`"S"`, `"M"`, ...), or null if it has none.
+   * @param {Object} attribute - A DynamoDB attribute value
+   * @returns {string|null}
+   */
+  function typeOf(attribute) {
+    if (!attribute || typeof attribute !== "object") {
+      return null;
+    }
+    const types = Object.keys(attribute);
+    return types.length === 1 ? types[0] : null;
+  }
+
+  window.DynamoDB = {
+    unmarshallValue,
+    unmarshallItem,
+    typeOf,
+  };
+})();
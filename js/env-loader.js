@@ -1,8 +1,10 @@
 /**
- * @fileoverview This script is responsible for loading environment variables for local development.
- * It fetches a `.env` file from the root of the project, parses its contents,
- * and makes the variables available globally on the `window._env` object.
+ * @fileoverview This script is responsible for loading environment variables from a `.env`-style file.
+ * It fetches the file named by the configuration profile (e.g. `.env` or `.env.staging`),
+ * parses its contents and returns the variables to `config.js`, which waits for them
+ * before building `window.AppConfig`.
  * This allows developers to use a standard `.env` file for configuration without a Node.js environment.
+ * Exposed globally as `window.EnvLoader`.
  */
 
 /**
@@ -10,10 +12,7 @@
  * and avoid polluting the global scope with intermediate variables.
  */
 (function() {
-    // Create a namespace on the window object to hold the loaded environment variables.
-  window._env = {};
-  
-    /**
+  /**
    * Parses the text content of a .env file into a JavaScript object.
    * - Ignores empty lines and lines starting with '#'.
    * - Trims whitespace from keys and values.
@@ -25,51 +24,68 @@
   function parseEnv(content) {
     const lines = content.split('\n');
     const env = {};
-    
-        for (const line of lines) {
-            // Ignore comments and blank lines
+
+    for (const rawLine of lines) {
+      const line = rawLine.trim();
+      // Ignore comments and blank lines
       if (!line || line.startsWith('#')) continue;
-      
-            // Use a regular expression to capture the key and value
-      const match = line.match(/^\s*([\w.-]+)\s*=\s*(.*)?\s*$/);
+
+      // Use a regular expression to capture the key and value
+      const match = line.match(/^([\w.-]+)\s*=\s*(.*)$/);
       if (match) {
         const key = match[1];
-                let value = match[2] || '';
-        
-                // Clean up quotes from the value
-        if (value.startsWith('"') && value.endsWith('"')) {
+        let value = (match[2] || '').trim();
+
+        // Clean up quotes from the value
+        if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
           value = value.substring(1, value.length - 1);
-        } else if (value.startsWith("'") && value.endsWith("'")) {
+        } else if (value.length >= 2 && value.startsWith("'") && value.endsWith("'")) {
           value = value.substring(1, value.length - 1);
         }
-        
-                env[key] = value;
+
+        env[key] = value;
       }
     }
-    
+
     return env;
   }
-  
-    /**
-   * Fetches the .env file from the server root.
-   * If successful, it parses the content and populates `window._env`.
-   * It handles cases where the file might not exist, ensuring the app doesn't break.
+
+  /**
+   * Fetches and parses an env file from the server root.
+   * A missing file is not an error (every value may come from the profile); any other
+   * failure is reported, so the diagnostics can show why the values weren't used.
+   *
+   * @param {string} path The file to load, e.g. '.env.staging'.
+   * @returns {Promise<Object>} `{ path, found, values, error }`
    */
-  fetch('.env')
-    .then(response => {
-            if (!response.ok) {
-                console.log('No .env file found. Using default configuration values.');
-                return '';
-      }
-            return response.text();
-    })
-    .then(content => {
-            if (content) {
-                window._env = parseEnv(content);
-                console.log('Environment variables loaded from .env file.');
-      }
-    })
-    .catch(error => {
-            console.warn('Failed to load .env file.', error);
-    });
+  async function load(path) {
+    let response;
+    try {
+      response = await fetch(path, { cache: 'no-store' });
+    } catch (error) {
+      console.warn(`Failed to load ${path}.`, error);
+      return { path, found: false, values: {}, error: `Could not be fetched: ${error.message}` };
+    }
+
+    if (response.status === 404) {
+      console.log(`No ${path} file found. Using the profile's configuration values.`);
+      return { path, found: false, values: {}, error: null };
+    }
+    if (!response.ok) {
+      return { path, found: false, values: {}, error: `The server answered ${response.status}` };
+    }
+
+    const content = await response.text();
+    // Static servers often answer unknown paths with the index page
+    if (/^\s*</.test(content)) {
+      return { path, found: false, values: {}, error: 'The server returned an HTML page instead of the file' };
+    }
+    console.log(`Environment variables loaded from ${path}.`);
+    return { path, found: true, values: parseEnv(content), error: null };
+  }
+
+  window.EnvLoader = {
+    parseEnv,
+    load
+  };
 })();
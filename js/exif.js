@@ -0,0 +1,460 @@
+/**
+ * @fileoverview Reads EXIF and XMP metadata (capture date, camera and lens, exposure, GPS
+ * position, orientation) from JPEG, PNG and WebP files, and removes GPS data from a file's
+ * bytes for privacy. GPS removal edits the metadata in place (zeroing the GPS IFD and
+ * blanking XMP GPS properties), so the image data and every other tag are left untouched.
+ * PNG chunk checksums are recomputed with `window.Crc32` (from `crc32.js`).
+ * Exposed globally as `window.Exif`.
+ */
+
+(function () {
+  /**
+   * TIFF tags the parser reads, by IFD.
+   */
+  const TAGS = {
+    MAKE: 0x010f,
+    MODEL: 0x0110,
+    ORIENTATION: 0x0112,
+    DATE_TIME: 0x0132,
+    EXIF_IFD: 0x8769,
+    GPS_IFD: 0x8825,
+    EXPOSURE_TIME: 0x829a,
+    F_NUMBER: 0x829d,
+    ISO: 0x8827,
+    DATE_TIME_ORIGINAL: 0x9003,
+    OFFSET_TIME_ORIGINAL: 0x9011,
+    FOCAL_LENGTH: 0x920a,
+    LENS_MAKE: 0xa433,
+    LENS_MODEL: 0xa434,
+    GPS_LATITUDE_REF: 0x0001,
+    GPS_LATITUDE: 0x0002,
+    GPS_LONGITUDE_REF: 0x0003,
+    GPS_LONGITUDE: 0x0004,
+    GPS_ALTITUDE_REF: 0x0005,
+    GPS_ALTITUDE: 0x0006,
+  };
+
+  /**
+   * Byte size of each TIFF field type.
+   */
+  const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+  const XMP_HEADER = "http://ns.adobe.com/xap/1.0/\0";
+
+  /**
+   * Finds the EXIF (TIFF) and XMP blocks inside a JPEG, PNG or WebP file.
+   * @param {Uint8Array} bytes - The file contents
+   * @returns {{tiff: Array<Object>, xmp: Array<Object>}} Blocks as `{ start, end, chunk }`,
+   *   where `chunk` (PNG only) locates the chunk whose CRC covers the block
+   */
+  function findBlocks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const blocks = { tiff: [], xmp: [] };
+    const ascii = (start, length) =>
+      String.fromCharCode.apply(null, bytes.subarray(start, start + length));
+
+    // JPEG: APP1 segments before the start of scan
+    if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+      let offset = 2;
+      while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+        const marker = bytes[offset + 1];
+        const length = view.getUint16(offset + 2);
+        const dataStart = offset + 4;
+        const end = offset + 2 + length;
+        if (marker === 0xe1) {
+          if (ascii(dataStart, 6) === "Exif\0\0") {
+            blocks.tiff.push({ start: dataStart + 6, end });
+          } else if (ascii(dataStart, XMP_HEADER.length) === XMP_HEADER) {
+            blocks.xmp.push({ start: dataStart + XMP_HEADER.length, end });
+          }
+        }
+        if (marker === 0xda) break;
+        offset = end;
+      }
+      return blocks;
+    }
+
+    // PNG: eXIf chunks, and iTXt chunks holding uncompressed XMP
+    if (bytes[0] === 0x89 && ascii(1, 3) === "PNG") {
+      let offset = 8;
+      while (offset + 12 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = ascii(offset + 4, 4);
+        const dataStart = offset + 8;
+        const end = dataStart + length;
+        const chunk = { typeStart: offset + 4, end };
+        if (type === "eXIf") {
+          blocks.tiff.push({ start: dataStart, end, chunk });
+        } else if (type === "iTXt" && ascii(dataStart, 18) === "XML:com.adobe.xmp\0") {
+          // keyword, NUL, compression flag, method, language tag, NUL, translated keyword, NUL
+          if (bytes[dataStart + 18] === 0) {
+            let textStart = dataStart + 20;
+            for (let nulls = 0; textStart < end && nulls < 2; textStart++) {
+              if (bytes[textStart] === 0) nulls++;
+            }
+            blocks.xmp.push({ start: textStart, end, chunk });
+          }
+        }
+        if (type === "IEND") break;
+        offset = end + 4;
+      }
+      return blocks;
+    }
+
+    // WebP: EXIF and "XMP " chunks in the RIFF container
+    if (ascii(0, 4) === "RIFF" && ascii(8, 4) === "WEBP") {
+      let offset = 12;
+      while (offset + 8 <= bytes.length) {
+        const type = ascii(offset, 4);
+        const length = view.getUint32(offset + 4, true);
+        const dataStart = offset + 8;
+        const end = dataStart + length;
+        if (type === "EXIF") {
+          // Some writers keep the JPEG-style "Exif\0\0" prefix
+          const start = ascii(dataStart, 6) === "Exif\0\0" ? dataStart + 6 : dataStart;
+          blocks.tiff.push({ start, end });
+        } else if (type === "XMP ") {
+          blocks.xmp.push({ start: dataStart, end });
+        }
+        offset = end + (length % 2);
+      }
+    }
+    return blocks;
+  }
+
+  /**
+   * Reads the entries of one IFD.
+   * @param {DataView} view - View over the whole file
+   * @param {number} tiff - Offset of the TIFF header
+   * @param {number} ifd - Offset of the IFD, relative to the TIFF header
+   * @param {boolean} little - Whether the TIFF data is little-endian
+   * @param {number} end - End of the TIFF block
+   * @returns {Map<number, Object>|null} Entries by tag, as `{ entry, type, count, valueOffset }`
+   */
+  function readIfd(view, tiff, ifd, little, end) {
+    const start = tiff + ifd;
+    if (!ifd || start + 2 > end) return null;
+    const entries = new Map();
+    const count = view.getUint16(start, little);
+    for (let i = 0; i < count; i++) {
+      const entry = start + 2 + i * 12;
+      if (entry + 12 > end) break;
+      const type = view.getUint16(entry + 2, little);
+      const valueCount = view.getUint32(entry + 4, little);
+      const size = (TYPE_SIZES[type] || 1) * valueCount;
+      const valueOffset = size <= 4 ? entry + 8 : tiff + view.getUint32(entry + 8, little);
+      entries.set(view.getUint16(entry, little), { entry, type, count: valueCount, size, valueOffset });
+    }
+    return entries;
+  }
+
+  /**
+   * Reads the value of an IFD entry. Single values are returned as-is, multiple values as arrays.
+   * @param {DataView} view - View over the whole file
+   * @param {Object} field - The entry from `readIfd`
+   * @param {boolean} little - Whether the TIFF data is little-endian
+   * @returns {*}
+   */
+  function readValue(view, field, little) {
+    if (!field || field.valueOffset + field.size > view.byteLength) return null;
+    const { type, count, valueOffset } = field;
+    if (type === 2) {
+      let text = "";
+      for (let i = 0; i < count; i++) {
+        const code = view.getUint8(valueOffset + i);
+        if (code === 0) break;
+        text += String.fromCharCode(code);
+      }
+      return text.trim();
+    }
+    const values = [];
+    for (let i = 0; i < count; i++) {
+      const at = valueOffset + i * TYPE_SIZES[type];
+      switch (type) {
+        case 1: case 7: values.push(view.getUint8(at)); break;
+        case 3: values.push(view.getUint16(at, little)); break;
+        case 4: values.push(view.getUint32(at, little)); break;
+        case 9: values.push(view.getInt32(at, little)); break;
+        case 5: {
+          const denominator = view.getUint32(at + 4, little);
+          values.push(denominator ? view.getUint32(at, little) / denominator : 0);
+          break;
+        }
+        case 10: {
+          const denominator = view.getInt32(at + 4, little);
+          values.push(denominator ? view.getInt32(at, little) / denominator : 0);
+          break;
+        }
+        default: return null;
+      }
+    }
+    return values.length === 1 ? values[0] : values;
+  }
+
+  /**
+   * Converts an EXIF date ("YYYY:MM:DD HH:MM:SS", optionally with an offset like "+02:00")
+   * into an ISO 8601 string. Without an offset the time is local to the camera.
+   * @param {string} value - The EXIF date
+   * @param {string} [offset] - The OffsetTimeOriginal value
+   * @returns {string|null}
+   */
+  function toIsoDate(value, offset) {
+    const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(value || "");
+    if (!match) return null;
+    const iso = `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}`;
+    return /^[+-]\d{2}:\d{2}$/.test(offset || "") ? iso + offset : iso;
+  }
+
+  /**
+   * Converts degrees/minutes/seconds and a hemisphere reference into signed decimal degrees.
+   * @param {Array<number>} dms - `[degrees, minutes, seconds]`
+   * @param {string} ref - "N", "S", "E" or "W"
+   * @returns {number|null}
+   */
+  function toDecimalDegrees(dms, ref) {
+    if (!Array.isArray(dms) || dms.length !== 3) return null;
+    const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+    return ref === "S" || ref === "W" ? -degrees : degrees;
+  }
+
+  /**
+   * Parses the TIFF structure of an EXIF block.
+   * @param {DataView} view - View over the whole file
+   * @param {Object} block - `{ start, end }` of the TIFF data
+   * @returns {Object} The extracted fields
+   */
+  function parseTiff(view, block) {
+    const tiff = block.start;
+    const little = view.getUint16(tiff) === 0x4949;
+    const ifd0 = readIfd(view, tiff, view.getUint32(tiff + 4, little), little, block.end) || new Map();
+    const exifPointer = readValue(view, ifd0.get(TAGS.EXIF_IFD), little);
+    const gpsPointer = readValue(view, ifd0.get(TAGS.GPS_IFD), little);
+    const exif = readIfd(view, tiff, exifPointer, little, block.end) || new Map();
+    const gps = readIfd(view, tiff, gpsPointer, little, block.end) || new Map();
+    const value = (ifd, tag) => readValue(view, ifd.get(tag), little);
+
+    const make = value(ifd0, TAGS.MAKE);
+    const model = value(ifd0, TAGS.MODEL);
+    const lensMake = value(exif, TAGS.LENS_MAKE);
+    const lensModel = value(exif, TAGS.LENS_MODEL);
+    const latitude = toDecimalDegrees(value(gps, TAGS.GPS_LATITUDE), value(gps, TAGS.GPS_LATITUDE_REF));
+    const longitude = toDecimalDegrees(value(gps, TAGS.GPS_LONGITUDE), value(gps, TAGS.GPS_LONGITUDE_REF));
+    const altitude = value(gps, TAGS.GPS_ALTITUDE);
+    const iso = value(exif, TAGS.ISO);
+
+    return {
+      orientation: value(ifd0, TAGS.ORIENTATION),
+      captureDate: toIsoDate(
+        value(exif, TAGS.DATE_TIME_ORIGINAL) || value(ifd0, TAGS.DATE_TIME),
+        value(exif, TAGS.OFFSET_TIME_ORIGINAL)
+      ),
+      // Many cameras repeat the make in the model name ("Canon" / "Canon EOS R6")
+      camera: make && model && !model.startsWith(make) ? `${make} ${model}` : model || make || null,
+      lens: lensModel
+        ? lensMake && !lensModel.startsWith(lensMake) ? `${lensMake} ${lensModel}` : lensModel
+        : null,
+      exposureTime: value(exif, TAGS.EXPOSURE_TIME),
+      fNumber: value(exif, TAGS.F_NUMBER),
+      iso: Array.isArray(iso) ? iso[0] : iso,
+      focalLength: value(exif, TAGS.FOCAL_LENGTH),
+      gps:
+        latitude !== null && longitude !== null
+          ? {
+              latitude,
+              longitude,
+              altitude:
+                typeof altitude === "number"
+                  ? value(gps, TAGS.GPS_ALTITUDE_REF) === 1 ? -altitude : altitude
+                  : null,
+            }
+          : null,
+    };
+  }
+
+  /**
+   * Reads an XMP property, written either as an attribute or as an element.
+   * @param {string} xml - The XMP packet
+   * @param {string} name - The qualified property name, e.g. "xmp:CreateDate"
+   * @returns {string|null}
+   */
+  function xmpProperty(xml, name) {
+    const escaped = name.replace(":", "\\:");
+    const match =
+      new RegExp(`${escaped}="([^"]*)"`).exec(xml) ||
+      new RegExp(`<${escaped}>([^<]*)</${escaped}>`).exec(xml);
+    return match ? match[1].trim() : null;
+  }
+
+  /**
+   * Converts an XMP GPS coordinate ("51,30.25N" or "51,30,15N") into decimal degrees.
+   * @param {string|null} value - The XMP coordinate
+   * @returns {number|null}
+   */
+  function xmpCoordinate(value) {
+    const match = /^(\d+),(\d+(?:\.\d+)?)(?:,(\d+(?:\.\d+)?))?([NSEW])$/.exec(value || "");
+    if (!match) return null;
+    const seconds = match[3] ? parseFloat(match[3]) : 0;
+    return toDecimalDegrees([parseInt(match[1], 10), parseFloat(match[2]), seconds], match[4]);
+  }
+
+  /**
+   * Parses the fields this app uses from an XMP packet.
+   * @param {string} xml - The XMP packet
+   * @returns {Object}
+   */
+  function parseXmp(xml) {
+    const latitude = xmpCoordinate(xmpProperty(xml, "exif:GPSLatitude"));
+    const longitude = xmpCoordinate(xmpProperty(xml, "exif:GPSLongitude"));
+    const make = xmpProperty(xml, "tiff:Make");
+    const model = xmpProperty(xml, "tiff:Model");
+    return {
+      captureDate:
+        xmpProperty(xml, "exif:DateTimeOriginal") ||
+        xmpProperty(xml, "photoshop:DateCreated") ||
+        xmpProperty(xml, "xmp:CreateDate"),
+      camera: make && model && !model.startsWith(make) ? `${make} ${model}` : model || make,
+      lens: xmpProperty(xml, "exifEX:LensModel") || xmpProperty(xml, "aux:Lens"),
+      gps: latitude !== null && longitude !== null ? { latitude, longitude, altitude: null } : null,
+    };
+  }
+
+  /**
+   * Extracts metadata from an image file's bytes. EXIF values take precedence; XMP fills gaps.
+   * @param {Uint8Array} bytes - The file contents (or at least the part holding the metadata)
+   * @returns {Object|null} `{ captureDate, camera, lens, exposureTime, fNumber, iso, focalLength,
+   *   gps: { latitude, longitude, altitude } | null, orientation }`, or null if there is no metadata
+   */
+  function parse(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let blocks;
+    try {
+      blocks = findBlocks(bytes);
+    } catch (err) {
+      return null;
+    }
+    if (!blocks.tiff.length && !blocks.xmp.length) return null;
+
+    const result = {};
+    const merge = (fields) => {
+      Object.keys(fields).forEach((key) => {
+        if (result[key] === undefined || result[key] === null) {
+          result[key] = fields[key] === undefined ? null : fields[key];
+        }
+      });
+    };
+    blocks.tiff.forEach((block) => {
+      try {
+        merge(parseTiff(view, block));
+      } catch (err) {
+        console.warn("Could not parse EXIF block:", err);
+      }
+    });
+    blocks.xmp.forEach((block) => {
+      merge(parseXmp(new TextDecoder().decode(bytes.subarray(block.start, block.end))));
+    });
+    return result;
+  }
+
+  /**
+   * Zeroes the GPS IFD of a TIFF block in place: every GPS value and entry is
+   * overwritten and the entry count set to 0, leaving a valid, empty IFD.
+   * @param {Uint8Array} bytes - The file contents (modified in place)
+   * @param {Object} block - `{ start, end }` of the TIFF data
+   * @returns {boolean} Whether any GPS data was removed
+   */
+  function zeroGpsIfd(bytes, block) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const tiff = block.start;
+    const little = view.getUint16(tiff) === 0x4949;
+    const ifd0 = readIfd(view, tiff, view.getUint32(tiff + 4, little), little, block.end);
+    if (!ifd0 || !ifd0.has(TAGS.GPS_IFD)) return false;
+
+    const pointer = readValue(view, ifd0.get(TAGS.GPS_IFD), little);
+    const gps = readIfd(view, tiff, pointer, little, block.end);
+    if (!gps || gps.size === 0) return false;
+
+    gps.forEach((field) => {
+      if (field.size > 4 && field.valueOffset + field.size <= block.end) {
+        bytes.fill(0, field.valueOffset, field.valueOffset + field.size);
+      }
+      bytes.fill(0, field.entry, field.entry + 12);
+    });
+    view.setUint16(tiff + pointer, 0, little);
+    return true;
+  }
+
+  /**
+   * Blanks every `exif:GPS*` property of an XMP packet with spaces, keeping its byte length.
+   * @param {Uint8Array} bytes - The file contents (modified in place)
+   * @param {Object} block - `{ start, end }` of the XMP packet
+   * @returns {boolean} Whether any GPS property was removed
+   */
+  function blankXmpGps(bytes, block) {
+    // A single-byte decoding keeps string offsets equal to byte offsets
+    const text = new TextDecoder("windows-1252").decode(bytes.subarray(block.start, block.end));
+    const pattern = /exif:GPS\w+="[^"]*"|<exif:GPS(\w+)>[\s\S]*?<\/exif:GPS\1>/g;
+    let changed = false;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      bytes.fill(0x20, block.start + match.index, block.start + match.index + match[0].length);
+      changed = true;
+    }
+    return changed;
+  }
+
+  /**
+   * Recomputes the CRC of a PNG chunk after its data was modified.
+   * @param {Uint8Array} bytes - The file contents (modified in place)
+   * @param {Object} chunk - `{ typeStart, end }` of the chunk
+   */
+  function updatePngCrc(bytes, chunk) {
+    const crc = window.Crc32.compute(bytes.subarray(chunk.typeStart, chunk.end));
+    new DataView(bytes.buffer, bytes.byteOffset).setUint32(chunk.end, crc);
+  }
+
+  /**
+   * Returns a copy of the file's bytes with all GPS location data removed.
+   * @param {Uint8Array} bytes - The original file contents
+   * @returns {{bytes: Uint8Array, removed: boolean}} The cleaned copy, and whether anything was removed
+   */
+  function stripGps(bytes) {
+    const copy = new Uint8Array(bytes);
+    const blocks = findBlocks(copy);
+    let removed = false;
+    blocks.tiff.concat(blocks.xmp).forEach((block) => {
+      const changed = blocks.tiff.includes(block) ? zeroGpsIfd(copy, block) : blankXmpGps(copy, block);
+      if (changed && block.chunk) {
+        updatePngCrc(copy, block.chunk);
+      }
+      removed = removed || changed;
+    });
+    return { bytes: copy, removed };
+  }
+
+  /**
+   * Formats the exposure settings for display, e.g. "1/250 s · f/2.8 · ISO 200 · 35 mm".
+   * @param {Object} exif - The parsed metadata
+   * @returns {string|null}
+   */
+  function formatExposure(exif) {
+    if (!exif) return null;
+    const parts = [];
+    if (exif.exposureTime) {
+      parts.push(
+        exif.exposureTime < 1
+          ? `1/${Math.round(1 / exif.exposureTime)} s`
+          : `${parseFloat(exif.exposureTime.toFixed(1))} s`
+      );
+    }
+    if (exif.fNumber) parts.push(`f/${parseFloat(exif.fNumber.toFixed(1))}`);
+    if (exif.iso) parts.push(`ISO ${exif.iso}`);
+    if (exif.focalLength) parts.push(`${Math.round(exif.focalLength)} mm`);
+    return parts.length ? parts.join(" · ") : null;
+  }
+
+  window.Exif = {
+    parse,
+    stripGps,
+    formatExposure,
+  };
+})();
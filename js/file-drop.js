@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Collects the files from drag and drop, the clipboard and folder pickers,
+ * walking dropped folders and their subfolders, and separates the images from everything
+ * else so the app can queue the images and say what it skipped.
+ * Exposed globally as `window.FileDrop`.
+ */
+
+(function () {
+  /**
+   * Image extensions, for files the browser gives no type (e.g. HEIC on some systems).
+   */
+  const IMAGE_EXTENSIONS = ["jpg", "jpeg", "png", "gif", "webp", "heic", "heif", "avif", "bmp", "tif", "tiff"];
+
+  /**
+   * Extensions for pasted images, by type.
+   */
+  const PASTE_EXTENSIONS = {
+    "image/png": "png",
+    "image/jpeg": "jpg",
+    "image/gif": "gif",
+    "image/webp": "webp",
+  };
+
+  /**
+   * Whether a drag carries files (rather than, say, text or a link from the page).
+   * @param {DataTransfer|null} dataTransfer - The drag's data
+   * @returns {boolean}
+   */
+  function hasFiles(dataTransfer) {
+    return !!dataTransfer && Array.from(dataTransfer.types || []).includes("Files");
+  }
+
+  /**
+   * Whether a file looks like an image, by its type or, if it has none, its extension.
+   * @param {File} file - The file
+   * @returns {boolean}
+   */
+  function isImage(file) {
+    if (file.type) return file.type.startsWith("image/");
+    const extension = file.name.split(".").pop().toLowerCase();
+    return IMAGE_EXTENSIONS.includes(extension);
+  }
+
+  /**
+   * Promisified `FileSystemFileEntry.file()`.
+   * @param {FileSystemFileEntry} entry - The file entry
+   * @returns {Promise<File>}
+   */
+  function entryFile(entry) {
+    return new Promise((resolve, reject) => entry.file(resolve, reject));
+  }
+
+  /**
+   * Reads every entry of a directory. `readEntries` returns them in batches (of 100 in
+   * Chrome), so it is called until it returns none.
+   * @param {FileSystemDirectoryEntry} directory - The directory entry
+   * @returns {Promise<Array<FileSystemEntry>>}
+   */
+  async function directoryEntries(directory) {
+    const reader = directory.createReader();
+    const entries = [];
+    for (;;) {
+      const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+      if (batch.length === 0) return entries;
+      entries.push(...batch);
+    }
+  }
+
+  /**
+   * Collects the files under an entry, walking into subfolders.
+   * @param {FileSystemEntry} entry - A file or directory entry
+   * @param {Object} result - `{ files, skipped }`, added to
+   */
+  async function walkEntry(entry, result) {
+    const path = entry.fullPath.replace(/^\//, "");
+    try {
+      if (entry.isFile) {
+        const file = await entryFile(entry);
+        result.files.push({ file, path });
+      } else if (entry.isDirectory) {
+        for (const child of await directoryEntries(entry)) {
+          await walkEntry(child, result);
+        }
+      }
+    } catch (err) {
+      result.skipped.push({ name: path, reason: `could not be read (${err.message || err.name})` });
+    }
+  }
+
+  /**
+   * Splits collected files into images and skipped files.
+   * @param {Array<{file: File, path: string}>} found - The files and their paths
+   * @param {Array<Object>} skipped - Files already skipped, `{ name, reason }`
+   * @returns {{files: Array<File>, skipped: Array<{name: string, reason: string}>}}
+   */
+  function partition(found, skipped) {
+    const files = [];
+    found.forEach(({ file, path }) => {
+      if (isImage(file)) {
+        files.push(file);
+      } else {
+        skipped.push({ name: path || file.name, reason: "not an image" });
+      }
+    });
+    return { files, skipped };
+  }
+
+  /**
+   * Collects the images from a drop, walking any folders in it. The entries must be taken
+   * from the DataTransfer before the drop event handler returns, which this does before
+   * its first `await`.
+   * @param {DataTransfer} dataTransfer - The drop event's data
+   * @returns {Promise<{files: Array<File>, skipped: Array<{name: string, reason: string}>}>}
+   */
+  async function fromDataTransfer(dataTransfer) {
+    const items = Array.from(dataTransfer.items || []).filter((item) => item.kind === "file");
+    const entries = items.map((item) => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+    // Without entry support (or for entries the browser can't give), fall back to the flat file list
+    const plainFiles = entries.every((entry) => !entry)
+      ? Array.from(dataTransfer.files || [])
+      : items.filter((item, i) => !entries[i]).map((item) => item.getAsFile()).filter(Boolean);
+
+    const result = { files: plainFiles.map((file) => ({ file, path: file.name })), skipped: [] };
+    for (const entry of entries) {
+      if (entry) await walkEntry(entry, result);
+    }
+    return partition(result.files, result.skipped);
+  }
+
+  /**
+   * Collects the images pasted from the clipboard. Pasted screenshots are all called
+   * something like "image.png", so they are renamed after the time they were pasted.
+   * @param {DataTransfer} clipboardData - The paste event's data
+   * @returns {{files: Array<File>, skipped: Array<{name: string, reason: string}>}}
+   */
+  function fromClipboard(clipboardData) {
+    const found = Array.from(clipboardData.items || [])
+      .filter((item) => item.kind === "file")
+      .map((item) => item.getAsFile())
+      .filter(Boolean)
+      .map((file, index) => {
+        if (!PASTE_EXTENSIONS[file.type]) return { file, path: file.name };
+        const stamp = new Date().toISOString().slice(0, 19).replace("T", " ").replace(/:/g, ".");
+        const suffix = index > 0 ? ` (${index + 1})` : "";
+        const name = `Pasted image ${stamp}${suffix}.${PASTE_EXTENSIONS[file.type]}`;
+        return { file: new File([file], name, { type: file.type, lastModified: Date.now() }), path: name };
+      });
+    return partition(found, []);
+  }
+
+  /**
+   * Collects the images from a file input, which may be a folder picker
+   * (`webkitdirectory`), where each file has its path in `webkitRelativePath`.
+   * @param {FileList} fileList - The input's files
+   * @returns {{files: Array<File>, skipped: Array<{name: string, reason: string}>}}
+   */
+  function fromFileList(fileList) {
+    return partition(
+      Array.from(fileList).map((file) => ({ file, path: file.webkitRelativePath || file.name })),
+      []
+    );
+  }
+
+  window.FileDrop = {
+    hasFiles,
+    isImage,
+    fromDataTransfer,
+    fromClipboard,
+    fromFileList,
+  };
+})();
@@ -0,0 +1,269 @@
+/**
+ * @fileoverview Identity providers for `auth.js`. A provider knows where to send the user to
+ * sign in, sign up and sign out, how to redeem and refresh tokens, and how to read the
+ * user's name from the id token claims. `auth.js` handles everything that is the same for
+ * all providers (PKCE, `state`, sessions and refresh scheduling).
+ *
+ * Two providers are built in, picked with `AUTH_PROVIDER`:
+ * - `cognito`: the Amazon Cognito Hosted UI (the default)
+ * - `oidc`: any OpenID Connect provider (e.g. Keycloak), configured from its
+ *   `.well-known/openid-configuration` discovery document
+ * Exposed globally as `window.IdentityProviders`.
+ */
+
+(function () {
+  /**
+   * POSTs a form-encoded grant to a token endpoint.
+   * Errors carry the HTTP `status` (0 for network failures) so callers can tell
+   * a rejected grant apart from a transient failure worth retrying.
+   * @param {string} tokenUrl - The token endpoint
+   * @param {string} clientId - The client id, sent with every grant
+   * @param {Object} params - The grant parameters (grant_type, code, refresh_token, ...)
+   * @returns {Promise<Object>} The parsed token response
+   */
+  async function requestTokens(tokenUrl, clientId, params) {
+    const body = new URLSearchParams({
+      client_id: clientId,
+      ...params,
+    });
+
+    let response;
+    try {
+      response = await fetch(tokenUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: body.toString(),
+      });
+    } catch (err) {
+      const networkError = new Error(`Token request failed: ${err.message}`);
+      networkError.status = 0;
+      throw networkError;
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(
+        data.error_description || data.error || `Token request failed with status ${response.status}`
+      );
+      error.status = response.status;
+      throw error;
+    }
+    return data;
+  }
+
+  /**
+   * Builds an authorization request URL.
+   * @param {string} endpoint - The authorization endpoint
+   * @param {Object} query - The client's own parameters (client_id, scope, ...)
+   * @param {Object} params - The per-request parameters from `auth.js` (state, code_challenge, ...)
+   * @returns {string}
+   */
+  function authorizationUrl(endpoint, query, params) {
+    const url = new URL(endpoint);
+    Object.entries({ response_type: "code", ...query, ...params }).forEach(([name, value]) => {
+      url.searchParams.set(name, value);
+    });
+    return url.toString();
+  }
+
+  /**
+   * The Amazon Cognito Hosted UI. Sign-ins also configure the AWS SDK's credentials when
+   * an identity pool is set.
+   * @param {Object} config - `window.AppConfig`
+   * @returns {Object} The provider
+   */
+  function cognitoProvider(config) {
+    const base = config.cognito_hosted_ui_url
+      ? config.cognito_hosted_ui_url.replace(/\/+$/, "")
+      : `https://${config.cognito_domain}.auth.${config.cognito.Region}.amazoncognito.com`;
+    const clientId = config.cognito.ClientId;
+    const issuer =
+      config.cognito_issuer || `https://cognito-idp.${config.cognito.Region}.amazonaws.com/${config.cognito.UserPoolId}`;
+    const query = {
+      client_id: clientId,
+      scope: "email openid phone",
+      redirect_uri: config.redirect_uri,
+    };
+
+    AWS.config.region = config.cognito.Region;
+
+    return {
+      name: "cognito",
+      label: "Amazon Cognito",
+      loginUrl: async (params) => authorizationUrl(`${base}/login`, query, params),
+      registerUrl: async (params) => authorizationUrl(`${base}/signup`, query, params),
+      exchangeCode: (code, verifier) =>
+        requestTokens(`${base}/oauth2/token`, clientId, {
+          grant_type: "authorization_code",
+          code,
+          redirect_uri: config.redirect_uri,
+          code_verifier: verifier,
+        }),
+      refresh: (refreshToken) =>
+        requestTokens(`${base}/oauth2/token`, clientId, {
+          grant_type: "refresh_token",
+          refresh_token: refreshToken,
+        }),
+      tokenVerification: async () => ({
+        issuer,
+        audience: clientId,
+        jwksUri: `${issuer}/.well-known/jwks.json`,
+        claims: { token_use: "id" },
+      }),
+      // Cognito puts the sign-in name in `cognito:username`; `name`/`email` are preferred
+      // when the pool provides them
+      userInfo: (claims) => ({
+        username: claims.name || claims.email || claims["cognito:username"] || claims.username || "User",
+        email: claims.email || "",
+      }),
+      signedIn(token) {
+        if (!config.cognito.IdentityPoolId) return;
+        AWS.config.credentials = new AWS.CognitoIdentityCredentials({
+          IdentityPoolId: config.cognito.IdentityPoolId,
+          Logins: {
+            [`cognito-idp.${config.cognito.Region}.amazonaws.com/${config.cognito.UserPoolId}`]: token,
+          },
+        });
+      },
+      signedOut() {
+        if (AWS.config.credentials && AWS.config.credentials.clearCachedId) {
+          AWS.config.credentials.clearCachedId();
+        }
+        AWS.config.credentials = null;
+      },
+      // The logout URI must be one of the app client's allowed sign-out URLs
+      logoutUrl: async () => {
+        const url = new URL(`${base}/logout`);
+        url.searchParams.set("client_id", clientId);
+        url.searchParams.set("logout_uri", config.logout_redirect_uri);
+        return url.toString();
+      },
+    };
+  }
+
+  /**
+   * A generic OpenID Connect provider. Its endpoints come from the issuer's discovery
+   * document, fetched on first use; a failed fetch is retried on the next call.
+   * @param {Object} config - `window.AppConfig`
+   * @returns {Object} The provider
+   */
+  function oidcProvider(config) {
+    const issuer = config.oidc.issuer.replace(/\/+$/, "");
+    const clientId = config.oidc.client_id;
+    const query = {
+      client_id: clientId,
+      scope: config.oidc.scopes,
+      redirect_uri: config.redirect_uri,
+    };
+    let discovery = null;
+
+    function discover() {
+      if (!discovery) {
+        discovery = fetch(`${issuer}/.well-known/openid-configuration`)
+          .then(async (response) => {
+            if (!response.ok) {
+              throw new Error(`the server answered ${response.status}`);
+            }
+            const metadata = await response.json();
+            // The document must belong to the configured issuer (OpenID Connect Discovery §4.3)
+            if (String(metadata.issuer || "").replace(/\/+$/, "") !== issuer) {
+              throw new Error(`it is for the issuer ${metadata.issuer}`);
+            }
+            if (!metadata.authorization_endpoint || !metadata.token_endpoint || !metadata.jwks_uri) {
+              throw new Error("it has no authorization, token or JWKS endpoint");
+            }
+            return metadata;
+          })
+          .catch((err) => {
+            discovery = null;
+            throw new Error(`Could not load the OpenID configuration of ${issuer}: ${err.message}`);
+          });
+      }
+      return discovery;
+    }
+
+    return {
+      name: "oidc",
+      label: `OpenID Connect (${issuer})`,
+      loginUrl: async (params) => authorizationUrl((await discover()).authorization_endpoint, query, params),
+      // `prompt=create` asks for the sign-up page where the provider supports it; others
+      // show their sign-in page, which usually links to registration
+      async registerUrl(params) {
+        const metadata = await discover();
+        const prompt = (metadata.prompt_values_supported || []).includes("create") ? { prompt: "create" } : {};
+        return authorizationUrl(metadata.authorization_endpoint, query, { ...params, ...prompt });
+      },
+      async exchangeCode(code, verifier) {
+        return requestTokens((await discover()).token_endpoint, clientId, {
+          grant_type: "authorization_code",
+          code,
+          redirect_uri: config.redirect_uri,
+          code_verifier: verifier,
+        });
+      },
+      async refresh(refreshToken) {
+        return requestTokens((await discover()).token_endpoint, clientId, {
+          grant_type: "refresh_token",
+          refresh_token: refreshToken,
+        });
+      },
+      // Tokens carry the issuer exactly as the discovery document spells it
+      async tokenVerification() {
+        const metadata = await discover();
+        return { issuer: metadata.issuer, audience: clientId, jwksUri: metadata.jwks_uri };
+      },
+      userInfo: (claims) => ({
+        username: claims.name || claims.preferred_username || claims.email || claims.sub || "User",
+        email: claims.email || "",
+      }),
+      signedIn() {},
+      signedOut() {},
+      // RP-initiated logout; providers without an end-session endpoint only lose the local session
+      async logoutUrl(idToken) {
+        const metadata = await discover();
+        if (!metadata.end_session_endpoint) return null;
+        const url = new URL(metadata.end_session_endpoint);
+        url.searchParams.set("client_id", clientId);
+        url.searchParams.set("post_logout_redirect_uri", config.logout_redirect_uri);
+        if (idToken) url.searchParams.set("id_token_hint", idToken);
+        return url.toString();
+      },
+    };
+  }
+
+  /**
+   * Provider factories by `AUTH_PROVIDER` name (also listed in `SCHEMA` in `config.js`).
+   * Each builds, from `window.AppConfig`, an object with:
+   * - `name`, `label`: its id and a description for the settings view
+   * - `loginUrl(params)`, `registerUrl(params)`: resolve with the authorization URL,
+   *   including the given `state`, `code_challenge` and `code_challenge_method`
+   * - `exchangeCode(code, verifier)`, `refresh(refreshToken)`: resolve with the token
+   *   response, rejecting with an error whose `status` is the HTTP status (0 for network errors)
+   * - `tokenVerification()`: resolves with what id tokens are checked against by
+   *   `JwtVerifier.verify` (`issuer`, `audience`, `jwksUri` and optionally `claims`)
+   * - `userInfo(claims)`: `{ username, email }` from the id token claims
+   * - `signedIn(token)`, `signedOut()`: hooks for provider-specific session set-up
+   * - `logoutUrl(idToken)`: resolves with the end-session URL, or null if there is none
+   */
+  const factories = {
+    cognito: cognitoProvider,
+    oidc: oidcProvider,
+  };
+
+  /**
+   * Builds the provider selected by the configuration.
+   * @param {Object} config - `window.AppConfig`
+   * @returns {Object} The provider
+   */
+  function create(config) {
+    const factory = factories[config.auth_provider];
+    if (!factory) {
+      throw new Error(`Unknown identity provider "${config.auth_provider}"`);
+    }
+    return factory(config);
+  }
+
+  window.IdentityProviders = {
+    create,
+  };
+})();
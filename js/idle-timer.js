@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Signs idle users out, for shared computers such as office kiosks.
+ * Pointer, keyboard, wheel, touch and scroll activity counts as use. The time of the
+ * last activity is shared by every tab through localStorage, so using one tab keeps the
+ * others signed in, and it outlives the page, so a session left idle can't be resumed
+ * by reopening the app later (see `isExpired`).
+ * Exposed globally as `window.IdleTimer`.
+ */
+
+(function () {
+  /**
+   * The localStorage key of the last activity time (milliseconds since the epoch).
+   */
+  const STORAGE_KEY = "photoGalleryLastActivity";
+
+  const ACTIVITY_EVENTS = ["pointerdown", "pointermove", "keydown", "wheel", "touchstart", "scroll"];
+
+  /**
+   * Activity is written to localStorage at most this often, since pointer moves are frequent.
+   */
+  const STORE_INTERVAL_MS = 5000;
+
+  const TICK_MS = 1000;
+
+  /**
+   * The running timer's options (see `start`), or null when stopped.
+   */
+  let options = null;
+  let tickTimer = null;
+  let lastActivity = 0;
+  let lastStored = 0;
+  let warning = false;
+
+  function storedActivity() {
+    const value = Number(localStorage.getItem(STORAGE_KEY));
+    return Number.isFinite(value) ? value : 0;
+  }
+
+  function recordActivity(force) {
+    lastActivity = Date.now();
+    if (force || lastActivity - lastStored >= STORE_INTERVAL_MS) {
+      localStorage.setItem(STORAGE_KEY, String(lastActivity));
+      lastStored = lastActivity;
+    }
+  }
+
+  // Once the warning shows, only `keepAlive` (or activity in another tab) cancels it, so
+  // brushing past the mouse doesn't keep someone else's session open
+  function handleActivity() {
+    if (!warning) {
+      recordActivity(false);
+    }
+  }
+
+  function tick() {
+    const remaining = Math.max(lastActivity, storedActivity()) + options.timeoutMs - Date.now();
+    if (remaining <= 0) {
+      const { onTimeout } = options;
+      stop();
+      onTimeout();
+    } else if (remaining <= options.warningMs) {
+      warning = true;
+      options.onWarning(Math.ceil(remaining / 1000));
+    } else if (warning) {
+      // Someone used another tab
+      warning = false;
+      options.onActive();
+    }
+  }
+
+  /**
+   * Starts watching for inactivity, counting from now. Replaces a running timer.
+   * @param {Object} settings - `{ timeoutMs, warningMs, onWarning, onActive, onTimeout }`:
+   *   `onWarning(secondsLeft)` is called every second once less than `warningMs` is left,
+   *   `onActive()` when the warning is cancelled, and `onTimeout()` once, when time is up
+   */
+  function start(settings) {
+    stop();
+    options = settings;
+    recordActivity(true);
+    ACTIVITY_EVENTS.forEach((type) => {
+      window.addEventListener(type, handleActivity, { capture: true, passive: true });
+    });
+    tickTimer = setInterval(tick, TICK_MS);
+  }
+
+  /**
+   * Stops the timer and forgets the last activity (the user has signed out).
+   */
+  function stop() {
+    clearInterval(tickTimer);
+    tickTimer = null;
+    ACTIVITY_EVENTS.forEach((type) => {
+      window.removeEventListener(type, handleActivity, { capture: true });
+    });
+    if (options) {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+    options = null;
+    warning = false;
+  }
+
+  /**
+   * Counts as activity even while the warning shows, e.g. from its "Stay signed in" button.
+   */
+  function keepAlive() {
+    if (!options) return;
+    warning = false;
+    recordActivity(true);
+    options.onActive();
+  }
+
+  /**
+   * Whether the last recorded activity, in any tab and possibly before the page was
+   * loaded, is longer ago than the timeout.
+   * @param {number} timeoutMs - The idle timeout
+   * @returns {boolean}
+   */
+  function isExpired(timeoutMs) {
+    const last = storedActivity();
+    return timeoutMs > 0 && last > 0 && Date.now() - last > timeoutMs;
+  }
+
+  window.IdleTimer = {
+    start,
+    stop,
+    keepAlive,
+    isExpired,
+  };
+})();
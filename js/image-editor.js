@@ -0,0 +1,341 @@
+/**
+ * @fileoverview The pre-upload image editor: crop, 90° rotation, flips and brightness/
+ * contrast/saturation, described by a plain edit state so the app can keep an undo
+ * history of it. Renders the live preview and the final file on a canvas.
+ * Exposed globally as `window.ImageEditor`.
+ */
+
+(function () {
+  /**
+   * Fixed crop aspect ratios (width / height). `free` leaves the crop unconstrained.
+   */
+  const ASPECTS = {
+    free: null,
+    "1:1": 1,
+    "4:3": 4 / 3,
+    "3:2": 3 / 2,
+    "16:9": 16 / 9,
+    "3:4": 3 / 4,
+    "2:3": 2 / 3,
+    "9:16": 9 / 16,
+  };
+
+  /**
+   * Formats the editor can write back in the same type.
+   */
+  const EDITABLE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+
+  /**
+   * The smallest crop, as a fraction of each side.
+   */
+  const MIN_CROP = 0.05;
+
+  /**
+   * Encoder quality for re-encoded JPEG and WebP files.
+   */
+  const DEFAULT_QUALITY = 0.92;
+
+  /**
+   * An edit state that leaves the image unchanged. The crop is in fractions of the
+   * rotated and flipped image; the adjustments are percentages (100 = unchanged).
+   * @returns {Object} `{ rotation, flipX, flipY, crop: { x, y, w, h }, aspect, brightness, contrast, saturation }`
+   */
+  function initialState() {
+    return {
+      rotation: 0,
+      flipX: false,
+      flipY: false,
+      crop: { x: 0, y: 0, w: 1, h: 1 },
+      aspect: "free",
+      brightness: 100,
+      contrast: 100,
+      saturation: 100,
+    };
+  }
+
+  /**
+   * Whether a state is the same as `initialState()`.
+   * @param {Object} state - The edit state
+   * @returns {boolean}
+   */
+  function isUnchanged(state) {
+    return JSON.stringify({ ...state, aspect: "free" }) === JSON.stringify(initialState());
+  }
+
+  /**
+   * Whether the editor can edit a file and save it in the same format.
+   * @param {File} file - The file
+   * @returns {boolean}
+   */
+  function canEdit(file) {
+    return EDITABLE_TYPES.includes(file.type);
+  }
+
+  /**
+   * The size of the image after rotation.
+   * @param {number} width - The source width
+   * @param {number} height - The source height
+   * @param {Object} state - The edit state
+   * @returns {{width: number, height: number}}
+   */
+  function rotatedSize(width, height, state) {
+    return state.rotation % 180 === 0 ? { width, height } : { width: height, height: width };
+  }
+
+  function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+  }
+
+  /**
+   * The largest centred crop with a given aspect ratio.
+   * @param {string} aspect - A key of `ASPECTS`
+   * @param {number} width - The rotated image width
+   * @param {number} height - The rotated image height
+   * @returns {{x: number, y: number, w: number, h: number}}
+   */
+  function fitCrop(aspect, width, height) {
+    const ratio = ASPECTS[aspect];
+    if (!ratio) return { x: 0, y: 0, w: 1, h: 1 };
+    // The ratio in fractions of each side
+    const fractionRatio = (ratio * height) / width;
+    const w = fractionRatio >= 1 ? 1 : fractionRatio;
+    const h = fractionRatio >= 1 ? 1 / fractionRatio : 1;
+    return { x: (1 - w) / 2, y: (1 - h) / 2, w, h };
+  }
+
+  /**
+   * Chooses a crop aspect ratio, replacing the crop with the largest centred one.
+   * @param {Object} state - The edit state
+   * @param {string} aspect - A key of `ASPECTS`
+   * @param {number} width - The source width
+   * @param {number} height - The source height
+   * @returns {Object} A new state
+   */
+  function setAspect(state, aspect, width, height) {
+    const size = rotatedSize(width, height, state);
+    return { ...state, aspect, crop: fitCrop(aspect, size.width, size.height) };
+  }
+
+  /**
+   * Rotates a quarter turn clockwise (1) or anticlockwise (-1), turning the crop with
+   * the image. A fixed aspect ratio is kept by fitting a new crop.
+   * @param {Object} state - The edit state
+   * @param {number} direction - 1 or -1
+   * @param {number} width - The source width
+   * @param {number} height - The source height
+   * @returns {Object} A new state
+   */
+  function rotate(state, direction, width, height) {
+    const { x, y, w, h } = state.crop;
+    const crop = direction > 0
+      ? { x: 1 - (y + h), y: x, w: h, h: w }
+      : { x: y, y: 1 - (x + w), w: h, h: w };
+    const next = { ...state, rotation: (state.rotation + (direction > 0 ? 90 : 270)) % 360, crop };
+    return ASPECTS[state.aspect] ? setAspect(next, state.aspect, width, height) : next;
+  }
+
+  /**
+   * Flips the image horizontally ('x') or vertically ('y') as it is shown, mirroring the
+   * crop with it. `flipX`/`flipY` apply to the source before it is rotated, so after a
+   * quarter turn a horizontal flip is the source's vertical one and vice versa.
+   * @param {Object} state - The edit state
+   * @param {string} axis - 'x' or 'y'
+   * @returns {Object} A new state
+   */
+  function flip(state, axis) {
+    const { x, y, w, h } = state.crop;
+    const crop = axis === "x" ? { x: 1 - (x + w), y, w, h } : { x, y: 1 - (y + h), w, h };
+    const sourceAxis = state.rotation % 180 === 0 ? axis : axis === "x" ? "y" : "x";
+    return sourceAxis === "x"
+      ? { ...state, flipX: !state.flipX, crop }
+      : { ...state, flipY: !state.flipY, crop };
+  }
+
+  /**
+   * Moves the crop ('move') or drags one of its corners ('nw', 'ne', 'sw', 'se') by a
+   * distance given in fractions of the image, keeping a fixed aspect ratio if one is set.
+   * @param {Object} crop - The crop at the start of the drag
+   * @param {string} handle - What is being dragged
+   * @param {number} dx - Horizontal distance
+   * @param {number} dy - Vertical distance
+   * @param {number|null} fractionRatio - The aspect ratio in fractions of each side, or null
+   * @returns {{x: number, y: number, w: number, h: number}}
+   */
+  function dragCrop(crop, handle, dx, dy, fractionRatio) {
+    if (handle === "move") {
+      return {
+        ...crop,
+        x: clamp(crop.x + dx, 0, 1 - crop.w),
+        y: clamp(crop.y + dy, 0, 1 - crop.h),
+      };
+    }
+
+    const fromLeft = handle.includes("w");
+    const fromTop = handle.includes("n");
+    let left = crop.x;
+    let top = crop.y;
+    let right = crop.x + crop.w;
+    let bottom = crop.y + crop.h;
+    if (fromLeft) left = clamp(left + dx, 0, right - MIN_CROP);
+    else right = clamp(right + dx, left + MIN_CROP, 1);
+    if (fromTop) top = clamp(top + dy, 0, bottom - MIN_CROP);
+    else bottom = clamp(bottom + dy, top + MIN_CROP, 1);
+
+    if (fractionRatio) {
+      // The width leads; the height follows, from the edge that isn't being dragged
+      let w = right - left;
+      let h = w / fractionRatio;
+      const room = fromTop ? bottom : 1 - top;
+      if (h > room) {
+        h = room;
+        w = h * fractionRatio;
+      }
+      if (fromLeft) left = right - w;
+      else right = left + w;
+      if (fromTop) top = bottom - h;
+      else bottom = top + h;
+    }
+    return { x: left, y: top, w: right - left, h: bottom - top };
+  }
+
+  /**
+   * The aspect ratio of a state's crop in fractions of each side, for `dragCrop`.
+   * @param {Object} state - The edit state
+   * @param {number} width - The source width
+   * @param {number} height - The source height
+   * @returns {number|null}
+   */
+  function cropFractionRatio(state, width, height) {
+    const ratio = ASPECTS[state.aspect];
+    if (!ratio) return null;
+    const size = rotatedSize(width, height, state);
+    return (ratio * size.height) / size.width;
+  }
+
+  /**
+   * Applies the brightness, contrast and saturation to pixels the way the CSS filters
+   * of the same names do, for browsers without `CanvasRenderingContext2D.filter`.
+   * @param {CanvasRenderingContext2D} ctx - The context to adjust
+   * @param {number} width - The canvas width
+   * @param {number} height - The canvas height
+   * @param {Object} state - The edit state
+   */
+  function adjustPixels(ctx, width, height, state) {
+    const b = state.brightness / 100;
+    const c = state.contrast / 100;
+    const s = state.saturation / 100;
+    const image = ctx.getImageData(0, 0, width, height);
+    const data = image.data;
+    for (let i = 0; i < data.length; i += 4) {
+      let r = data[i] * b;
+      let g = data[i + 1] * b;
+      let bl = data[i + 2] * b;
+      r = (r - 127.5) * c + 127.5;
+      g = (g - 127.5) * c + 127.5;
+      bl = (bl - 127.5) * c + 127.5;
+      data[i] = (0.213 + 0.787 * s) * r + (0.715 - 0.715 * s) * g + (0.072 - 0.072 * s) * bl;
+      data[i + 1] = (0.213 - 0.213 * s) * r + (0.715 + 0.285 * s) * g + (0.072 - 0.072 * s) * bl;
+      data[i + 2] = (0.213 - 0.213 * s) * r + (0.715 - 0.715 * s) * g + (0.072 + 0.928 * s) * bl;
+    }
+    ctx.putImageData(image, 0, 0);
+  }
+
+  /**
+   * Draws the source rotated, flipped and adjusted onto a canvas. The canvas shows the
+   * area of the rotated image starting at (`offsetX`, `offsetY`), at `scale`.
+   * @param {HTMLCanvasElement} canvas - The target, already sized
+   * @param {ImageBitmap} bitmap - The source image
+   * @param {Object} state - The edit state
+   * @param {number} scale - Output pixels per source pixel
+   * @param {number} offsetX - Left edge of the visible area, in output pixels
+   * @param {number} offsetY - Top edge of the visible area, in output pixels
+   * @param {boolean} opaque - Whether to paint a white background (for JPEG)
+   */
+  function draw(canvas, bitmap, state, scale, offsetX, offsetY, opaque) {
+    const ctx = canvas.getContext("2d");
+    const size = rotatedSize(bitmap.width * scale, bitmap.height * scale, state);
+    const adjusted = state.brightness !== 100 || state.contrast !== 100 || state.saturation !== 100;
+    const nativeFilter = "filter" in ctx;
+
+    ctx.save();
+    if (opaque) {
+      ctx.fillStyle = "#FFFFFF";
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    if (adjusted && nativeFilter) {
+      ctx.filter = `brightness(${state.brightness}%) contrast(${state.contrast}%) saturate(${state.saturation}%)`;
+    }
+    ctx.translate(size.width / 2 - offsetX, size.height / 2 - offsetY);
+    ctx.rotate((state.rotation * Math.PI) / 180);
+    ctx.scale(state.flipX ? -1 : 1, state.flipY ? -1 : 1);
+    const w = bitmap.width * scale;
+    const h = bitmap.height * scale;
+    ctx.drawImage(bitmap, -w / 2, -h / 2, w, h);
+    ctx.restore();
+
+    if (adjusted && !nativeFilter) {
+      adjustPixels(ctx, canvas.width, canvas.height, state);
+    }
+  }
+
+  /**
+   * Renders the preview: the whole rotated, flipped and adjusted image, scaled to fit
+   * `maxSize`. The crop is shown over it by the page.
+   * @param {HTMLCanvasElement} canvas - The preview canvas
+   * @param {ImageBitmap} bitmap - The source image
+   * @param {Object} state - The edit state
+   * @param {number} maxSize - The longest side of the preview, in pixels
+   */
+  function renderPreview(canvas, bitmap, state, maxSize) {
+    const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+    const size = rotatedSize(Math.round(bitmap.width * scale), Math.round(bitmap.height * scale), state);
+    canvas.width = size.width;
+    canvas.height = size.height;
+    draw(canvas, bitmap, state, scale, 0, 0, false);
+  }
+
+  /**
+   * Renders the edited image at full resolution and encodes it as a file with the
+   * original's name and type.
+   * @param {ImageBitmap} bitmap - The source image
+   * @param {Object} state - The edit state
+   * @param {File} file - The file being edited
+   * @returns {Promise<File>}
+   */
+  function exportFile(bitmap, state, file) {
+    const size = rotatedSize(bitmap.width, bitmap.height, state);
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.max(1, Math.round(state.crop.w * size.width));
+    canvas.height = Math.max(1, Math.round(state.crop.h * size.height));
+    draw(canvas, bitmap, state, 1, state.crop.x * size.width, state.crop.y * size.height, file.type === "image/jpeg");
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(
+        (blob) => {
+          if (!blob || blob.type !== file.type) {
+            reject(new Error(`The browser could not save the image as ${file.type}`));
+            return;
+          }
+          resolve(new File([blob], file.name, { type: file.type, lastModified: file.lastModified }));
+        },
+        file.type,
+        DEFAULT_QUALITY
+      );
+    });
+  }
+
+  window.ImageEditor = {
+    ASPECTS,
+    initialState,
+    isUnchanged,
+    canEdit,
+    rotatedSize,
+    setAspect,
+    rotate,
+    flip,
+    dragCrop,
+    cropFractionRatio,
+    renderPreview,
+    exportFile,
+  };
+})();
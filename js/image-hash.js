@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Content and perceptual hashes of images, used to spot duplicates before
+ * upload. The SHA-256 of the file's bytes identifies exact copies; the difference hash
+ * (dHash) of its pixels stays close for the same picture re-encoded, resized or lightly
+ * edited. Exposed globally as `window.ImageHash`.
+ */
+
+(function () {
+  /**
+   * The dHash grid: each of the 8 rows compares 9 neighbouring pixels, giving 64 bits.
+   */
+  const DHASH_WIDTH = 9;
+  const DHASH_HEIGHT = 8;
+
+  /**
+   * Number of set bits in each hex digit, for Hamming distances.
+   */
+  const NIBBLE_BITS = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+
+  /**
+   * Formats bytes as lower-case hex.
+   * @param {ArrayBuffer} buffer - The bytes
+   * @returns {string}
+   */
+  function toHex(buffer) {
+    return Array.from(new Uint8Array(buffer), (byte) => byte.toString(16).padStart(2, "0")).join("");
+  }
+
+  /**
+   * Computes the SHA-256 of a file's contents.
+   * @param {Blob} blob - The file
+   * @returns {Promise<string>} 64 hex digits
+   */
+  async function sha256(blob) {
+    return toHex(await crypto.subtle.digest("SHA-256", await blob.arrayBuffer()));
+  }
+
+  /**
+   * Computes the difference hash of an image: it is shrunk to 9×8 greyscale pixels, and
+   * each bit says whether a pixel is brighter than its right-hand neighbour.
+   * @param {Blob} blob - The image
+   * @returns {Promise<string|null>} 16 hex digits, or null if the browser can't decode the image
+   */
+  async function dHash(blob) {
+    let bitmap;
+    try {
+      bitmap = await createImageBitmap(blob, {
+        resizeWidth: DHASH_WIDTH,
+        resizeHeight: DHASH_HEIGHT,
+        resizeQuality: "high",
+      });
+    } catch (err) {
+      return null;
+    }
+    const canvas = document.createElement("canvas");
+    canvas.width = DHASH_WIDTH;
+    canvas.height = DHASH_HEIGHT;
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(bitmap, 0, 0, DHASH_WIDTH, DHASH_HEIGHT);
+    bitmap.close();
+    const pixels = ctx.getImageData(0, 0, DHASH_WIDTH, DHASH_HEIGHT).data;
+
+    const grey = (x, y) => {
+      const i = (y * DHASH_WIDTH + x) * 4;
+      return pixels[i] * 0.299 + pixels[i + 1] * 0.587 + pixels[i + 2] * 0.114;
+    };
+    let hex = "";
+    let nibble = 0;
+    let bits = 0;
+    for (let y = 0; y < DHASH_HEIGHT; y++) {
+      for (let x = 0; x < DHASH_WIDTH - 1; x++) {
+        nibble = (nibble << 1) | (grey(x, y) > grey(x + 1, y) ? 1 : 0);
+        if (++bits === 4) {
+          hex += nibble.toString(16);
+          nibble = 0;
+          bits = 0;
+        }
+      }
+    }
+    return hex;
+  }
+
+  /**
+   * Counts the bits that differ between two perceptual hashes of the same length.
+   * @param {string} a - A hash in hex
+   * @param {string} b - Another hash in hex
+   * @returns {number} The Hamming distance, or Infinity if the hashes can't be compared
+   */
+  function distance(a, b) {
+    if (typeof a !== "string" || typeof b !== "string" || a.length !== b.length || !/^[0-9a-f]+$/i.test(a + b)) {
+      return Infinity;
+    }
+    let count = 0;
+    for (let i = 0; i < a.length; i++) {
+      count += NIBBLE_BITS[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+    }
+    return count;
+  }
+
+  /**
+   * Computes both hashes of an image.
+   * @param {Blob} blob - The image
+   * @returns {Promise<{sha256: string, dHash: string|null}>}
+   */
+  async function compute(blob) {
+    return { sha256: await sha256(blob), dHash: await dHash(blob) };
+  }
+
+  window.ImageHash = {
+    sha256,
+    dHash,
+    distance,
+    compute,
+  };
+})();
@@ -0,0 +1,249 @@
+/**
+ * @fileoverview The pre-upload pipeline for images. It checks a file's declared MIME type
+ * and its magic bytes, enforces the configured byte size and dimension limits, applies
+ * the EXIF orientation, and optionally downscales and re-encodes the image on a canvas.
+ * Metadata is read with `window.Exif` (from `exif.js`). Exposed globally as `window.ImagePipeline`.
+ */
+
+(function () {
+  /**
+   * Known image signatures. `offset` is where `bytes` starts in the file; a `null`
+   * in `bytes` matches any byte.
+   */
+  const SIGNATURES = [
+    { type: "image/jpeg", offset: 0, bytes: [0xff, 0xd8, 0xff] },
+    { type: "image/png", offset: 0, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+    { type: "image/gif", offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] },
+    { type: "image/webp", offset: 0, bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50] },
+    { type: "image/bmp", offset: 0, bytes: [0x42, 0x4d] },
+    { type: "image/tiff", offset: 0, bytes: [0x49, 0x49, 0x2a, 0x00] },
+    { type: "image/tiff", offset: 0, bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+  ];
+
+  /**
+   * ISO base media brands (bytes 8-11, after `ftyp`) used by HEIC/HEIF and AVIF.
+   */
+  const FTYP_BRANDS = {
+    heic: "image/heic",
+    heix: "image/heic",
+    mif1: "image/heif",
+    msf1: "image/heif",
+    avif: "image/avif",
+  };
+
+  /**
+   * File extensions for the formats the pipeline can encode to.
+   */
+  const EXTENSIONS = {
+    "image/jpeg": "jpg",
+    "image/webp": "webp",
+    "image/png": "png",
+  };
+
+  /**
+   * Identifies an image format from the first bytes of a file.
+   * @param {Uint8Array} bytes - The start of the file (at least 12 bytes)
+   * @returns {string|null} The detected MIME type, or null if it isn't a known image
+   */
+  function sniffImageType(bytes) {
+    for (const signature of SIGNATURES) {
+      const matches = signature.bytes.every(
+        (value, i) => value === null || bytes[signature.offset + i] === value
+      );
+      if (matches) {
+        return signature.type;
+      }
+    }
+    if (bytes.length >= 12 && String.fromCharCode(bytes[4], bytes[5], bytes[6], bytes[7]) === "ftyp") {
+      const brand = String.fromCharCode(bytes[8], bytes[9], bytes[10], bytes[11]);
+      return FTYP_BRANDS[brand] || null;
+    }
+    return null;
+  }
+
+  /**
+   * Decodes an image upright, with the browser applying the EXIF orientation. (The spec
+   * no longer has `imageOrientation: "none"`, and browsers treat it as `"from-image"`.)
+   * Returns null if the browser can't decode the format (e.g. HEIC).
+   * @param {Blob} file - The image
+   * @returns {Promise<ImageBitmap|null>}
+   */
+  async function decodeImage(file) {
+    try {
+      return await createImageBitmap(file, { imageOrientation: "from-image" });
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Draws an image onto a new canvas, scaled by `scale`, and encodes it. The encoded
+   * image has no EXIF orientation, so the upright pixels are shown as they are.
+   * @param {ImageBitmap} bitmap - The decoded image (already upright, see `decodeImage`)
+   * @param {number} scale - Scale factor to apply (<= 1)
+   * @param {string} type - Output MIME type
+   * @param {number} quality - Encoder quality between 0 and 1
+   * @returns {Promise<Blob>}
+   */
+  function renderImage(bitmap, scale, type, quality) {
+    const width = Math.round(bitmap.width * scale);
+    const height = Math.round(bitmap.height * scale);
+
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext("2d");
+
+    if (type === "image/jpeg") {
+      // JPEG has no alpha channel; paint transparent areas white instead of black
+      ctx.fillStyle = "#FFFFFF";
+      ctx.fillRect(0, 0, width, height);
+    }
+    ctx.drawImage(bitmap, 0, 0, width, height);
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(
+        (blob) => (blob ? resolve(blob) : reject(new Error("The browser could not encode the image"))),
+        type,
+        quality
+      );
+    });
+  }
+
+  /**
+   * Formats a byte limit for validation messages, e.g. "25 MB".
+   * @param {number} bytes - The limit in bytes
+   * @returns {string}
+   */
+  function megabytes(bytes) {
+    return `${parseFloat((bytes / (1024 * 1024)).toFixed(1))} MB`;
+  }
+
+  /**
+   * Replaces a file name's extension to match a new format.
+   * @param {string} name - The original file name
+   * @param {string} type - The new MIME type
+   * @returns {string}
+   */
+  function renameForType(name, type) {
+    const extension = EXTENSIONS[type];
+    if (!extension) return name;
+    const base = name.replace(/\.[^.]+$/, "");
+    return `${base}.${extension}`;
+  }
+
+  /**
+   * Runs a file through the pre-upload pipeline.
+   *
+   * Validation failures reject with an Error whose `name` is "ValidationError".
+   * The image is re-encoded when optimisation is on, when it exceeds the size or
+   * dimension limits and optimisation can fix that, or when it has a non-default
+   * EXIF orientation (which is baked into the pixels so every viewer shows it upright).
+   *
+   * @param {File} file - The selected file
+   * @param {Object} options - `{ allowedTypes, maxBytes, maxDimension, optimize, format, quality, optimizeMaxDimension }`
+   * @returns {Promise<Object>} `{ file, originalSize, width, height, type, exif, transformed }`,
+   *   where `exif` is the metadata read from the original file (see `exif.js`), or null
+   */
+  async function prepare(file, options) {
+    const fail = (message) => {
+      const error = new Error(message);
+      error.name = "ValidationError";
+      return error;
+    };
+
+    // 1. Check the declared MIME type and the actual content
+    if (file.type && !file.type.startsWith("image/")) {
+      throw fail(`${file.type} files are not supported`);
+    }
+    const head = new Uint8Array(await file.slice(0, 128 * 1024).arrayBuffer());
+    const detectedType = sniffImageType(head);
+    if (!detectedType) {
+      throw fail("The file is not a recognised image");
+    }
+    if (options.allowedTypes.length && !options.allowedTypes.includes(detectedType)) {
+      throw fail(`${detectedType.replace("image/", "").toUpperCase()} images are not supported`);
+    }
+
+    // EXIF/XMP metadata is read before any re-encoding, which would drop it. JPEG keeps it
+    // at the start of the file; WebP and PNG chunks may follow the image data
+    const metadataBytes =
+      (detectedType === "image/webp" || detectedType === "image/png") && file.size > head.length
+        ? new Uint8Array(await file.arrayBuffer())
+        : head;
+    const exif = window.Exif.parse(metadataBytes);
+    const orientation =
+      detectedType === "image/jpeg" && exif && exif.orientation >= 1 && exif.orientation <= 8
+        ? exif.orientation
+        : 1;
+    const bitmap = await decodeImage(file);
+    if (!bitmap) {
+      // Formats the browser can't decode can't be measured or optimised; only the byte limit applies
+      if (file.size > options.maxBytes) {
+        throw fail(`The file is larger than the ${megabytes(options.maxBytes)} limit`);
+      }
+      return { file, originalSize: file.size, width: null, height: null, type: detectedType, exif, transformed: false };
+    }
+
+    // The bitmap is upright, so its size is the size the image is shown at
+    const width = bitmap.width;
+    const height = bitmap.height;
+    const longestSide = Math.max(width, height);
+
+    // 2. Decide whether the image has to (or should) be re-encoded
+    const tooLarge = file.size > options.maxBytes;
+    const tooBig = longestSide > options.maxDimension;
+    if ((tooLarge || tooBig) && !options.optimize) {
+      bitmap.close();
+      throw fail(
+        tooBig
+          ? `The image is ${width}×${height}px; the maximum is ${options.maxDimension}px on the longest side`
+          : `The file is larger than the ${megabytes(options.maxBytes)} limit`
+      );
+    }
+    if (!options.optimize && orientation === 1) {
+      bitmap.close();
+      return { file, originalSize: file.size, width, height, type: detectedType, exif, transformed: false };
+    }
+
+    // 3. Re-encode: bake in the orientation and, if optimising, downscale and convert
+    const targetDimension = options.optimize
+      ? Math.min(options.maxDimension, options.optimizeMaxDimension)
+      : options.maxDimension;
+    const scale = Math.min(1, targetDimension / longestSide);
+    const type = options.optimize
+      ? options.format
+      : EXTENSIONS[detectedType] ? detectedType : "image/jpeg";
+    const blob = await renderImage(bitmap, scale, type, options.quality);
+    bitmap.close();
+
+    // Keep the original if optimising made it bigger and nothing else required re-encoding
+    if (blob.size >= file.size && scale === 1 && orientation === 1 && !tooLarge) {
+      return { file, originalSize: file.size, width, height, type: detectedType, exif, transformed: false };
+    }
+    if (blob.size > options.maxBytes) {
+      throw fail(`The file is still larger than the ${megabytes(options.maxBytes)} limit after optimisation`);
+    }
+
+    // Browsers that can't encode the requested format fall back to PNG
+    const outputType = blob.type || type;
+    const output = new File([blob], renameForType(file.name, outputType), {
+      type: outputType,
+      lastModified: file.lastModified,
+    });
+    return {
+      file: output,
+      originalSize: file.size,
+      width: Math.round(width * scale),
+      height: Math.round(height * scale),
+      type: outputType,
+      exif,
+      transformed: true,
+    };
+  }
+
+  window.ImagePipeline = {
+    sniffImageType,
+    prepare,
+  };
+})();
@@ -0,0 +1,215 @@
+/**
+ * @fileoverview Verifies id tokens (JWTs) with WebCrypto: the RS256 signature against the
+ * identity provider's JSON Web Key Set, and the `iss`, `aud`/`azp`, `exp`, `nbf`, `iat`
+ * and `nonce` claims (OpenID Connect Core §3.1.3.7). Keys are fetched once per JWKS URL
+ * and fetched again when a token is signed with a key id that isn't known yet (key rotation).
+ * Exposed globally as `window.JwtVerifier`.
+ */
+
+(function () {
+  /**
+   * How far the browser's clock may be off from the provider's, in seconds.
+   */
+  const CLOCK_SKEW_SECONDS = 60;
+
+  /**
+   * The shortest time between two fetches of the same key set, so tokens with unknown
+   * key ids can't make every verification hit the network.
+   */
+  const JWKS_REFETCH_INTERVAL_MS = 60 * 1000;
+
+  /**
+   * The signature algorithms accepted, as WebCrypto import parameters. `none` and the
+   * HMAC algorithms are never accepted.
+   */
+  const ALGORITHMS = {
+    RS256: { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" },
+  };
+
+  /**
+   * Fetched key sets by JWKS URL: `{ keys, fetchedAt }`, or the promise of a fetch in progress.
+   */
+  const keySets = new Map();
+
+  /**
+   * A token that failed verification. Unlike network errors while fetching the keys,
+   * retrying won't help.
+   */
+  class TokenValidationError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = "TokenValidationError";
+    }
+  }
+
+  function base64UrlToBytes(value) {
+    const base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+    const binary = atob(base64 + "=".repeat((4 - (base64.length % 4)) % 4));
+    return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+  }
+
+  /**
+   * Splits and decodes a JWT without verifying it.
+   * @param {string} token - The JWT
+   * @returns {{header: Object, claims: Object, signedPart: Uint8Array, signature: Uint8Array}}
+   * @throws {TokenValidationError} If the token is malformed
+   */
+  function decode(token) {
+    const parts = String(token || "").split(".");
+    if (parts.length !== 3) {
+      throw new TokenValidationError("The token is not a JWT");
+    }
+    try {
+      const text = (part) => new TextDecoder().decode(base64UrlToBytes(part));
+      return {
+        header: JSON.parse(text(parts[0])),
+        claims: JSON.parse(text(parts[1])),
+        signedPart: new TextEncoder().encode(`${parts[0]}.${parts[1]}`),
+        signature: base64UrlToBytes(parts[2]),
+      };
+    } catch (err) {
+      throw new TokenValidationError("The token could not be decoded");
+    }
+  }
+
+  /**
+   * Fetches a JSON Web Key Set. Network and HTTP errors keep their `status` (0 for
+   * network failures), like the token requests, so callers can retry them.
+   * @param {string} jwksUri - The key set URL
+   * @returns {Promise<Array<Object>>} The keys
+   */
+  async function fetchKeys(jwksUri) {
+    let response;
+    try {
+      response = await fetch(jwksUri);
+    } catch (err) {
+      const networkError = new Error(`Could not fetch the signing keys: ${err.message}`);
+      networkError.status = 0;
+      throw networkError;
+    }
+    if (!response.ok) {
+      const error = new Error(`Could not fetch the signing keys: the server answered ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    const data = await response.json();
+    return Array.isArray(data.keys) ? data.keys : [];
+  }
+
+  /**
+   * Finds the key a token was signed with, fetching the key set if needed.
+   * @param {string} jwksUri - The key set URL
+   * @param {string} kid - The token's key id
+   * @returns {Promise<Object>} The JWK
+   */
+  async function findKey(jwksUri, kid) {
+    let entry = keySets.get(jwksUri);
+    if (entry instanceof Promise) {
+      entry = await entry;
+    }
+    const stale = !entry || (!entry.keys.some((key) => key.kid === kid) && Date.now() - entry.fetchedAt > JWKS_REFETCH_INTERVAL_MS);
+    if (stale) {
+      const pending = fetchKeys(jwksUri).then((keys) => ({ keys, fetchedAt: Date.now() }));
+      keySets.set(jwksUri, pending);
+      try {
+        entry = await pending;
+        keySets.set(jwksUri, entry);
+      } catch (err) {
+        keySets.delete(jwksUri);
+        throw err;
+      }
+    }
+    const key = entry.keys.find((candidate) => candidate.kid === kid);
+    if (!key) {
+      throw new TokenValidationError(`The token was signed with an unknown key (${kid})`);
+    }
+    return key;
+  }
+
+  /**
+   * Checks the registered claims of a decoded id token.
+   * @param {Object} claims - The token's claims
+   * @param {Object} expected - `{ issuer, audience, nonce, claims }`; see `verify`
+   * @throws {TokenValidationError} On the first claim that doesn't match
+   */
+  function checkClaims(claims, expected) {
+    const now = Math.floor(Date.now() / 1000);
+    if (claims.iss !== expected.issuer) {
+      throw new TokenValidationError(`The token was issued by ${claims.iss}, not ${expected.issuer}`);
+    }
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(expected.audience)) {
+      throw new TokenValidationError("The token was issued for another client");
+    }
+    if ((audiences.length > 1 || claims.azp) && claims.azp !== expected.audience) {
+      throw new TokenValidationError("The token's authorized party is another client");
+    }
+    if (typeof claims.exp !== "number" || claims.exp + CLOCK_SKEW_SECONDS <= now) {
+      throw new TokenValidationError("The token has expired");
+    }
+    if (typeof claims.nbf === "number" && claims.nbf - CLOCK_SKEW_SECONDS > now) {
+      throw new TokenValidationError("The token is not valid yet");
+    }
+    if (typeof claims.iat === "number" && claims.iat - CLOCK_SKEW_SECONDS > now) {
+      throw new TokenValidationError("The token was issued in the future");
+    }
+    if (expected.nonce !== undefined && claims.nonce !== expected.nonce) {
+      throw new TokenValidationError("The token's nonce does not match this sign in");
+    }
+    Object.entries(expected.claims || {}).forEach(([name, value]) => {
+      if (claims[name] !== value) {
+        throw new TokenValidationError(`The token's ${name} claim is not ${value}`);
+      }
+    });
+  }
+
+  /**
+   * Verifies an id token's signature and claims.
+   * @param {string} token - The id token
+   * @param {Object} expected - What the token must match:
+   *   - `issuer`: the exact `iss` value
+   *   - `audience`: the client id
+   *   - `jwksUri`: where the provider publishes its signing keys
+   *   - `nonce` (optional): the nonce sent with the authorization request
+   *   - `claims` (optional): other claims that must have the given values, e.g. `{ token_use: 'id' }`
+   * @returns {Promise<Object>} The verified claims
+   * @throws {TokenValidationError} If the token is invalid; fetching the keys may also fail
+   *   with a plain Error carrying an HTTP `status`
+   */
+  async function verify(token, expected) {
+    const { header, claims, signedPart, signature } = decode(token);
+    const algorithm = ALGORITHMS[header.alg];
+    if (!algorithm) {
+      throw new TokenValidationError(`Tokens signed with ${header.alg} are not accepted`);
+    }
+
+    const jwk = await findKey(expected.jwksUri, header.kid);
+    if (jwk.kty !== "RSA" || (jwk.alg && jwk.alg !== header.alg) || (jwk.use && jwk.use !== "sig")) {
+      throw new TokenValidationError(`The key ${header.kid} is not an ${header.alg} signing key`);
+    }
+    let key;
+    try {
+      key = await window.crypto.subtle.importKey(
+        "jwk",
+        { kty: jwk.kty, n: jwk.n, e: jwk.e, alg: header.alg, ext: true },
+        algorithm,
+        false,
+        ["verify"]
+      );
+    } catch (err) {
+      throw new TokenValidationError(`The key ${header.kid} could not be imported`);
+    }
+    if (!(await window.crypto.subtle.verify(algorithm, key, signature, signedPart))) {
+      throw new TokenValidationError("The token's signature is invalid");
+    }
+
+    checkClaims(claims, expected);
+    return claims;
+  }
+
+  window.JwtVerifier = {
+    TokenValidationError,
+    decode,
+    verify,
+  };
+})();
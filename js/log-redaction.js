@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Removes secrets from values before they are written to the console:
+ * JWTs, OAuth codes and tokens in URLs, and the signature and credentials of presigned
+ * S3 URLs (and of the S3 error responses that echo them). Console output ends up in bug reports and screenshots, so anything logged
+ * that may contain one of these goes through `LogRedaction` first.
+ * Exposed globally as `window.LogRedaction`.
+ */
+
+(function () {
+  /**
+   * Query (and fragment) parameters whose values are secrets.
+   */
+  const SECRET_PARAMS = [
+    "code",
+    "state",
+    "nonce",
+    "code_verifier",
+    "id_token",
+    "access_token",
+    "refresh_token",
+    "id_token_hint",
+    "token",
+    "x-amz-signature",
+    "x-amz-credential",
+    "x-amz-security-token",
+    "signature",
+  ];
+
+  /**
+   * Matches JWTs (three base64url parts, the first a JSON object starting with `{"`).
+   */
+  const JWT_PATTERN = /eyJ[\w-]*\.[\w-]+\.[\w-]*/g;
+
+  /**
+   * Matches `name=value` pairs of `SECRET_PARAMS` in URLs and form bodies.
+   */
+  const PARAM_PATTERN = new RegExp(`((?:^|[?&#\\s])(?:${SECRET_PARAMS.join("|")})=)[^&#\\s"']*`, "gi");
+
+  /**
+   * Matches the elements of S3 error responses that echo the request's signature.
+   */
+  const S3_ERROR_PATTERN = /<(SignatureProvided|StringToSign|StringToSignBytes|CanonicalRequest|CanonicalRequestBytes|AWSAccessKeyId)>[^<]*</g;
+
+  /**
+   * Redacts secrets in a string, such as a URL or an error message.
+   * @param {string} input - The text
+   * @returns {string}
+   */
+  function text(input) {
+    return String(input)
+      .replace(PARAM_PATTERN, "$1[redacted]")
+      .replace(JWT_PATTERN, "[redacted token]")
+      .replace(S3_ERROR_PATTERN, "<$1>[redacted]<");
+  }
+
+  /**
+   * Redacts secrets in a value for logging. Strings are redacted with `text`; objects are
+   * copied with secret-looking keys (tokens, codes, passwords) replaced and strings redacted.
+   * @param {*} input - The value to log
+   * @returns {*} A copy that is safe to log
+   */
+  function value(input) {
+    if (typeof input === "string") return text(input);
+    if (!input || typeof input !== "object") return input;
+    if (input instanceof Error) return text(input.message);
+    if (Array.isArray(input)) return input.map(value);
+    const copy = {};
+    Object.keys(input).forEach((key) => {
+      copy[key] = /token|code|secret|password|verifier|signature|credential/i.test(key) && input[key]
+        ? "[redacted]"
+        : value(input[key]);
+    });
+    return copy;
+  }
+
+  window.LogRedaction = {
+    text,
+    value,
+  };
+})();
@@ -0,0 +1,238 @@
+/**
+ * @fileoverview Searching, filtering and sorting the loaded photos by their metadata, and
+ * converting the filter state to and from the route query so a filtered view can be shared.
+ * Works on the photo objects from `photo-model.js`; exposed globally as `window.PhotoFilter`.
+ */
+
+(function () {
+  /**
+   * The filter state with nothing filtered, newest photos first. Every value is a string
+   * so the state maps directly onto form controls and the URL.
+   */
+  const DEFAULT_FILTERS = {
+    q: "",
+    format: "",
+    mode: "",
+    orientation: "",
+    minMegapixels: "",
+    from: "",
+    to: "",
+    sort: "date-desc",
+  };
+
+  /**
+   * The query parameter used for each filter in the URL.
+   */
+  const QUERY_NAMES = {
+    q: "q",
+    format: "format",
+    mode: "mode",
+    orientation: "orientation",
+    minMegapixels: "mp",
+    from: "from",
+    to: "to",
+    sort: "sort",
+  };
+
+  /**
+   * The orientations that can be filtered on. Photos within 5% of square count as square;
+   * panoramas are at least twice as wide as they are high.
+   */
+  const ORIENTATIONS = {
+    landscape: (ratio) => ratio > 1.05,
+    portrait: (ratio) => ratio < 0.95,
+    square: (ratio) => ratio >= 0.95 && ratio <= 1.05,
+    panorama: (ratio) => ratio >= 2,
+  };
+
+  /**
+   * Compare functions for each sort order. Photos missing the sort value go last.
+   */
+  const SORTS = {
+    "date-desc": (a, b) => compareMissingLast(uploadTime(a), uploadTime(b), -1),
+    "date-asc": (a, b) => compareMissingLast(uploadTime(a), uploadTime(b), 1),
+    "size-desc": (a, b) => compareMissingLast(pixelCount(a), pixelCount(b), -1),
+    "size-asc": (a, b) => compareMissingLast(pixelCount(a), pixelCount(b), 1),
+    "name-asc": (a, b) => displayName(a).localeCompare(displayName(b), undefined, { numeric: true }),
+    "name-desc": (a, b) => displayName(b).localeCompare(displayName(a), undefined, { numeric: true }),
+  };
+
+  /**
+   * Compares two numbers in the given direction, putting missing (null) values last.
+   * @param {number|null} a
+   * @param {number|null} b
+   * @param {number} direction - 1 for ascending, -1 for descending
+   * @returns {number}
+   */
+  function compareMissingLast(a, b, direction) {
+    if (a === null || b === null) {
+      return (a === null) - (b === null);
+    }
+    return (a - b) * direction;
+  }
+
+  /**
+   * When a photo was uploaded, from the `<timestamp>-` prefix of its key (see
+   * `getPresignedUrl` in app.js). Second-precision timestamps are accepted too.
+   * @param {Object} photo - The photo object
+   * @returns {number|null} Milliseconds since the epoch, or null without a prefix
+   */
+  function uploadTime(photo) {
+    const match = /^(\d{10,})-/.exec(photo.id);
+    if (!match) return null;
+    const value = Number(match[1]);
+    return value < 1e12 ? value * 1000 : value;
+  }
+
+  /**
+   * The photo's resolution in pixels, from its metadata.
+   * @param {Object} photo - The photo object
+   * @returns {number|null}
+   */
+  function pixelCount(photo) {
+    const { width, height } = photo.metadata || {};
+    return width && height ? width * height : null;
+  }
+
+  /**
+   * The name photos are sorted by: the title, or the file name it was uploaded with.
+   * @param {Object} photo - The photo object
+   * @returns {string}
+   */
+  function displayName(photo) {
+    return photo.title || window.PhotoModel.fileNameFromId(photo.id);
+  }
+
+  /**
+   * Parses a `YYYY-MM-DD` date input value as local midnight.
+   * @param {string} value - The date
+   * @returns {number|null} Milliseconds since the epoch, or null if empty or invalid
+   */
+  function parseDay(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || "");
+    if (!match) return null;
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])).getTime();
+  }
+
+  /**
+   * Builds a predicate for the filters, so each one is only parsed once per run.
+   * @param {Object} filters - The filter state
+   * @returns {Function} Takes a photo and returns whether it matches
+   */
+  function matcher(filters) {
+    const terms = filters.q.toLowerCase().split(/\s+/).filter(Boolean);
+    const orientation = ORIENTATIONS[filters.orientation];
+    const minPixels = parseFloat(filters.minMegapixels) * 1e6 || 0;
+    const from = parseDay(filters.from);
+    const toDay = parseDay(filters.to);
+    // The "to" date includes the whole day
+    const to = toDay === null ? null : toDay + 24 * 60 * 60 * 1000;
+
+    return (photo) => {
+      const metadata = photo.metadata || {};
+      if (filters.format && String(metadata.format || "").toLowerCase() !== filters.format.toLowerCase()) {
+        return false;
+      }
+      if (filters.mode && metadata.mode !== filters.mode) {
+        return false;
+      }
+      if (orientation && !(metadata.width && metadata.height && orientation(metadata.width / metadata.height))) {
+        return false;
+      }
+      if (minPixels && !(pixelCount(photo) >= minPixels)) {
+        return false;
+      }
+      if (from !== null || to !== null) {
+        const time = uploadTime(photo);
+        if (time === null || (from !== null && time < from) || (to !== null && time >= to)) {
+          return false;
+        }
+      }
+      if (terms.length) {
+        const text = [window.PhotoModel.fileNameFromId(photo.id), photo.title, photo.caption]
+          .join(" ")
+          .toLowerCase();
+        return terms.every((term) => text.includes(term));
+      }
+      return true;
+    };
+  }
+
+  /**
+   * Filters and sorts photos.
+   * @param {Array<Object>} photos - The photos
+   * @param {Object} filters - The filter state (see `DEFAULT_FILTERS`)
+   * @returns {Array<Object>} The matching photos in the chosen order (a new array)
+   */
+  function apply(photos, filters) {
+    const sort = SORTS[filters.sort] || SORTS[DEFAULT_FILTERS.sort];
+    return photos.filter(matcher(filters)).sort(sort);
+  }
+
+  /**
+   * Whether any filter narrows the photos down (the sort order doesn't count).
+   * @param {Object} filters - The filter state
+   * @returns {boolean}
+   */
+  function isFiltered(filters) {
+    return Object.keys(DEFAULT_FILTERS).some(
+      (name) => name !== "sort" && filters[name] !== DEFAULT_FILTERS[name]
+    );
+  }
+
+  /**
+   * Reads the filter state from a route query. Unknown values fall back to the defaults.
+   * @param {Object} query - The route query (see `Router.parse`)
+   * @returns {Object} The filter state
+   */
+  function fromQuery(query) {
+    const filters = {};
+    Object.keys(DEFAULT_FILTERS).forEach((name) => {
+      const value = (query || {})[QUERY_NAMES[name]];
+      filters[name] = typeof value === "string" ? value : DEFAULT_FILTERS[name];
+    });
+    if (!SORTS[filters.sort]) filters.sort = DEFAULT_FILTERS.sort;
+    if (filters.orientation && !ORIENTATIONS[filters.orientation]) filters.orientation = "";
+    return filters;
+  }
+
+  /**
+   * Writes the filter state as a route query, leaving out values that are the default.
+   * @param {Object} filters - The filter state
+   * @returns {Object} The query
+   */
+  function toQuery(filters) {
+    const query = {};
+    Object.keys(DEFAULT_FILTERS).forEach((name) => {
+      if (filters[name] !== DEFAULT_FILTERS[name]) {
+        query[QUERY_NAMES[name]] = filters[name];
+      }
+    });
+    return query;
+  }
+
+  /**
+   * The distinct values of a metadata field among the photos, for the filter menus.
+   * @param {Array<Object>} photos - The photos
+   * @param {string} field - e.g. "format" or "mode"
+   * @returns {Array<string>} Sorted values
+   */
+  function valuesOf(photos, field) {
+    const values = new Set();
+    photos.forEach((photo) => {
+      const value = photo.metadata && photo.metadata[field];
+      if (typeof value === "string" && value) values.add(value);
+    });
+    return Array.from(values).sort();
+  }
+
+  window.PhotoFilter = {
+    DEFAULT_FILTERS,
+    uploadTime,
+    apply,
+    isFiltered,
+    fromQuery,
+    toQuery,
+    valuesOf,
+  };
+})();
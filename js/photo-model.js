@@ -0,0 +1,270 @@
+/**
+ * @fileoverview Turns the DynamoDB items returned by the photos, albums and shares APIs into
+ * the plain photo, album and share objects the gallery renders, and checks each item against the
+ * expected schema first. Malformed items are reported individually instead of failing the whole gallery.
+ * Depends on `window.DynamoDB` (from `dynamodb.js`); exposed globally as `window.PhotoModel`.
+ */
+
+(function () {
+  /**
+   * The attributes every photo item must (or may) have, with their DynamoDB type.
+   * `url: true` additionally requires an absolute http(s) URL.
+   */
+  const PHOTO_SCHEMA = {
+    ImageMetadataPK: { type: "S", required: true },
+    ThumbnailURL: { type: "S", required: true, url: true },
+    OriginalImageURL: { type: "S", required: true, url: true },
+    Metadata: { type: "M", required: false },
+    Title: { type: "S", required: false },
+    Caption: { type: "S", required: false },
+    AlbumIds: { type: "SS", required: false },
+  };
+
+  /**
+   * The attributes of an album item, in the same form as `PHOTO_SCHEMA`.
+   */
+  const ALBUM_SCHEMA = {
+    AlbumId: { type: "S", required: true },
+    Name: { type: "S", required: true },
+    PhotoCount: { type: "N", required: false },
+    CoverThumbnailURL: { type: "S", required: false, url: true },
+  };
+
+  /**
+   * The attributes of a share link item. `ExpiresAt` and `CreatedAt` are in epoch seconds.
+   */
+  const SHARE_SCHEMA = {
+    ShareId: { type: "S", required: true },
+    PhotoIds: { type: "SS", required: true },
+    ExpiresAt: { type: "N", required: true },
+    CreatedAt: { type: "N", required: false },
+  };
+
+  /**
+   * Checks whether a string is an absolute http(s) URL.
+   * @param {string} value - The string to check
+   * @returns {boolean}
+   */
+  function isHttpUrl(value) {
+    try {
+      const url = new URL(value);
+      return url.protocol === "https:" || url.protocol === "http:";
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /**
+   * Validates a raw DynamoDB item against a schema.
+   * @param {Object} item - The raw item from `data.Items`
+   * @param {Object} [schema=PHOTO_SCHEMA] - The expected attributes
+   * @returns {Array<string>} A list of problems; empty if the item is valid
+   */
+  function validateItem(item, schema = PHOTO_SCHEMA) {
+    if (!item || typeof item !== "object" || Array.isArray(item)) {
+      return ["item is not an object"];
+    }
+
+    const problems = [];
+    Object.keys(schema).forEach((name) => {
+      const rule = schema[name];
+      const attribute = item[name];
+      if (attribute === undefined) {
+        if (rule.required) {
+          problems.push(`missing ${name}`);
+        }
+        return;
+      }
+
+      const type = window.DynamoDB.typeOf(attribute);
+      if (type !== rule.type) {
+        problems.push(`${name} should be of type ${rule.type} but is ${type || "invalid"}`);
+        return;
+      }
+      if (rule.type === "S" && rule.required && !attribute.S) {
+        problems.push(`${name} is empty`);
+      } else if (rule.url && !isHttpUrl(attribute.S)) {
+        problems.push(`${name} is not a valid URL`);
+      }
+    });
+    return problems;
+  }
+
+  /**
+   * Lower-cases the first letter of an attribute name (`FileSize` -> `fileSize`).
+   * @param {string} name - The attribute name
+   * @returns {string}
+   */
+  function camelCase(name) {
+    return name.charAt(0).toLowerCase() + name.slice(1);
+  }
+
+  /**
+   * Converts the unmarshalled `Metadata` map into the photo's `metadata` object.
+   * `Size` (a `[width, height]` list) becomes `width`/`height`; every other field is
+   * kept under its camel-cased name, so new backend fields show up without code changes.
+   * @param {Object} raw - The plain `Metadata` object
+   * @param {string} id - The photo id, for log messages
+   * @returns {Object}
+   */
+  function toMetadata(raw, id) {
+    const metadata = {};
+    Object.keys(raw || {}).forEach((key) => {
+      const value = raw[key];
+      if (key === "Size") {
+        if (
+          Array.isArray(value) &&
+          value.length === 2 &&
+          typeof value[0] === "number" &&
+          typeof value[1] === "number"
+        ) {
+          metadata.width = value[0];
+          metadata.height = value[1];
+        } else {
+          console.warn(`Ignoring malformed Metadata.Size on photo ${id}:`, value);
+        }
+        return;
+      }
+      metadata[camelCase(key)] = value;
+    });
+    return metadata;
+  }
+
+  /**
+   * The file name a photo was uploaded with: the object key without its
+   * `<timestamp>-` prefix (see `getPresignedUrl` in app.js).
+   * @param {string} id - The photo id (the object key)
+   * @returns {string}
+   */
+  function fileNameFromId(id) {
+    return id.replace(/^\d{10,}-/, "");
+  }
+
+  /**
+   * Converts one valid raw item into a photo object.
+   * @param {Object} item - A raw item that passed `validateItem`
+   * @returns {Object} `{ id, thumbnailUrl, url, title, caption, albumIds, metadata, attributes }`
+   */
+  function toPhoto(item) {
+    const plain = window.DynamoDB.unmarshallItem(item);
+    return {
+      id: plain.ImageMetadataPK,
+      thumbnailUrl: plain.ThumbnailURL,
+      url: plain.OriginalImageURL,
+      // User-editable; empty when not set
+      title: plain.Title || "",
+      caption: plain.Caption || "",
+      albumIds: plain.AlbumIds || [],
+      metadata: toMetadata(plain.Metadata, plain.ImageMetadataPK),
+      // Every attribute of the item, for fields the gallery doesn't map explicitly
+      attributes: plain,
+    };
+  }
+
+  /**
+   * Converts one valid raw album item into an album object.
+   * @param {Object} item - A raw item that passed `validateItem(item, ALBUM_SCHEMA)`
+   * @returns {Object} `{ id, name, count, coverUrl }`
+   */
+  function toAlbum(item) {
+    const plain = window.DynamoDB.unmarshallItem(item);
+    return {
+      id: plain.AlbumId,
+      name: plain.Name,
+      count: typeof plain.PhotoCount === "number" ? plain.PhotoCount : 0,
+      coverUrl: plain.CoverThumbnailURL || null,
+    };
+  }
+
+  /**
+   * Converts one valid raw share item into a share object.
+   * @param {Object} item - A raw item that passed `validateItem(item, SHARE_SCHEMA)`
+   * @returns {Object} `{ id, photoIds, expiresAt, createdAt }`, with the times in milliseconds
+   */
+  function toShare(item) {
+    const plain = window.DynamoDB.unmarshallItem(item);
+    return {
+      id: plain.ShareId,
+      photoIds: plain.PhotoIds,
+      expiresAt: plain.ExpiresAt * 1000,
+      createdAt: typeof plain.CreatedAt === "number" ? plain.CreatedAt * 1000 : null,
+    };
+  }
+
+  /**
+   * Validates and converts a list of raw items, setting malformed ones aside.
+   * @param {Array<Object>} items - The raw `data.Items` array
+   * @param {Object} schema - The expected attributes
+   * @param {string} keyName - The attribute used to identify items in reports
+   * @param {Function} convert - Converts a valid item
+   * @param {number} page - The page the items are from, so items without a key get ids
+   *   (`#<page>-<position>`) that are unique across pages
+   * @returns {{valid: Array<Object>, invalid: Array<{index: number, id: string, problems: Array<string>}>}}
+   */
+  function parseWith(items, schema, keyName, convert, page) {
+    const valid = [];
+    const invalid = [];
+
+    items.forEach((item, index) => {
+      const id =
+        item && item[keyName] && item[keyName].S
+          ? item[keyName].S
+          : `#${page}-${index + 1}`;
+      let problems = validateItem(item, schema);
+      if (problems.length === 0) {
+        try {
+          valid.push(convert(item));
+          return;
+        } catch (err) {
+          problems = [err.message];
+        }
+      }
+      console.warn(`Skipping malformed item ${id}:`, problems, item);
+      invalid.push({ index, id, problems });
+    });
+
+    return { valid, invalid };
+  }
+
+  /**
+   * Converts the `Items` of a photos API response into photo objects.
+   * @param {Array<Object>} items - The raw `data.Items` array
+   * @param {number} [page] - The page number of the response (1 for the first page)
+   * @returns {{photos: Array<Object>, invalid: Array<{index: number, id: string, problems: Array<string>}>}}
+   */
+  function parseItems(items, page = 1) {
+    const { valid, invalid } = parseWith(items, PHOTO_SCHEMA, "ImageMetadataPK", toPhoto, page);
+    return { photos: valid, invalid };
+  }
+
+  /**
+   * Converts the `Items` of an albums API response into album objects.
+   * @param {Array<Object>} items - The raw `data.Items` array
+   * @returns {{albums: Array<Object>, invalid: Array<Object>}}
+   */
+  function parseAlbums(items) {
+    const { valid, invalid } = parseWith(items, ALBUM_SCHEMA, "AlbumId", toAlbum, 1);
+    return { albums: valid, invalid };
+  }
+
+  /**
+   * Converts the `Items` of a shares API response into share objects.
+   * @param {Array<Object>} items - The raw `data.Items` array
+   * @returns {{shares: Array<Object>, invalid: Array<Object>}}
+   */
+  function parseShares(items) {
+    const { valid, invalid } = parseWith(items, SHARE_SCHEMA, "ShareId", toShare, 1);
+    return { shares: valid, invalid };
+  }
+
+  window.PhotoModel = {
+    fileNameFromId,
+    validateItem,
+    toPhoto,
+    parseItems,
+    toAlbum,
+    parseAlbums,
+    toShare,
+    parseShares,
+  };
+})();
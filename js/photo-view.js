@@ -0,0 +1,393 @@
+/**
+ * @fileoverview The photo grid and lightbox pieces shared by the gallery (`app.js`) and the
+ * share link viewer (`share-viewer.js`): markup partials, and a mixin with the lightbox's
+ * zoom, pan, swipe, keyboard and focus handling.
+ *
+ * Partials are written as `<div data-photo-view="<name>"></div>` placeholders in the page and
+ * replaced with the markup in `PARTIALS` before Alpine.js starts (also inside `<template>`
+ * elements such as `x-for` loops), so they bind to the component they end up in.
+ * A component using the mixin provides `showAdjacentPhoto(step)`, `hasAdjacentPhoto(step)`,
+ * `lightboxPositionLabel()` and `closePhotoModal()`, and an `x-ref="lightbox"` element.
+ * Exposed globally as `window.PhotoView`.
+ */
+
+(function () {
+  const SPINNER = `
+    <svg class="animate-spin h-10 w-10 text-[#0066CC]" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+      <circle class="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" stroke-width="3"></circle>
+      <path class="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+    </svg>`;
+
+  /**
+   * The markup partials by name. Grid partials expect a `photo` in scope (from `x-for`).
+   */
+  const PARTIALS = {
+    // A grid thumbnail
+    thumbnail: `
+      <img :src="photo.thumbnailUrl"
+           :alt="photoTitle(photo)"
+           class="photo-thumbnail w-full"
+           @error="handleImageError($event, photo)">`,
+    // The caption under a grid thumbnail
+    caption: `
+      <p x-show="photo.caption" class="photo-caption" x-text="photo.caption"></p>`,
+    // The open photo's title and position, at the start of the lightbox toolbar
+    "lightbox-title": `
+      <div class="min-w-0 mr-4">
+        <p class="font-medium truncate" x-text="photoTitle(selectedPhoto)"></p>
+        <p class="text-xs text-white/70" x-text="lightboxPositionLabel()"></p>
+      </div>`,
+    // Zoom out, reset and zoom in buttons, then the close button
+    "lightbox-controls": `
+      <button @click="zoomBy(0.8)" :disabled="zoomScale <= 1" class="lightbox-button" aria-label="Zoom out">−</button>
+      <button @click="resetZoom" class="lightbox-button w-14" aria-label="Reset zoom" x-text="\`\${Math.round(zoomScale * 100)}%\`"></button>
+      <button @click="zoomBy(1.25)" :disabled="zoomScale >= 5" class="lightbox-button" aria-label="Zoom in">+</button>
+      <button @click="closePhotoModal" class="lightbox-button" aria-label="Close">
+        <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"></path>
+        </svg>
+      </button>`,
+    // The full-size image (zoomable and pannable), with a spinner while it loads
+    "lightbox-image": `
+      <div x-show="modalLoading" class="flex flex-col items-center justify-center apple-modal p-10">
+        ${SPINNER}
+        <p class="mt-3 apple-text-secondary">Loading full image...</p>
+      </div>
+      <div x-show="!modalLoading" class="apple-modal">
+        <div class="lightbox-stage"
+             :class="zoomScale > 1 ? 'cursor-grab' : ''"
+             @wheel="handleLightboxWheel($event)"
+             @dblclick="handleLightboxDoubleClick($event)"
+             @pointerdown="handleLightboxPointerDown($event)"
+             @pointermove="handleLightboxPointerMove($event)"
+             @pointerup="handleLightboxPointerUp($event)"
+             @pointercancel="handleLightboxPointerUp($event)">
+          <img :src="selectedPhoto?.url"
+               :alt="photoTitle(selectedPhoto)"
+               class="apple-modal-image mx-auto"
+               :style="\`transform: translate(\${panX}px, \${panY}px) scale(\${zoomScale})\`"
+               draggable="false"
+               @load="modalLoading = false"
+               @error="modalLoading = false">
+        </div>
+      </div>`,
+    // Previous / next buttons at the sides of the lightbox
+    "lightbox-nav": `
+      <button x-show="hasAdjacentPhoto(-1)" @click="showAdjacentPhoto(-1)" class="lightbox-nav left-2" aria-label="Previous photo">
+        <svg class="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 19l-7-7 7-7"></path>
+        </svg>
+      </button>
+      <button x-show="hasAdjacentPhoto(1)" @click="showAdjacentPhoto(1)" class="lightbox-nav right-2" aria-label="Next photo">
+        <svg class="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7"></path>
+        </svg>
+      </button>`,
+  };
+
+  /**
+   * Shown instead of a thumbnail that failed to load.
+   */
+  const BROKEN_IMAGE =
+    "data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjAwIiBoZWlnaHQ9IjIwMCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48ZyBmaWxsPSJub25lIiBmaWxsLXJ1bGU9ImV2ZW5vZGQiPjxyZWN0IGZpbGw9IiNFRUVFRUUiIHdpZHRoPSIyMDAiIGhlaWdodD0iMjAwIiByeD0iNCIvPjxnIHRyYW5zZm9ybT0idHJhbnNsYXRlKDcwLjU2MiA2OC41NjIpIiBzdHJva2U9IiM5OTkiIHN0cm9rZS13aWR0aD0iMyI+PGNpcmNsZSBjeD0iOS41IiBjeT0iOS41IiByPSI5LjUiLz48cGF0aCBkPSJNMzkuNDM4IDU5LjQzOEw5LjUgOS41Ii8+PGNpcmNsZSBjeD0iMzkuNDM4IiBjeT0iNTkuNDM4IiByPSI5LjUiLz48L2c+PC9nPjwvc3ZnPg==";
+
+  /**
+   * Replaces the partial placeholders under a root, including those inside `<template>`s.
+   * @param {ParentNode} root - The document, or a template's content
+   */
+  function render(root) {
+    root.querySelectorAll("[data-photo-view]").forEach((placeholder) => {
+      const name = placeholder.getAttribute("data-photo-view");
+      if (!PARTIALS[name]) {
+        throw new Error(`Unknown photo view partial "${name}"`);
+      }
+      const template = document.createElement("template");
+      template.innerHTML = PARTIALS[name].trim();
+      placeholder.replaceWith(template.content);
+    });
+    root.querySelectorAll("template").forEach((template) => render(template.content));
+  }
+
+  /**
+   * The state and methods shared by components that show the grid and lightbox. Spread it
+   * into the component (`{ ...PhotoView.mixin(), ... }`); each call returns fresh state.
+   * @returns {Object}
+   */
+  function mixin() {
+    return {
+      /**
+       * Controls the visibility of the photo modal (lightbox).
+       * @type {boolean}
+       */
+      showModal: false,
+      /**
+       * The photo object currently displayed in the modal.
+       * @type {Object|null}
+       */
+      selectedPhoto: null,
+      /**
+       * Flag to show a loading spinner inside the modal while the full-size image loads.
+       * @type {boolean}
+       */
+      modalLoading: false,
+      /**
+       * The lightbox zoom level (1 = fit to screen) and pan offset in pixels.
+       * @type {number}
+       */
+      zoomScale: 1,
+      panX: 0,
+      panY: 0,
+      /**
+       * Pointer gesture state for swipe, pan and pinch in the lightbox:
+       * `{ pointers, pinched, startX, startY, startPanX, startPanY, startDistance, startScale }`.
+       * @type {Object|null}
+       */
+      gesture: null,
+
+      /**
+       * The title shown for a photo: its own title, or the name it was uploaded with.
+       * @param {Object} photo The photo object.
+       * @returns {string}
+       */
+      photoTitle(photo) {
+        if (!photo) return "";
+        return photo.title || window.PhotoModel.fileNameFromId(photo.id);
+      },
+
+      /**
+       * Replaces a thumbnail that failed to load with a placeholder image.
+       * @param {Event} event The error event.
+       * @param {Object} photo The photo object.
+       */
+      handleImageError(event, photo) {
+        console.error(`Image loading failed for photo ${photo ? photo.id : ""}`);
+        event.target.src = BROKEN_IMAGE;
+        event.target.classList.add("broken-image");
+      },
+
+      /**
+       * Keyboard handling for the open lightbox: arrows move between photos, Escape closes,
+       * +/-/0 zoom, and Tab stays within the lightbox. Keys `interceptLightboxKey` handles
+       * are left alone.
+       * @param {KeyboardEvent} event The keydown event.
+       */
+      handleLightboxKeydown(event) {
+        if (!this.showModal || this.interceptLightboxKey(event)) return;
+        switch (event.key) {
+          case "ArrowLeft":
+            event.preventDefault();
+            this.showAdjacentPhoto(-1);
+            break;
+          case "ArrowRight":
+            event.preventDefault();
+            this.showAdjacentPhoto(1);
+            break;
+          case "Escape":
+            event.preventDefault();
+            this.closePhotoModal();
+            break;
+          case "+":
+          case "=":
+            this.zoomBy(1.25);
+            break;
+          case "-":
+            this.zoomBy(0.8);
+            break;
+          case "0":
+            this.resetZoom();
+            break;
+          case "Tab":
+            this.trapFocus(event);
+            break;
+          default:
+            break;
+        }
+      },
+
+      /**
+       * Lets a component take keys away from the lightbox, e.g. while a dialog is on top.
+       * @param {KeyboardEvent} event The keydown event.
+       * @returns {boolean} Whether the key was handled (or is to be ignored)
+       */
+      interceptLightboxKey(event) {
+        return false;
+      },
+
+      /**
+       * Keeps Tab and Shift+Tab cycling through the lightbox"s controls.
+       * @param {KeyboardEvent} event The Tab keydown event.
+       */
+      trapFocus(event) {
+        const lightbox = this.$refs.lightbox;
+        if (!lightbox) return;
+        const focusable = Array.from(lightbox.querySelectorAll(
+          'button, a[href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+        )).filter(element => !element.disabled && element.offsetParent !== null);
+        if (focusable.length === 0) {
+          event.preventDefault();
+          lightbox.focus();
+          return;
+        }
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (event.shiftKey && (document.activeElement === first || document.activeElement === lightbox)) {
+          event.preventDefault();
+          last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+          event.preventDefault();
+          first.focus();
+        } else if (!lightbox.contains(document.activeElement)) {
+          event.preventDefault();
+          first.focus();
+        }
+      },
+
+      /**
+       * Resets the lightbox to fit the image on screen.
+       */
+      resetZoom() {
+        this.zoomScale = 1;
+        this.panX = 0;
+        this.panY = 0;
+      },
+
+      /**
+       * Zooms by a factor, keeping the point at (`originX`, `originY`) (relative to the
+       * image centre) in place. The zoom is kept between 1x and 5x.
+       * @param {number} factor The zoom factor.
+       * @param {number} [originX=0] The horizontal focus point, in pixels.
+       * @param {number} [originY=0] The vertical focus point, in pixels.
+       */
+      zoomBy(factor, originX = 0, originY = 0) {
+        const scale = Math.min(5, Math.max(1, this.zoomScale * factor));
+        const ratio = scale / this.zoomScale;
+        this.panX = originX - (originX - this.panX) * ratio;
+        this.panY = originY - (originY - this.panY) * ratio;
+        this.zoomScale = scale;
+        if (scale === 1) this.resetZoom();
+      },
+
+      /**
+       * Zooms with the mouse wheel (or a trackpad pinch, which browsers report as ctrl+wheel)
+       * towards the cursor.
+       * @param {WheelEvent} event The wheel event.
+       */
+      handleLightboxWheel(event) {
+        event.preventDefault();
+        const rect = event.currentTarget.getBoundingClientRect();
+        this.zoomBy(
+          Math.exp(-event.deltaY * (event.ctrlKey ? 0.01 : 0.002)),
+          event.clientX - rect.left - rect.width / 2,
+          event.clientY - rect.top - rect.height / 2
+        );
+      },
+
+      /**
+       * Toggles between fit-to-screen and 2x zoom on double click.
+       * @param {MouseEvent} event The dblclick event.
+       */
+      handleLightboxDoubleClick(event) {
+        if (this.zoomScale > 1) {
+          this.resetZoom();
+          return;
+        }
+        const rect = event.currentTarget.getBoundingClientRect();
+        this.zoomBy(2, event.clientX - rect.left - rect.width / 2, event.clientY - rect.top - rect.height / 2);
+      },
+
+      /**
+       * Starts tracking a pointer for swipe, pan or pinch.
+       * @param {PointerEvent} event The pointerdown event.
+       */
+      handleLightboxPointerDown(event) {
+        if (event.pointerType === "mouse" && event.button !== 0) return;
+        event.currentTarget.setPointerCapture(event.pointerId);
+        if (!this.gesture) {
+          this.gesture = { pointers: new Map() };
+        }
+        this.gesture.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        if (this.gesture.pointers.size > 1) {
+          // Lifting one finger after a pinch must not count as a swipe
+          this.gesture.pinched = true;
+        }
+        this.beginGesture();
+      },
+
+      /**
+       * (Re)captures the starting point of the current gesture, e.g. when a second finger lands.
+       */
+      beginGesture() {
+        const points = Array.from(this.gesture.pointers.values());
+        Object.assign(this.gesture, {
+          startX: points[0].x,
+          startY: points[0].y,
+          startPanX: this.panX,
+          startPanY: this.panY,
+          startScale: this.zoomScale,
+          startDistance: points.length > 1
+            ? Math.hypot(points[1].x - points[0].x, points[1].y - points[0].y)
+            : 0
+        });
+      },
+
+      /**
+       * Pans a zoomed image with one pointer, or pinch-zooms with two.
+       * @param {PointerEvent} event The pointermove event.
+       */
+      handleLightboxPointerMove(event) {
+        if (!this.gesture || !this.gesture.pointers.has(event.pointerId)) return;
+        this.gesture.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        const points = Array.from(this.gesture.pointers.values());
+
+        if (points.length > 1 && this.gesture.startDistance > 0) {
+          const distance = Math.hypot(points[1].x - points[0].x, points[1].y - points[0].y);
+          const rect = event.currentTarget.getBoundingClientRect();
+          const target = this.gesture.startScale * distance / this.gesture.startDistance;
+          this.zoomBy(
+            target / this.zoomScale,
+            (points[0].x + points[1].x) / 2 - rect.left - rect.width / 2,
+            (points[0].y + points[1].y) / 2 - rect.top - rect.height / 2
+          );
+        } else if (this.zoomScale > 1) {
+          this.panX = this.gesture.startPanX + (points[0].x - this.gesture.startX);
+          this.panY = this.gesture.startPanY + (points[0].y - this.gesture.startY);
+        }
+      },
+
+      /**
+       * Ends a pointer"s part in the gesture. A horizontal swipe on an unzoomed image
+       * moves to the previous or next photo.
+       * @param {PointerEvent} event The pointerup or pointercancel event.
+       */
+      handleLightboxPointerUp(event) {
+        if (!this.gesture || !this.gesture.pointers.has(event.pointerId)) return;
+        const point = this.gesture.pointers.get(event.pointerId);
+        const single = this.gesture.pointers.size === 1 && !this.gesture.pinched;
+        this.gesture.pointers.delete(event.pointerId);
+
+        if (single && event.type === "pointerup" && this.zoomScale === 1) {
+          const dx = point.x - this.gesture.startX;
+          const dy = point.y - this.gesture.startY;
+          if (Math.abs(dx) > 50 && Math.abs(dx) > Math.abs(dy) * 1.5) {
+            this.showAdjacentPhoto(dx < 0 ? 1 : -1);
+          }
+        }
+
+        if (this.gesture.pointers.size === 0) {
+          this.gesture = null;
+        } else {
+          this.beginGesture();
+        }
+      },
+    };
+  }
+
+  // The scripts load at the end of the body, so the placeholders are already parsed;
+  // Alpine.js only starts later (see bootstrap.js)
+  render(document);
+
+  window.PhotoView = {
+    render,
+    mixin,
+  };
+})();
@@ -0,0 +1,158 @@
+/**
+ * @fileoverview A small hash router for the app's views. Routes live in the URL hash
+ * (`#/`, `#/photo/<id>`, `#/album/<id>`, `#/upload`, `#/settings`) so they work on any
+ * static host and can be carried through the sign-in redirect in the OAuth `state`.
+ * A route may carry a query after the path (`#/?sort=name-asc`), e.g. for the gallery filters.
+ * Exposed globally as `window.Router`.
+ */
+
+(function () {
+  /**
+   * The known views. `param` names the path segment after the view name, if it takes one.
+   */
+  const ROUTES = {
+    gallery: { path: "" },
+    photo: { path: "photo", param: "id" },
+    album: { path: "album", param: "id" },
+    upload: { path: "upload" },
+    settings: { path: "settings" },
+  };
+
+  /**
+   * The route used for an empty or unknown hash.
+   */
+  const DEFAULT_ROUTE = { name: "gallery", params: {}, query: {} };
+
+  /**
+   * Parses the query part of a hash into a plain object.
+   * @param {string} search - e.g. "q=beach&sort=name-asc"
+   * @returns {Object} Values by name; repeated names keep the last value
+   */
+  function parseQuery(search) {
+    const query = {};
+    new URLSearchParams(search).forEach((value, name) => {
+      query[name] = value;
+    });
+    return query;
+  }
+
+  /**
+   * Parses a URL hash into a route.
+   * @param {string} hash - e.g. "#/photo/1700000000000-beach.jpg"
+   * @returns {{name: string, params: Object, query: Object, known: boolean}} The route; `known`
+   *   is false (and the route is the gallery) if the hash didn't match any view.
+   */
+  function parse(hash) {
+    const [path, search = ""] = (hash || "").replace(/^#\/?/, "").split(/\?(.*)/s);
+    const query = parseQuery(search);
+    const slash = path.indexOf("/");
+    const head = slash === -1 ? path : path.slice(0, slash);
+    const rest = slash === -1 ? "" : path.slice(slash + 1);
+
+    for (const name of Object.keys(ROUTES)) {
+      const route = ROUTES[name];
+      if (route.path !== head) continue;
+      if (route.param && !rest) break;
+      if (!route.param && rest) break;
+      const params = {};
+      if (route.param) {
+        try {
+          params[route.param] = decodeURIComponent(rest);
+        } catch (err) {
+          break;
+        }
+      }
+      return { name, params, query, known: true };
+    }
+    return { name: DEFAULT_ROUTE.name, params: {}, query: {}, known: path === "" };
+  }
+
+  /**
+   * Builds the hash for a route.
+   * @param {{name: string, params: Object, query: Object}} route - The route; empty query
+   *   values are left out
+   * @returns {string} e.g. "#/album/holiday"; the gallery is "#/"
+   */
+  function toHash(route) {
+    const definition = ROUTES[route.name];
+    if (!definition) {
+      throw new Error(`Unknown route: ${route.name}`);
+    }
+    let path = `#/${definition.path}`;
+    if (definition.param) {
+      const value = route.params && route.params[definition.param];
+      if (!value) {
+        throw new Error(`Route ${route.name} needs a ${definition.param}`);
+      }
+      path += `/${encodeURIComponent(value)}`;
+    }
+    const search = new URLSearchParams();
+    Object.keys(route.query || {}).forEach((name) => {
+      const value = route.query[name];
+      if (value !== undefined && value !== null && value !== "") {
+        search.set(name, value);
+      }
+    });
+    const queryString = search.toString();
+    return queryString ? `${path}?${queryString}` : path;
+  }
+
+  /**
+   * The route the browser is currently on.
+   * @returns {{name: string, params: Object, query: Object, known: boolean}}
+   */
+  function current() {
+    return parse(window.location.hash);
+  }
+
+  /**
+   * Goes to a route. Listeners are notified through the `hashchange` event,
+   * or directly when the history entry is replaced (which doesn't fire it).
+   * @param {string} name - The route name
+   * @param {Object} [params={}] - The route parameters
+   * @param {Object} [options] - `{ replace, query }`: whether to replace the current
+   *   history entry, and the query to add to the route
+   */
+  function navigate(name, params = {}, options = {}) {
+    const hash = toHash({ name, params, query: options.query });
+    if (window.location.hash === hash) return;
+    if (options.replace) {
+      window.history.replaceState(null, "", window.location.pathname + window.location.search + hash);
+      notify();
+    } else {
+      window.location.hash = hash;
+    }
+  }
+
+  /**
+   * Functions called with the new route whenever it changes.
+   * @type {Array<Function>}
+   */
+  const listeners = [];
+
+  /**
+   * Calls every listener with the current route.
+   */
+  function notify() {
+    const route = current();
+    listeners.forEach((listener) => listener(route));
+  }
+
+  /**
+   * Registers a function to call whenever the route changes.
+   * @param {Function} listener - Receives the new route
+   */
+  function subscribe(listener) {
+    listeners.push(listener);
+  }
+
+  window.addEventListener("hashchange", notify);
+
+  window.Router = {
+    parse,
+    toHash,
+    current,
+    navigate,
+    subscribe,
+  };
+})();
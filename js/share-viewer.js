@@ -0,0 +1,167 @@
+/**
+ * @fileoverview The public, read-only viewer for share links (`share.html#<shareId>`).
+ * It loads the shared photos from `AppConfig.api.public_share_endpoint` without signing in
+ * and shows them in the gallery grid and lightbox, without the upload, editing or auth UI.
+ * Relies on `config.js`, `api-client.js`, `photo-model.js` and `photo-view.js` (the grid and
+ * lightbox shared with the gallery).
+ */
+
+document.addEventListener('alpine:init', () => {
+  Alpine.data('shareViewer', () => ({
+    // The lightbox state and its zoom, pan, swipe and keyboard handling (see photo-view.js)
+    ...window.PhotoView.mixin(),
+
+    /**
+     * The share id from the URL fragment.
+     * @type {string}
+     */
+    shareId: '',
+    /**
+     * The shared photos, in the order the backend returned them.
+     * @type {Array<Object>}
+     */
+    photos: [],
+    loading: true,
+    /**
+     * A message to show instead of the photos, e.g. when the link has expired.
+     * @type {string|null}
+     */
+    error: null,
+    /**
+     * Whether the failure can be retried (it can't once the link is gone).
+     * @type {boolean}
+     */
+    canRetry: false,
+    /**
+     * When the link expires, in milliseconds, if the backend said.
+     * @type {number|null}
+     */
+    expiresAt: null,
+
+    init() {
+      this.shareId = this.readShareId();
+      window.addEventListener('hashchange', () => {
+        this.shareId = this.readShareId();
+        this.load();
+      });
+      this.load();
+    },
+
+    /**
+     * Reads the share id from the URL fragment.
+     * @returns {string}
+     */
+    readShareId() {
+      try {
+        return decodeURIComponent(window.location.hash.replace(/^#/, ''));
+      } catch (err) {
+        return '';
+      }
+    },
+
+    /**
+     * The URL the shared photos are read from.
+     * @returns {string}
+     */
+    shareUrl() {
+      const api = window.AppConfig.api;
+      const base = api.public_share_endpoint || `${api.shares_endpoint}public/`;
+      return `${base}${encodeURIComponent(this.shareId)}`;
+    },
+
+    /**
+     * Loads the shared photos. The response has the photo items (with URLs the backend
+     * signed for the link's lifetime) in `Items`, and the expiry in `ExpiresAt` (epoch seconds).
+     */
+    async load() {
+      this.closePhotoModal();
+      this.photos = [];
+      this.error = null;
+      this.canRetry = false;
+      if (!this.shareId) {
+        this.loading = false;
+        this.error = 'This link is incomplete. Check that you copied all of it.';
+        return;
+      }
+
+      this.loading = true;
+      try {
+        const data = await window.ApiClient.getJson(this.shareUrl(), { authenticate: false });
+        if (!data || !Array.isArray(data.Items)) {
+          throw new window.ApiError('server', 'Unexpected share response format');
+        }
+        this.photos = window.PhotoModel.parseItems(data.Items).photos;
+        this.expiresAt = Number(data.ExpiresAt) * 1000 || null;
+      } catch (err) {
+        console.error('Could not load the shared photos:', err);
+        if (err.status === 403 || err.status === 404 || err.status === 410) {
+          this.error = 'This link has expired or was revoked.';
+        } else {
+          this.error = err.message;
+          this.canRetry = true;
+        }
+      } finally {
+        this.loading = false;
+      }
+    },
+
+    /**
+     * Opens a photo in the lightbox.
+     * @param {Object} photo The photo object.
+     */
+    openPhotoModal(photo) {
+      this.selectedPhoto = photo;
+      this.showModal = true;
+      this.modalLoading = true;
+      this.resetZoom();
+      this.$nextTick(() => this.$refs.lightbox && this.$refs.lightbox.focus());
+    },
+
+    /**
+     * Closes the lightbox.
+     */
+    closePhotoModal() {
+      this.showModal = false;
+      this.selectedPhoto = null;
+      this.modalLoading = false;
+      this.resetZoom();
+    },
+
+    /**
+     * The position of the open photo, or -1.
+     * @returns {number}
+     */
+    selectedIndex() {
+      if (!this.selectedPhoto) return -1;
+      return this.photos.findIndex(photo => photo.id === this.selectedPhoto.id);
+    },
+
+    /**
+     * The open photo's position, e.g. "3 of 12".
+     * @returns {string}
+     */
+    lightboxPositionLabel() {
+      const index = this.selectedIndex();
+      return index >= 0 ? `${index + 1} of ${this.photos.length}` : '';
+    },
+
+    /**
+     * Whether there is a photo before (-1) or after (1) the open one.
+     * @param {number} step -1 or 1.
+     * @returns {boolean}
+     */
+    hasAdjacentPhoto(step) {
+      const index = this.selectedIndex();
+      return index >= 0 && Boolean(this.photos[index + step]);
+    },
+
+    /**
+     * Moves the lightbox to the previous (-1) or next (1) photo.
+     * @param {number} step -1 or 1.
+     */
+    showAdjacentPhoto(step) {
+      const next = this.photos[this.selectedIndex() + step];
+      if (next) this.openPhotoModal(next);
+    }
+  }));
+});
@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Persists the state of chunked (multipart) uploads in IndexedDB so they can be
+ * resumed after a dropped connection or a page reload. Each record holds the S3 upload id,
+ * the object key, the ETags of the parts that already completed, and the file itself
+ * (Blobs can be stored in IndexedDB directly), keyed by a fingerprint of the file and the
+ * user uploading it, so one user's uploads are never resumed into another user's account.
+ * Exposed globally as `window.UploadStore`.
+ */
+
+(function () {
+  const DB_NAME = "photoGalleryUploads";
+  const DB_VERSION = 1;
+  const STORE_NAME = "multipartUploads";
+
+  /**
+   * The open database, created lazily on first use.
+   * @type {Promise<IDBDatabase>|null}
+   */
+  let dbPromise = null;
+
+  /**
+   * Opens (and if needed creates) the uploads database.
+   * @returns {Promise<IDBDatabase>}
+   */
+  function openDatabase() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME, { keyPath: "fingerprint" });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      dbPromise.catch(() => {
+        // Allow a later call to try again (e.g. after the user re-enables storage)
+        dbPromise = null;
+      });
+    }
+    return dbPromise;
+  }
+
+  /**
+   * Runs a single request against the object store and resolves with its result.
+   * @param {string} mode - "readonly" or "readwrite"
+   * @param {Function} makeRequest - Receives the object store and returns an IDBRequest
+   * @returns {Promise<*>}
+   */
+  async function withStore(mode, makeRequest) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = makeRequest(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Builds the key a file's upload record is stored under. The same file selected
+   * again (same name, size and modification time) by the same user maps to the same record.
+   * @param {File} file - The file being uploaded
+   * @param {string} owner - The signed-in user's id (`authStatus.userId`)
+   * @returns {string}
+   */
+  function fingerprint(file, owner) {
+    return `${owner}:${file.name}:${file.size}:${file.lastModified}`;
+  }
+
+  window.UploadStore = {
+    fingerprint,
+
+    /**
+     * Reads the upload record for a fingerprint.
+     * @param {string} key - The file fingerprint
+     * @returns {Promise<Object|undefined>}
+     */
+    get(key) {
+      return withStore("readonly", (store) => store.get(key));
+    },
+
+    /**
+     * Creates or replaces an upload record.
+     * @param {Object} record - The record, including its `fingerprint`
+     * @returns {Promise<void>}
+     */
+    save(record) {
+      return withStore("readwrite", (store) => store.put(record));
+    },
+
+    /**
+     * Deletes an upload record (after completion or cancellation).
+     * @param {string} key - The file fingerprint
+     * @returns {Promise<void>}
+     */
+    remove(key) {
+      return withStore("readwrite", (store) => store.delete(key));
+    },
+
+    /**
+     * Deletes every upload record, e.g. on sign-out, so no files are left behind in the browser.
+     * @returns {Promise<void>}
+     */
+    clear() {
+      return withStore("readwrite", (store) => store.clear());
+    },
+
+    /**
+     * Lists a user's unfinished uploads. Records of other users, and records saved before
+     * they had an owner, are left out.
+     * @param {string} owner - The signed-in user's id
+     * @returns {Promise<Array<Object>>}
+     */
+    async list(owner) {
+      const records = await withStore("readonly", (store) => store.getAll());
+      return records.filter((record) => owner && record.owner === owner);
+    },
+  };
+})();
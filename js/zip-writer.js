@@ -0,0 +1,223 @@
+/**
+ * @fileoverview Writes a ZIP archive as a stream, one entry at a time, so files of any
+ * number can be archived while holding only the current one in memory. Entries are stored
+ * uncompressed (photos are already compressed) and use data descriptors, so each file's
+ * CRC and size are written after its data. Uses `window.Crc32`
+ * (from `crc32.js`); exposed globally as `window.ZipWriter`.
+ */
+
+(function () {
+  /**
+   * Limits of the classic (non-ZIP64) format.
+   */
+  const MAX_ENTRIES = 0xffff;
+  const MAX_OFFSET = 0xffffffff;
+
+  /**
+   * General purpose flags: bit 3 (sizes and CRC follow the data) and bit 11 (UTF-8 names).
+   */
+  const FLAGS = 0x0808;
+
+  /**
+   * How much of a download the fallback sink collects before folding it into its Blob.
+   */
+  const FOLD_SIZE = 8 * 1024 * 1024;
+
+  /**
+   * Converts a date to the MS-DOS time and date fields used by ZIP.
+   * @param {Date} date - The date (local time; DOS dates start in 1980)
+   * @returns {{time: number, date: number}}
+   */
+  function dosDateTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+  }
+
+  /**
+   * Builds a little-endian binary record from `[size, value]` fields and raw byte arrays.
+   * @param {Array<Array<number>|Uint8Array>} fields - `[2, value]`/`[4, value]` pairs, or bytes
+   * @returns {Uint8Array}
+   */
+  function record(fields) {
+    const length = fields.reduce((sum, field) => sum + (field instanceof Uint8Array ? field.length : field[0]), 0);
+    const bytes = new Uint8Array(length);
+    const view = new DataView(bytes.buffer);
+    let offset = 0;
+    fields.forEach((field) => {
+      if (field instanceof Uint8Array) {
+        bytes.set(field, offset);
+        offset += field.length;
+      } else if (field[0] === 2) {
+        view.setUint16(offset, field[1], true);
+        offset += 2;
+      } else {
+        view.setUint32(offset, field[1], true);
+        offset += 4;
+      }
+    });
+    return bytes;
+  }
+
+  /**
+   * Starts a ZIP archive that is written to `sink`.
+   * @param {Object} sink - `{ write(Uint8Array): Promise }`; called in order, one chunk at a time
+   * @returns {Object} `{ addEntry, finish }`
+   */
+  function create(sink) {
+    const entries = [];
+    let offset = 0;
+    let busy = false;
+
+    async function write(bytes) {
+      if (offset + bytes.length > MAX_OFFSET) {
+        throw new Error("The archive is larger than 4 GB, the most a ZIP file can hold without ZIP64");
+      }
+      await sink.write(bytes);
+      offset += bytes.length;
+    }
+
+    /**
+     * Adds a file, reading its data from a stream. The file is read in full before any of it
+     * is written, so if reading fails part way nothing of it ends up in the archive; the
+     * error is rethrown with `readFailed: true`. Errors writing to the sink are rethrown as they are.
+     * @param {string} name - The path in the archive
+     * @param {ReadableStream<Uint8Array>} stream - The file data
+     * @param {Object} [options] - `{ modified, onData }`: the file's date, and a callback
+     *   with the number of bytes of each chunk read
+     * @returns {Promise<number>} The file size
+     */
+    async function addEntry(name, stream, options = {}) {
+      if (busy) {
+        throw new Error("Entries must be added one at a time");
+      }
+      if (entries.length >= MAX_ENTRIES) {
+        throw new Error(`A ZIP file can hold at most ${MAX_ENTRIES} files`);
+      }
+      busy = true;
+      try {
+        const nameBytes = new TextEncoder().encode(name);
+        const { time, date } = dosDateTime(options.modified || new Date());
+        const entry = { nameBytes, time, date, offset, crc: 0, size: 0 };
+
+        const chunks = [];
+        const reader = stream.getReader();
+        for (;;) {
+          let chunk;
+          try {
+            chunk = await reader.read();
+          } catch (err) {
+            // A truncated file is left out rather than archived half-written
+            reader.cancel().catch(() => {});
+            err.readFailed = true;
+            throw err;
+          }
+          if (chunk.done) break;
+          entry.crc = window.Crc32.compute(chunk.value, entry.crc);
+          entry.size += chunk.value.length;
+          chunks.push(chunk.value);
+          if (options.onData) options.onData(chunk.value.length);
+        }
+
+        await write(record([
+          [4, 0x04034b50], [2, 20], [2, FLAGS], [2, 0], [2, time], [2, date],
+          [4, 0], [4, 0], [4, 0], [2, nameBytes.length], [2, 0], nameBytes,
+        ]));
+        for (const chunk of chunks) {
+          await write(chunk);
+        }
+        await write(record([[4, 0x08074b50], [4, entry.crc], [4, entry.size], [4, entry.size]]));
+        entries.push(entry);
+        return entry.size;
+      } finally {
+        busy = false;
+      }
+    }
+
+    /**
+     * Writes the central directory. No entries can be added afterwards.
+     * @returns {Promise<void>}
+     */
+    async function finish() {
+      const directoryOffset = offset;
+      for (const entry of entries) {
+        await write(record([
+          [4, 0x02014b50], [2, 20], [2, 20], [2, FLAGS], [2, 0], [2, entry.time], [2, entry.date],
+          [4, entry.crc], [4, entry.size], [4, entry.size], [2, entry.nameBytes.length],
+          [2, 0], [2, 0], [2, 0], [2, 0], [4, 0], [4, entry.offset], entry.nameBytes,
+        ]));
+      }
+      await write(record([
+        [4, 0x06054b50], [2, 0], [2, 0], [2, entries.length], [2, entries.length],
+        [4, offset - directoryOffset], [4, directoryOffset], [2, 0],
+      ]));
+    }
+
+    return { addEntry, finish };
+  }
+
+  /**
+   * Opens somewhere to save a download to, chunk by chunk. Where the browser supports the
+   * File System Access API the user picks a file and the data goes straight to disk;
+   * otherwise the chunks are folded into a Blob every few megabytes (browsers can keep Blob
+   * data on disk, where an array of chunks stays in memory) and downloaded when the sink is closed.
+   * @param {string} fileName - The suggested file name
+   * @param {string} type - The MIME type
+   * @returns {Promise<Object>} `{ write(Uint8Array), close(), abort() }`; rejects with an
+   *   `AbortError` if the user cancels the save dialog
+   */
+  async function openDownloadSink(fileName, type) {
+    if (window.showSaveFilePicker) {
+      const handle = await window.showSaveFilePicker({
+        suggestedName: fileName,
+        types: [{ description: "ZIP archive", accept: { [type]: [".zip"] } }],
+      });
+      const writable = await handle.createWritable();
+      return {
+        write: (bytes) => writable.write(bytes),
+        close: () => writable.close(),
+        abort: () => writable.abort(),
+      };
+    }
+
+    let blob = new Blob([], { type });
+    let parts = [];
+    let partsSize = 0;
+    const fold = () => {
+      blob = new Blob([blob, ...parts], { type });
+      parts = [];
+      partsSize = 0;
+    };
+    return {
+      write: async (bytes) => {
+        parts.push(bytes);
+        partsSize += bytes.length;
+        if (partsSize >= FOLD_SIZE) fold();
+      },
+      close: async () => {
+        fold();
+        const url = URL.createObjectURL(blob);
+        blob = null;
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Give the download time to start before releasing the data
+        setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+      },
+      abort: async () => {
+        blob = null;
+        parts = [];
+      },
+    };
+  }
+
+  window.ZipWriter = {
+    create,
+    openDownloadSink,
+  };
+})();
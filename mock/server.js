@@ -0,0 +1,796 @@
+/**
+ * @fileoverview A local stand-in for the app's AWS backend, for offline development and
+ * reproducible end-to-end runs. It needs nothing but Node.js (18 or later):
+ *
+ *     node mock/server.js [--port 4000] [--seed 12]
+ *
+ * and then open http://localhost:4000/?profile=mock. The server also serves the app's
+ * files, so the app, the login page and the APIs share one origin. It emulates:
+ * - the Cognito Hosted UI: a login page at `/login` (and `/signup`) that accepts any user
+ *   name and keeps a session cookie (so `prompt=none` works), `/oauth2/token` for the
+ *   authorization code (with PKCE) and refresh grants, and `/logout`. Tokens are RS256 JWTs; the signing key is published at `/.well-known/jwks.json`.
+ *   The same endpoints are described at `/.well-known/openid-configuration`, so the app's
+ *   generic OIDC provider can use the mock as well (`OIDC_ISSUER=http://localhost:4000`).
+ * - the photos API at `/photos/`: pages of DynamoDB-typed `Items` with `LastEvaluatedKey`,
+ *   and DELETE/PATCH of single photos.
+ * - the upload endpoint: `PUT /upload/<key>` with `x-amz-meta-*` headers. The photo shows
+ *   up in the list, with its thumbnail, once the processing delay has passed.
+ * - failure switches, set at start-up or at run time through `/__mock/` (see `FAILURES`).
+ *
+ * Everything is kept in memory; restarting the server starts from a clean slate.
+ */
+
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+/**
+ * The app's files, served for any path the mock doesn't handle itself.
+ */
+const APP_ROOT = path.resolve(__dirname, "..");
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".ico": "image/x-icon",
+};
+
+/**
+ * The largest upload accepted, in bytes.
+ */
+const MAX_UPLOAD_BYTES = 100 * 1024 * 1024;
+
+/**
+ * The failure switches and their defaults. Counters (`status401`, `status500`,
+ * `throttle`, `tokenErrors`) fail that many of the next requests and then reset.
+ * - `status401`: API requests answered 401, as for an expired or revoked token
+ * - `status500`: API requests answered 500
+ * - `throttle`: API requests answered 429 with `Retry-After: 1`
+ * - `tokenErrors`: token requests answered 400 `invalid_grant`
+ * - `latencyMs`: delay added to every API and token response
+ * - `processingDelayMs`: how long after upload a photo (and its thumbnail) appears
+ * - `processingFails`: uploaded photos never appear, as when the thumbnail Lambda fails
+ * - `malformedItems`: how many malformed items are added to every page of photos
+ */
+const FAILURES = {
+  status401: 0,
+  status500: 0,
+  throttle: 0,
+  tokenErrors: 0,
+  latencyMs: 0,
+  processingDelayMs: 3000,
+  processingFails: false,
+  malformedItems: 0,
+};
+
+/**
+ * Reads `--name value` and `--name=value` options, falling back to `MOCK_<NAME>` variables.
+ * @param {string} name - The option name, e.g. 'port'
+ * @param {string} fallback - The default
+ * @returns {string}
+ */
+function option(name, fallback) {
+  const args = process.argv.slice(2);
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === `--${name}` && i + 1 < args.length) return args[i + 1];
+    if (args[i].startsWith(`--${name}=`)) return args[i].slice(name.length + 3);
+  }
+  const variable = process.env[`MOCK_${name.toUpperCase().replace(/-/g, "_")}`];
+  return variable !== undefined ? variable : fallback;
+}
+
+const settings = {
+  port: parseInt(option("port", "4000"), 10),
+  seed: parseInt(option("seed", "0"), 10),
+  tokenTtl: parseInt(option("token-ttl", "3600"), 10),
+  clientId: option("client-id", "mockclient"),
+};
+
+/**
+ * The switches in force; `MOCK_FAILURES` may hold a JSON object of initial values.
+ */
+let failures = { ...FAILURES, ...JSON.parse(option("failures", "{}")) };
+
+// --- Tokens ---
+
+/**
+ * The token signing key, new for every run.
+ */
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString("hex");
+
+/**
+ * Authorization codes waiting to be redeemed, by code: `{ username, clientId, redirectUri,
+ * challenge, nonce, expiresAt }`. Codes are single use and live for five minutes.
+ */
+const authCodes = new Map();
+
+/**
+ * Refresh tokens, mapped to the user name they were issued for.
+ */
+const refreshTokens = new Map();
+
+/**
+ * Hosted UI sessions (the `mock_session` cookie), mapped to the signed-in user name.
+ */
+const hostedUiSessions = new Map();
+
+function base64Url(input) {
+  return Buffer.from(input).toString("base64").replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * Signs a JWT with the mock's private key.
+ * @param {Object} claims - The payload
+ * @returns {string}
+ */
+function signJwt(claims) {
+  const header = base64Url(JSON.stringify({ alg: "RS256", typ: "JWT", kid: KEY_ID }));
+  const payload = base64Url(JSON.stringify(claims));
+  const signature = crypto.sign("RSA-SHA256", Buffer.from(`${header}.${payload}`), privateKey);
+  return `${header}.${payload}.${base64Url(signature)}`;
+}
+
+/**
+ * Checks a JWT's signature and expiry.
+ * @param {string} token - The token
+ * @returns {Object|null} The claims, or null if the token isn't valid
+ */
+function verifyJwt(token) {
+  const parts = (token || "").split(".");
+  if (parts.length !== 3) return null;
+  const signature = Buffer.from(parts[2].replace(/-/g, "+").replace(/_/g, "/"), "base64");
+  if (!crypto.verify("RSA-SHA256", Buffer.from(`${parts[0]}.${parts[1]}`), publicKey, signature)) {
+    return null;
+  }
+  try {
+    const claims = JSON.parse(Buffer.from(parts[1].replace(/-/g, "+").replace(/_/g, "/"), "base64").toString());
+    return claims.exp * 1000 > Date.now() ? claims : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Issues the id and access tokens for a user, as the Cognito token endpoint does.
+ * @param {string} origin - The server's origin, used as the issuer
+ * @param {string} username - The user name
+ * @param {string|null} nonce - The nonce from the authorization request, if any
+ * @returns {Object} `{ id_token, access_token, expires_in, token_type }`
+ */
+function issueTokens(origin, username, nonce) {
+  const now = Math.floor(Date.now() / 1000);
+  const common = {
+    iss: origin,
+    sub: crypto.createHash("sha256").update(username).digest("hex").slice(0, 32),
+    iat: now,
+    auth_time: now,
+    exp: now + settings.tokenTtl,
+  };
+  const idClaims = {
+    ...common,
+    aud: settings.clientId,
+    token_use: "id",
+    "cognito:username": username,
+    email: `${username}@example.com`,
+  };
+  if (nonce) idClaims.nonce = nonce;
+  return {
+    id_token: signJwt(idClaims),
+    access_token: signJwt({ ...common, client_id: settings.clientId, token_use: "access", scope: "openid email phone", username }),
+    expires_in: settings.tokenTtl,
+    token_type: "Bearer",
+  };
+}
+
+// --- Photos ---
+
+/**
+ * The stored photos, by object key: `{ key, body, contentType, width, height, uploadedAt,
+ * processAt, failed, title, caption, albumIds, metadata }`. `processAt` is when the
+ * photo is "processed" and starts to show up in the list.
+ */
+const photos = new Map();
+
+/**
+ * Reads an image's pixel size from its header (PNG, GIF, JPEG, WebP and SVG).
+ * @param {Buffer} body - The file
+ * @returns {Array<number>|null} `[width, height]`, or null if unknown
+ */
+function imageSize(body) {
+  if (body.length >= 24 && body.readUInt32BE(0) === 0x89504e47) {
+    return [body.readUInt32BE(16), body.readUInt32BE(20)];
+  }
+  if (body.length >= 10 && body.toString("ascii", 0, 3) === "GIF") {
+    return [body.readUInt16LE(6), body.readUInt16LE(8)];
+  }
+  if (body.length >= 4 && body[0] === 0xff && body[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < body.length && body[offset] === 0xff) {
+      const marker = body[offset + 1];
+      const length = body.readUInt16BE(offset + 2);
+      // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return [body.readUInt16BE(offset + 7), body.readUInt16BE(offset + 5)];
+      }
+      offset += 2 + length;
+    }
+    return null;
+  }
+  if (body.length >= 30 && body.toString("ascii", 0, 4) === "RIFF" && body.toString("ascii", 8, 12) === "WEBP") {
+    const chunk = body.toString("ascii", 12, 16);
+    if (chunk === "VP8X") return [1 + body.readUIntLE(24, 3), 1 + body.readUIntLE(27, 3)];
+    if (chunk === "VP8L") {
+      const bits = body.readUInt32LE(21);
+      return [1 + (bits & 0x3fff), 1 + ((bits >> 14) & 0x3fff)];
+    }
+    if (chunk === "VP8 ") return [body.readUInt16LE(26) & 0x3fff, body.readUInt16LE(28) & 0x3fff];
+  }
+  const svg = body.toString("utf8", 0, Math.min(body.length, 512)).match(/<svg[^>]*\swidth="(\d+)"[^>]*\sheight="(\d+)"/);
+  return svg ? [Number(svg[1]), Number(svg[2])] : null;
+}
+
+/**
+ * `x-amz-meta-*` names and the `Metadata` attributes the metadata Lambda copies them to.
+ */
+const METADATA_ATTRIBUTES = {
+  "capture-date": "CaptureDate",
+  camera: "Camera",
+  lens: "Lens",
+  exposure: "Exposure",
+  location: "Location",
+  "content-sha256": "ContentSha256",
+  dhash: "DHash",
+};
+
+/**
+ * Stores an uploaded file as a photo that is processed after the configured delay.
+ * @param {string} key - The object key
+ * @param {Buffer} body - The file
+ * @param {Object} headers - The request headers, with the `x-amz-meta-*` metadata
+ */
+function storeUpload(key, body, headers) {
+  const metadata = {};
+  let albumIds = [];
+  Object.keys(headers).forEach((name) => {
+    if (!name.startsWith("x-amz-meta-")) return;
+    const metaName = name.slice("x-amz-meta-".length);
+    let value = headers[name];
+    try {
+      value = decodeURIComponent(value);
+    } catch (err) {
+      // Keep values that weren't URI-encoded as they are
+    }
+    if (metaName === "album-id") {
+      albumIds = [value];
+    } else if (METADATA_ATTRIBUTES[metaName]) {
+      metadata[METADATA_ATTRIBUTES[metaName]] = value;
+    }
+  });
+  const now = Date.now();
+  photos.set(key, {
+    key,
+    body,
+    contentType: headers["content-type"] || "application/octet-stream",
+    size: imageSize(body),
+    uploadedAt: now,
+    processAt: now + failures.processingDelayMs,
+    failed: failures.processingFails,
+    title: "",
+    caption: "",
+    albumIds,
+    metadata,
+  });
+}
+
+function isProcessed(photo) {
+  return !photo.failed && Date.now() >= photo.processAt;
+}
+
+/**
+ * Converts a photo into a DynamoDB-typed item, as the photos API returns it.
+ * @param {Object} photo - The stored photo
+ * @param {string} origin - The server's origin, for the image URLs
+ * @returns {Object}
+ */
+function toItem(photo, origin) {
+  const key = encodeURIComponent(photo.key);
+  const metadata = {
+    ContentType: { S: photo.contentType },
+    FileSize: { N: String(photo.body.length) },
+  };
+  if (photo.size) {
+    metadata.Size = { L: [{ N: String(photo.size[0]) }, { N: String(photo.size[1]) }] };
+  }
+  Object.keys(photo.metadata).forEach((name) => {
+    metadata[name] = { S: photo.metadata[name] };
+  });
+  const item = {
+    ImageMetadataPK: { S: photo.key },
+    ThumbnailURL: { S: `${origin}/images/thumbnails/${key}` },
+    OriginalImageURL: { S: `${origin}/images/originals/${key}` },
+    Metadata: { M: metadata },
+  };
+  if (photo.title) item.Title = { S: photo.title };
+  if (photo.caption) item.Caption = { S: photo.caption };
+  if (photo.albumIds.length > 0) item.AlbumIds = { SS: photo.albumIds };
+  return item;
+}
+
+/**
+ * Items that fail the app's schema check in different ways.
+ * @param {number} count - How many
+ * @returns {Array<Object>}
+ */
+function malformedItems(count) {
+  const kinds = [
+    (i) => ({ ImageMetadataPK: { S: `malformed-${i}-missing-urls` } }),
+    (i) => ({ ImageMetadataPK: { S: `malformed-${i}-wrong-types` }, ThumbnailURL: { N: "1" }, OriginalImageURL: { S: "not a url" } }),
+    (i) => ({ ImageMetadataPK: { N: String(i) }, ThumbnailURL: { S: "https://example.com/t.jpg" } }),
+    () => "not an item",
+  ];
+  return Array.from({ length: count }, (unused, i) => kinds[i % kinds.length](i + 1));
+}
+
+/**
+ * Adds sample photos: SVG images in a range of sizes and orientations, uploaded a minute
+ * apart, so runs that seed the same number start from the same gallery.
+ * @param {number} count - How many
+ */
+function seedPhotos(count) {
+  const sizes = [[1600, 1200], [1200, 1600], [1000, 1000], [3000, 1000], [1920, 1080]];
+  const start = Date.UTC(2024, 0, 1);
+  for (let i = 0; i < count; i++) {
+    const [width, height] = sizes[i % sizes.length];
+    const hue = (i * 47) % 360;
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+      `<rect width="100%" height="100%" fill="hsl(${hue},60%,55%)"/>` +
+      `<text x="50%" y="50%" font-family="sans-serif" font-size="${Math.round(height / 6)}" fill="#fff" text-anchor="middle" dominant-baseline="middle">${i + 1}</text></svg>`;
+    const uploadedAt = start + i * 60000;
+    const key = `${uploadedAt}-sample-${String(i + 1).padStart(2, "0")}.svg`;
+    photos.set(key, {
+      key,
+      body: Buffer.from(svg),
+      contentType: "image/svg+xml",
+      size: [width, height],
+      uploadedAt,
+      processAt: 0,
+      failed: false,
+      title: "",
+      caption: "",
+      albumIds: [],
+      metadata: { CaptureDate: new Date(uploadedAt).toISOString().slice(0, 19) },
+    });
+  }
+}
+
+/**
+ * Answers `GET /photos/`: the processed photos, newest first, a page at a time.
+ * @param {URL} url - The request URL
+ * @param {string} origin - The server's origin
+ * @returns {Object} The response body
+ */
+function listPhotos(url, origin) {
+  const limit = Math.max(1, parseInt(url.searchParams.get("limit") || "50", 10));
+  const album = url.searchParams.get("album");
+  const all = Array.from(photos.values())
+    .filter(isProcessed)
+    .filter((photo) => !album || photo.albumIds.includes(album))
+    .sort((a, b) => b.uploadedAt - a.uploadedAt || (a.key < b.key ? 1 : -1));
+
+  let start = 0;
+  const startKey = url.searchParams.get("exclusiveStartKey");
+  if (startKey) {
+    const key = JSON.parse(startKey).ImageMetadataPK.S;
+    start = all.findIndex((photo) => photo.key === key) + 1;
+  }
+  const page = all.slice(start, start + limit);
+  const items = page.map((photo) => toItem(photo, origin)).concat(malformedItems(failures.malformedItems));
+  const body = { Items: items, Count: items.length, ScannedCount: items.length, TotalCount: all.length };
+  if (start + limit < all.length) {
+    body.LastEvaluatedKey = { ImageMetadataPK: { S: page[page.length - 1].key } };
+  }
+  return body;
+}
+
+// --- HTTP ---
+
+/**
+ * Sends a response with the CORS headers the app needs when it is served from elsewhere.
+ * @param {http.IncomingMessage} req - The request
+ * @param {http.ServerResponse} res - The response
+ * @param {number} status - The status code
+ * @param {string|Buffer|Object|null} body - The body; objects are sent as JSON
+ * @param {Object} [headers] - Extra headers
+ */
+function send(req, res, status, body, headers = {}) {
+  const json = body !== null && typeof body === "object" && !Buffer.isBuffer(body);
+  res.writeHead(status, {
+    "Access-Control-Allow-Origin": req.headers.origin || "*",
+    "Access-Control-Allow-Methods": "GET, POST, PUT, PATCH, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers": req.headers["access-control-request-headers"] || "Authorization, Content-Type",
+    "Access-Control-Expose-Headers": "ETag, Retry-After",
+    "Cache-Control": "no-store",
+    ...(json ? { "Content-Type": "application/json" } : {}),
+    ...headers,
+  });
+  res.end(json ? JSON.stringify(body) : body);
+}
+
+/**
+ * Reads a request body, refusing bodies over `MAX_UPLOAD_BYTES`.
+ * @param {http.IncomingMessage} req - The request
+ * @returns {Promise<Buffer>}
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_UPLOAD_BYTES) {
+        reject(Object.assign(new Error("Upload too large"), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Applies the counting failure switches to an API request.
+ * @returns {Array|null} `[status, body, headers]` to answer with, or null to go on
+ */
+function injectedFailure() {
+  if (failures.status401 > 0) {
+    failures.status401--;
+    return [401, { message: "Unauthorized (injected)" }];
+  }
+  if (failures.status500 > 0) {
+    failures.status500--;
+    return [500, { message: "Internal server error (injected)" }];
+  }
+  if (failures.throttle > 0) {
+    failures.throttle--;
+    return [429, { message: "Too many requests (injected)" }, { "Retry-After": "1" }];
+  }
+  return null;
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+/**
+ * The fake Hosted UI page: a user name field, and buttons to sign in or to deny access.
+ * @param {URLSearchParams} params - The authorization request parameters
+ * @param {string} title - 'Sign in' or 'Sign up'
+ * @returns {string}
+ */
+function loginPage(params, title) {
+  const hidden = ["client_id", "redirect_uri", "state", "code_challenge", "code_challenge_method", "nonce"]
+    .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(params.get(name) || "")}">`)
+    .join("");
+  return `<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"><title>Mock ${title}</title>
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<style>body{font-family:-apple-system,sans-serif;background:#F5F5F7;display:flex;justify-content:center;padding-top:10vh}
+form{background:#fff;padding:32px;border-radius:12px;box-shadow:0 2px 8px rgba(0,0,0,.08);width:320px}
+input[type=text]{width:100%;box-sizing:border-box;padding:10px;margin:8px 0 16px;border:1px solid #D2D2D7;border-radius:8px}
+button{padding:10px 16px;border-radius:8px;border:0;background:#0066CC;color:#fff;font-weight:600}
+button[value=deny]{background:#E5E5EA;color:#1D1D1F}p{color:#86868B;font-size:14px}</style></head>
+<body><form method="post" action="/login">${hidden}
+<h1>${title}</h1><p>Mock Hosted UI. Any user name is accepted.</p>
+<label>User name<input type="text" name="username" value="tester" autofocus required></label>
+<button name="action" value="allow">${title}</button> <button name="action" value="deny">Deny access</button>
+</form></body></html>`;
+}
+
+/**
+ * Reads the Hosted UI session from the request's cookie.
+ * @param {http.IncomingMessage} req - The request
+ * @returns {string|null} The signed-in user name, or null
+ */
+function hostedUiUser(req) {
+  const match = (req.headers.cookie || "").match(/(?:^|;\s*)mock_session=([0-9a-f]+)/);
+  return match ? hostedUiSessions.get(match[1]) || null : null;
+}
+
+/**
+ * Answers an authorization request by redirecting back to the app, with a new
+ * authorization code for the user or with an error.
+ * @param {URLSearchParams} params - The authorization request parameters
+ * @param {string|null} username - The signed-in user, or null to send `error`
+ * @param {string} [error] - The OAuth error code
+ * @param {Object} [headers] - Extra headers, e.g. the session cookie
+ */
+function redirectWithCode(req, res, params, username, error, headers = {}) {
+  const redirectUri = params.get("redirect_uri");
+  if (params.get("client_id") !== settings.clientId || !redirectUri) {
+    send(req, res, 400, "Unknown client_id or missing redirect_uri", { "Content-Type": "text/plain" });
+    return;
+  }
+  const target = new URL(redirectUri);
+  if (params.get("state")) target.searchParams.set("state", params.get("state"));
+  if (!username) {
+    target.searchParams.set("error", error);
+  } else {
+    const code = crypto.randomBytes(16).toString("hex");
+    authCodes.set(code, {
+      username,
+      redirectUri,
+      challenge: params.get("code_challenge") || "",
+      nonce: params.get("nonce") || null,
+      expiresAt: Date.now() + 5 * 60 * 1000,
+    });
+    target.searchParams.set("code", code);
+  }
+  send(req, res, 302, "", { Location: target.toString(), ...headers });
+}
+
+/**
+ * Handles `GET /login` and `/signup`. Like the Hosted UI, a browser with a session goes
+ * straight back to the app with a code (unless `prompt=login`); `prompt=none` without a
+ * session answers `login_required` instead of showing the page.
+ */
+function handleLoginPage(req, res, url) {
+  const username = hostedUiUser(req);
+  const prompt = url.searchParams.get("prompt");
+  if (username && prompt !== "login") {
+    redirectWithCode(req, res, url.searchParams, username);
+  } else if (prompt === "none") {
+    redirectWithCode(req, res, url.searchParams, null, "login_required");
+  } else {
+    const title = url.pathname === "/login" ? "Sign in" : "Sign up";
+    send(req, res, 200, loginPage(url.searchParams, title), { "Content-Type": "text/html; charset=utf-8" });
+  }
+}
+
+/**
+ * Handles the sign-in form: starts a Hosted UI session, issues an authorization code
+ * and redirects back to the app.
+ */
+async function handleLogin(req, res) {
+  const form = new URLSearchParams((await readBody(req)).toString());
+  if (form.get("action") === "deny") {
+    redirectWithCode(req, res, form, null, "access_denied");
+    return;
+  }
+  const username = (form.get("username") || "tester").trim() || "tester";
+  const session = crypto.randomBytes(16).toString("hex");
+  hostedUiSessions.set(session, username);
+  redirectWithCode(req, res, form, username, null, {
+    "Set-Cookie": `mock_session=${session}; Path=/; HttpOnly; SameSite=Lax`,
+  });
+}
+
+/**
+ * Handles `/logout`, both Cognito's (`logout_uri`) and the OIDC end-session form
+ * (`post_logout_redirect_uri`): ends the Hosted UI session and redirects back.
+ */
+function handleLogout(req, res, url) {
+  const target = url.searchParams.get("logout_uri") || url.searchParams.get("post_logout_redirect_uri");
+  if (url.searchParams.get("client_id") !== settings.clientId || !target) {
+    send(req, res, 400, "Unknown client_id or missing logout_uri", { "Content-Type": "text/plain" });
+    return;
+  }
+  const match = (req.headers.cookie || "").match(/(?:^|;\s*)mock_session=([0-9a-f]+)/);
+  if (match) hostedUiSessions.delete(match[1]);
+  send(req, res, 302, "", { Location: target, "Set-Cookie": "mock_session=; Path=/; Max-Age=0" });
+}
+
+/**
+ * Handles `POST /oauth2/token` for the authorization_code and refresh_token grants.
+ */
+async function handleToken(req, res, origin) {
+  const form = new URLSearchParams((await readBody(req)).toString());
+  const fail = (description) => send(req, res, 400, { error: "invalid_grant", error_description: description });
+  if (failures.tokenErrors > 0) {
+    failures.tokenErrors--;
+    fail("Token request rejected (injected)");
+    return;
+  }
+  if (form.get("client_id") !== settings.clientId) {
+    send(req, res, 400, { error: "invalid_client" });
+    return;
+  }
+
+  if (form.get("grant_type") === "authorization_code") {
+    const code = authCodes.get(form.get("code"));
+    authCodes.delete(form.get("code"));
+    if (!code || code.expiresAt < Date.now()) return fail("Invalid or expired authorization code");
+    if (code.redirectUri !== form.get("redirect_uri")) return fail("redirect_uri does not match");
+    const verifier = form.get("code_verifier") || "";
+    if (code.challenge && base64Url(crypto.createHash("sha256").update(verifier).digest()) !== code.challenge) {
+      return fail("PKCE code_verifier does not match the code_challenge");
+    }
+    const refreshToken = crypto.randomBytes(24).toString("hex");
+    refreshTokens.set(refreshToken, code.username);
+    send(req, res, 200, { ...issueTokens(origin, code.username, code.nonce), refresh_token: refreshToken });
+  } else if (form.get("grant_type") === "refresh_token") {
+    const username = refreshTokens.get(form.get("refresh_token"));
+    if (!username) return fail("Invalid refresh token");
+    // Like Cognito, a refresh returns new id and access tokens but no new refresh token
+    send(req, res, 200, issueTokens(origin, username, null));
+  } else {
+    send(req, res, 400, { error: "unsupported_grant_type" });
+  }
+}
+
+/**
+ * Handles the photos API, the upload endpoint and the images, after the auth check and
+ * the failure switches.
+ */
+async function handleApi(req, res, url, origin) {
+  if (failures.latencyMs > 0) await delay(failures.latencyMs);
+  const injected = injectedFailure();
+  if (injected) {
+    send(req, res, ...injected);
+    return;
+  }
+  const token = (req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+  if (!verifyJwt(token)) {
+    send(req, res, 401, { message: "Unauthorized" });
+    return;
+  }
+
+  const [, area, ...rest] = url.pathname.split("/");
+  const key = decodeURIComponent(rest.join("/"));
+  if (area === "upload" && req.method === "PUT" && key) {
+    storeUpload(key, await readBody(req), req.headers);
+    send(req, res, 200, "", { ETag: `"${crypto.randomBytes(8).toString("hex")}"` });
+  } else if (area === "photos" && req.method === "GET" && !key) {
+    send(req, res, 200, listPhotos(url, origin));
+  } else if (area === "photos" && req.method === "DELETE" && key) {
+    send(req, res, photos.delete(key) ? 200 : 404, { deleted: key });
+  } else if (area === "photos" && req.method === "PATCH" && key) {
+    const photo = photos.get(key);
+    if (!photo) {
+      send(req, res, 404, { message: "No such photo" });
+      return;
+    }
+    const changes = JSON.parse((await readBody(req)).toString() || "{}");
+    if (typeof changes.title === "string") photo.title = changes.title;
+    if (typeof changes.caption === "string") photo.caption = changes.caption;
+    send(req, res, 200, toItem(photo, origin));
+  } else {
+    send(req, res, 404, { message: `No mock route for ${req.method} ${url.pathname}` });
+  }
+}
+
+/**
+ * Serves an original, or a thumbnail once its photo is processed. The "thumbnail" is the
+ * original file: the mock has no image library to scale it with.
+ */
+function handleImage(req, res, url) {
+  const [, , kind, ...rest] = url.pathname.split("/");
+  const photo = photos.get(decodeURIComponent(rest.join("/")));
+  if (!photo || (kind === "thumbnails" && !isProcessed(photo)) || !["thumbnails", "originals"].includes(kind)) {
+    send(req, res, 404, "Not found", { "Content-Type": "text/plain" });
+    return;
+  }
+  send(req, res, 200, photo.body, { "Content-Type": photo.contentType });
+}
+
+/**
+ * Handles `/__mock/`: `GET state` shows the switches and stored photos, `POST failures`
+ * merges a JSON object into the switches, and `POST reset` clears photos, sessions and
+ * switches (re-seeding the sample photos).
+ */
+async function handleControl(req, res, url) {
+  const action = url.pathname.replace(/^\/__mock\/?/, "");
+  if (req.method === "POST" && action === "failures") {
+    const changes = JSON.parse((await readBody(req)).toString() || "{}");
+    const unknown = Object.keys(changes).filter((name) => !(name in FAILURES));
+    if (unknown.length > 0) {
+      send(req, res, 400, { message: `Unknown switches: ${unknown.join(", ")}`, switches: Object.keys(FAILURES) });
+      return;
+    }
+    failures = { ...failures, ...changes };
+  } else if (req.method === "POST" && action === "reset") {
+    photos.clear();
+    authCodes.clear();
+    refreshTokens.clear();
+    hostedUiSessions.clear();
+    failures = { ...FAILURES };
+    seedPhotos(settings.seed);
+  } else if (!(req.method === "GET" && (action === "" || action === "state"))) {
+    send(req, res, 404, { message: "Use GET /__mock/state, POST /__mock/failures or POST /__mock/reset" });
+    return;
+  }
+  send(req, res, 200, {
+    failures,
+    photos: Array.from(photos.values()).map((photo) => ({
+      key: photo.key,
+      bytes: photo.body.length,
+      processed: isProcessed(photo),
+      failed: photo.failed,
+    })),
+    sessions: refreshTokens.size,
+  });
+}
+
+/**
+ * Serves the app's own files, so the app runs on the mock's origin.
+ */
+function handleStatic(req, res, url) {
+  const relative = decodeURIComponent(url.pathname === "/" ? "/index.html" : url.pathname);
+  const file = path.resolve(APP_ROOT, `.${relative}`);
+  const inside = file.startsWith(APP_ROOT + path.sep);
+  const hidden = path.relative(APP_ROOT, file).split(path.sep).some((part) => part.startsWith(".") && !part.startsWith(".env"));
+  if (!inside || hidden || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+    send(req, res, 404, "Not found", { "Content-Type": "text/plain" });
+    return;
+  }
+  const type = CONTENT_TYPES[path.extname(file).toLowerCase()] || "text/plain; charset=utf-8";
+  send(req, res, 200, fs.readFileSync(file), { "Content-Type": type });
+}
+
+const server = http.createServer(async (req, res) => {
+  const origin = `http://${req.headers.host}`;
+  const url = new URL(req.url, origin);
+  res.on("finish", () => console.log(`${req.method} ${url.pathname} ${res.statusCode}`));
+  try {
+    if (req.method === "OPTIONS") {
+      send(req, res, 204, "");
+    } else if (url.pathname === "/login" || url.pathname === "/signup") {
+      if (req.method === "POST") await handleLogin(req, res);
+      else handleLoginPage(req, res, url);
+    } else if (url.pathname === "/logout") {
+      handleLogout(req, res, url);
+    } else if (url.pathname === "/oauth2/token" && req.method === "POST") {
+      if (failures.latencyMs > 0) await delay(failures.latencyMs);
+      await handleToken(req, res, origin);
+    } else if (url.pathname === "/.well-known/jwks.json") {
+      send(req, res, 200, { keys: [{ ...publicKey.export({ format: "jwk" }), kid: KEY_ID, alg: "RS256", use: "sig" }] });
+    } else if (url.pathname === "/.well-known/openid-configuration") {
+      send(req, res, 200, {
+        issuer: origin,
+        authorization_endpoint: `${origin}/login`,
+        token_endpoint: `${origin}/oauth2/token`,
+        jwks_uri: `${origin}/.well-known/jwks.json`,
+        end_session_endpoint: `${origin}/logout`,
+        response_types_supported: ["code"],
+        subject_types_supported: ["public"],
+        id_token_signing_alg_values_supported: ["RS256"],
+        code_challenge_methods_supported: ["S256"],
+      });
+    } else if (url.pathname.startsWith("/__mock")) {
+      await handleControl(req, res, url);
+    } else if (url.pathname.startsWith("/images/")) {
+      handleImage(req, res, url);
+    } else if (url.pathname.startsWith("/photos/") || url.pathname.startsWith("/upload/")) {
+      await handleApi(req, res, url, origin);
+    } else {
+      handleStatic(req, res, url);
+    }
+  } catch (err) {
+    console.error(err);
+    if (!res.headersSent) {
+      send(req, res, err.status || (err instanceof SyntaxError ? 400 : 500), { message: err.message });
+    }
+  }
+});
+
+seedPhotos(settings.seed);
+server.listen(settings.port, () => {
+  console.log(`Mock backend on http://localhost:${settings.port}/?profile=mock`);
+  console.log("Failure switches:", JSON.stringify(failures));
+});